@@ -36,11 +36,17 @@ const formatHistoryForApi = (dbHistory) => {
 
 /**
  * Generates text response using the Gemini API.
+ * With `tools`, Gemini may call the given functions (e.g. the music controls) before it replies;
+ * each call is run through `tools.execute` and its result sent back, for up to config.gemini.maxToolRounds rounds.
  * @param {string} prompt - The user's prompt.
  * @param {string} discordId - The Discord user ID.
+ * @param {object} [tools=null] - Function calling setup (see spotify/musicAssistant's createMusicToolSession).
+ * @param {string} tools.instructions - System instructions explaining the functions.
+ * @param {Array<object>} tools.declarations - The function declarations.
+ * @param {function(string, object): Promise<object>} tools.execute - Runs a call by name and arguments, returning its result.
  * @returns {Promise<string>} The generated text response or an error message.
  */
-const generateText = async (prompt, discordId) => {
+const generateText = async (prompt, discordId, tools = null) => {
     if (!genAI) return "My connection to the generative faculties seems to be severed.";
     try {
         // Fetch user data to get personality preference and history
@@ -66,15 +72,30 @@ const generateText = async (prompt, discordId) => {
         const model = genAI.getGenerativeModel({
             model: config.gemini.model,
             safetySettings: config.gemini.safetySettings, // Use safety settings from config
-            generationConfig: config.gemini.generationConfig // Use generation config from config
+            generationConfig: config.gemini.generationConfig, // Use generation config from config
+            ...(tools ? { tools: [{ functionDeclarations: tools.declarations }], systemInstruction: tools.instructions } : {}),
         });
 
         // Start a chat session with the history
         const chat = model.startChat({ history: messagesToSend.slice(0, -1) });
 
         // Send the current message
-        const result = await chat.sendMessage(messagesToSend[messagesToSend.length - 1].parts[0].text);
-        const response = result.response;
+        let result = await chat.sendMessage(messagesToSend[messagesToSend.length - 1].parts[0].text);
+        let response = result.response;
+
+        // Run any function calls and send their results back until Gemini answers in text
+        let toolCallsMade = false;
+        for (let round = 0; tools && round < (config.gemini.maxToolRounds || 4); round++) {
+            const calls = (response?.candidates?.[0]?.content?.parts || []).filter(part => part.functionCall).map(part => part.functionCall);
+            if (calls.length === 0) break;
+            toolCallsMade = true;
+            const functionResponses = [];
+            for (const call of calls) { // In order: "play X and skip this song" must queue before skipping
+                functionResponses.push({ functionResponse: { name: call.name, response: await tools.execute(call.name, call.args) } });
+            }
+            result = await chat.sendMessage(functionResponses);
+            response = result.response;
+        }
 
         // Process the response
         if (!response || !response.candidates || response.candidates.length === 0 || !response.candidates[0].content) {
@@ -83,7 +104,11 @@ const generateText = async (prompt, discordId) => {
             return "A peculiar silence... I seem unable to formulate a response.";
         }
 
-        const text = response.candidates[0].content.parts[0].text;
+        let text = response.candidates[0].content.parts.map(part => part.text).filter(Boolean).join('');
+        if (!text) {
+            if (!toolCallsMade) return "A peculiar silence... I seem unable to formulate a response.";
+            text = "It is done, Citizen."; // The actions speak for themselves
+        }
 
         // Save interaction history to the database
         const userDbEntry = { role: "user", parts: [{ text: prompt }], timestamp: new Date() };
@@ -106,6 +131,34 @@ const generateText = async (prompt, discordId) => {
     }
 };
 
+/**
+ * Generates a one-off text response, without a user's chat history (e.g. the radio host's track intros).
+ * Unlike generateText, failures return null instead of an in-character apology, so callers can stay quiet.
+ * @param {string} prompt - The full prompt, including any persona instructions.
+ * @param {object} [generationConfig={}] - Overrides for config.gemini.generationConfig (e.g. maxOutputTokens).
+ * @returns {Promise<string|null>} The generated text, or null if Gemini is unavailable, blocked or failed.
+ */
+const generateOneShotText = async (prompt, generationConfig = {}) => {
+    if (!genAI) return null;
+    try {
+        const model = genAI.getGenerativeModel({
+            model: config.gemini.model,
+            safetySettings: config.gemini.safetySettings,
+            generationConfig: { ...config.gemini.generationConfig, ...generationConfig },
+        });
+        const result = await model.generateContent(prompt);
+        const text = result.response?.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!text) {
+            logger.debug(`Gemini returned no text for a one-shot prompt (${result.response?.promptFeedback?.blockReason || result.response?.candidates?.[0]?.finishReason || 'no candidates'}).`);
+            return null;
+        }
+        return text.trim();
+    } catch (error) {
+        logger.warn(`One-shot Gemini generation failed: ${error.message}`);
+        return null;
+    }
+};
+
 /**
  * Generates an image using the Vertex AI Imagen model.
  * @param {string} prompt - The image generation prompt.
@@ -254,5 +307,6 @@ const generateImage = async (prompt, discordId) => {
 
 module.exports = {
     generateText,
+    generateOneShotText,
     generateImage
 };
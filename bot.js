@@ -1,12 +1,15 @@
 require('dotenv').config();
 const { Client, GatewayIntentBits, Collection, Partials } = require('discord.js');
-const { Shoukaku, Connectors } = require('shoukaku');
+const { Connectors } = require('shoukaku');
 const path = require('path');
 const fs = require('fs');
 const config = require('./config');
 const logger = require('./utils/logger');
 const connectDB = require('./database/connect');
 const setupSpotifyAuthServer = require('./spotify/webserver');
+const { persistQueueState } = require('./spotify/spotifyPlayer');
+const { setupNodeFailover } = require('./spotify/nodeFailover');
+const { ResumableShoukaku, setupSessionResuming, getResumedPlayerNode } = require('./spotify/lavalinkSession');
 
 const lavalinkNodes = [{
     name: process.env.LAVALINK_NAME || 'local-node',
@@ -14,6 +17,14 @@ const lavalinkNodes = [{
     auth: process.env.LAVALINK_PASSWORD || 'youshallnotpass',
     secure: process.env.LAVALINK_SECURE === 'true'
 }];
+// Backup nodes for failover, as a JSON array of { name, url, auth, secure }
+if (process.env.LAVALINK_EXTRA_NODES) {
+    try {
+        lavalinkNodes.push(...JSON.parse(process.env.LAVALINK_EXTRA_NODES));
+    } catch (error) {
+        logger.error('LAVALINK_EXTRA_NODES is not valid JSON. Using the primary node only.', error);
+    }
+}
 
 const client = new Client({
     intents: [
@@ -36,12 +47,15 @@ client.queues = new Map();
 logger.info("Initializing Shoukaku...");
 const shoukakuOptions = {
     moveOnDisconnect: false,
-    resumable: false,
-    resumableTimeout: 30,
+    resume: true, // Lavalink keeps players alive while we reconnect or restart (see spotify/lavalinkSession.js)
+    resumeTimeout: config.music.sessionResumeTimeout || 60,
     reconnectTries: 10,
     restTimeout: 30000, // Increased for Spotify searches
     userAgent: 'Discord Bot/1.0 (https://github.com/your-repo)',
-    nodeResolver: nodes => {
+    nodeResolver: (nodes, connection) => {
+        // A player resumed from the previous session must stay on the node that still has it
+        const resumedNode = getResumedPlayerNode(connection?.guildId);
+        if (resumedNode?.state === 1) return resumedNode;
         const nodeArray = Array.from(nodes.values());
         logger.debug(`Node states: ${JSON.stringify(nodeArray.map(n => ({ name: n.name, state: n.state, stats: n.stats })), null, 2)}`);
         const sortedNodes = nodeArray
@@ -60,7 +74,8 @@ const shoukakuOptions = {
         return selectedNode;
     }
 };
-const shoukaku = new Shoukaku(new Connectors.DiscordJS(client), lavalinkNodes, shoukakuOptions);
+// Nodes are added by setupSessionResuming once their saved sessions are loaded
+const shoukaku = new ResumableShoukaku(new Connectors.DiscordJS(client), [], shoukakuOptions);
 client.shoukaku = shoukaku;
 logger.info("Shoukaku instance created for v4.1.1 with Connectors.DiscordJS.");
 
@@ -74,12 +89,14 @@ shoukaku.on('error', (name, error) => {
 shoukaku.on('close', (name, code, reason) => {
     logger.warn(`Lavalink Node "${name}" closed. Code: ${code}, Reason: ${reason || 'No reason provided'}`);
 });
-shoukaku.on('disconnect', (name, players, moved) => {
-    logger.warn(`Lavalink Node "${name}" disconnected. Moved ${players.size} players: ${moved}`);
+shoukaku.on('disconnect', (name) => {
+    logger.warn(`Lavalink Node "${name}" disconnected after running out of reconnect tries.`);
 });
 shoukaku.on('debug', (name, info) => {
     logger.debug(`Lavalink Node "${name}" debug: ${info}`);
 });
+setupNodeFailover(client, lavalinkNodes); // Moves players off nodes that go down
+setupSessionResuming(client, lavalinkNodes); // Connects the nodes, resuming the previous session if it is still alive
 
 client.on('voiceServerUpdate', (data) => {
     logger.debug(`Voice server update received for guild ${data.guild_id}: Token=${data.token ? 'Present' : 'Missing'}, Endpoint=${data.endpoint || 'Missing'}, SessionId=${data.session_id || 'Missing'}`);
@@ -91,11 +108,6 @@ client.on('voiceServerUpdate', (data) => {
         logger.warn(`[${data.guild_id}] No player found for voiceServerUpdate event.`);
     }
 });
-client.on('voiceStateUpdate', (oldState, newState) => {
-    logger.debug(`Voice state update for guild ${newState.guild.id}: User=${newState.id}, Channel=${newState.channelId || 'none'}`);
-    // Shoukaku listens to voice state updates internally via Connectors.DiscordJS
-    // You might add custom logic here if needed, but Shoukaku handles the core updates.
-});
 client.on('ready', () => {
     logger.info(`Websocket ping: ${client.ws.ping}ms`);
 });
@@ -175,6 +187,8 @@ signals.forEach(signal => {
             logger.info('Closing Spotify OAuth server...');
             spotifyServer.close();
         }
+        logger.info(`Saving ${client.queues.size} music queue(s) for restore...`);
+        await Promise.all(Array.from(client.queues.values()).map(queue => persistQueueState(queue, true)));
         logger.info('Disconnecting Lavalink nodes...');
         // Destroying the client should handle disconnecting Shoukaku nodes
         // await shoukaku.close(); // Removed this line in a previous fix as it's not a Shoukaku method
@@ -1,6 +1,7 @@
 // commands/ai/chat.js
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { generateText } = require('../../ai/gemini'); // Adjust path
+const { createMusicToolSession, promptForConfirmation } = require('../../spotify/musicAssistant'); // Adjust path
 const logger = require('../../utils/logger'); // Adjust path
 const config = require('../../config'); // Adjust path
 
@@ -24,7 +25,9 @@ module.exports = {
         }
 
         try {
-            const responseText = await generateText(prompt, discordId);
+            // Lets requests like "play something upbeat and skip this song" drive the music player
+            const musicTools = interaction.guild ? createMusicToolSession(interaction) : null;
+            const responseText = await generateText(prompt, discordId, musicTools);
 
             if (!responseText) {
                 return interaction.editReply({ content: 'I seem to be at a loss for words at this moment. Pray, try again later.', ephemeral: true });
@@ -47,9 +50,12 @@ module.exports = {
                 // .addFields({ name: "My Response", value: truncatedResponse })
                 .setTimestamp()
                 .setFooter({ text: config.botName, iconURL: client.user.displayAvatarURL() });
+            if (musicTools?.actions.length > 0) {
+                embed.addFields({ name: '🎶 Music', value: musicTools.actions.join('\n').substring(0, config.embedLimits.fieldValue) });
+            }
 
-
-            await interaction.editReply({ embeds: [embed] });
+            const reply = await interaction.editReply({ embeds: [embed] });
+            if (musicTools) await promptForConfirmation(reply, musicTools, discordId, interaction.id);
 
         } catch (error) {
             logger.error(`Error in /chat command for user ${discordId}:`, error);
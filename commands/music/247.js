@@ -0,0 +1,52 @@
+// commands/music/247.js
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { isStayInChannelEnabled, setStayInChannelEnabled, clearAloneTimeout } = require('../../spotify/voicePresence'); // Adjust path
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('247')
+        .setDescription('Keeps me in the voice channel even when the queue ends or everyone leaves.')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addBooleanOption(option =>
+            option.setName('enabled')
+                .setDescription('Turn 24/7 mode on or off (leave empty to toggle).')
+                .setRequired(false)),
+
+    async execute(interaction, client, userProfile) {
+        const guildId = interaction.guild.id;
+
+        await interaction.deferReply();
+
+        try {
+            const requested = interaction.options.getBoolean('enabled');
+            const enabled = requested ?? !(await isStayInChannelEnabled(guildId));
+            await setStayInChannelEnabled(guildId, enabled);
+            logger.info(`[${guildId}] 24/7 mode set to ${enabled} by ${interaction.user.tag}.`);
+
+            // Cancel any pending leave so the change applies right away
+            const queue = client.queues.get(guildId);
+            if (queue && enabled) {
+                if (queue.leaveTimeout) {
+                    clearTimeout(queue.leaveTimeout);
+                    queue.leaveTimeout = null;
+                }
+                clearAloneTimeout(queue);
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor(config.colors.music)
+                .setTitle(enabled ? '🕒 24/7 Mode Enabled' : '24/7 Mode Disabled')
+                .setDescription(enabled
+                    ? 'I will stay in the voice channel when the queue ends or everyone leaves. Playback still pauses while nobody is listening.'
+                    : `I will leave the voice channel after ${config.music.leaveTimeout || 60} seconds when the queue ends or everyone leaves.`)
+                .setFooter({ text: `Requested by ${interaction.user.tag}` })
+                .setTimestamp();
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`[${guildId}] Error changing 24/7 setting:`, error);
+            await interaction.editReply({ content: 'An error occurred while changing the 24/7 setting.', embeds: [] }).catch(e => logger.error("Failed to edit reply on 247 error:", e));
+        }
+    },
+};
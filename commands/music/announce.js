@@ -0,0 +1,42 @@
+// commands/music/announce.js
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { isAnnouncementEnabled, setAnnouncementEnabled } = require('../../spotify/trackAnnouncements'); // Adjust path
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('announce')
+        .setDescription('Announces each track by voice when it starts ("Next up: ...").')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addBooleanOption(option =>
+            option.setName('enabled')
+                .setDescription('Turn track announcements on or off (leave empty to toggle).')
+                .setRequired(false)),
+
+    async execute(interaction, client, userProfile) {
+        const guildId = interaction.guild.id;
+
+        await interaction.deferReply();
+
+        try {
+            const requested = interaction.options.getBoolean('enabled');
+            const enabled = requested ?? !(await isAnnouncementEnabled(guildId));
+            await setAnnouncementEnabled(guildId, enabled);
+            logger.info(`[${guildId}] Track announcements set to ${enabled} by ${interaction.user.tag}.`);
+
+            const embed = new EmbedBuilder()
+                .setColor(config.colors.music)
+                .setTitle(enabled ? '📢 Track Announcements Enabled' : 'Track Announcements Disabled')
+                .setDescription(enabled
+                    ? 'I will announce each track in the voice channel when it starts. Members can opt out for the tracks they request with `/settings set tts_enabled:False`.'
+                    : 'I will no longer announce tracks in the voice channel.')
+                .setFooter({ text: `Requested by ${interaction.user.tag}` })
+                .setTimestamp();
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`[${guildId}] Error changing announcement setting:`, error);
+            await interaction.editReply({ content: 'An error occurred while changing the announcement setting.', embeds: [] }).catch(e => logger.error("Failed to edit reply on announce error:", e));
+        }
+    },
+};
@@ -0,0 +1,47 @@
+// commands/music/autoplay.js
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { isAutoplayEnabled, setAutoplayEnabled } = require('../../spotify/autoplay'); // Adjust path
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('autoplay')
+        .setDescription('Keeps the music going with related tracks when the queue runs out.')
+        .addBooleanOption(option =>
+            option.setName('enabled')
+                .setDescription('Turn autoplay on or off (leave empty to toggle).')
+                .setRequired(false)),
+
+    async execute(interaction, client, userProfile) {
+        const guildId = interaction.guild.id;
+        const queue = client.queues.get(guildId);
+
+        // --- Pre-checks ---
+        if (queue && interaction.member.voice.channel?.id !== queue.voiceChannelId) {
+            return interaction.reply({ content: 'You must be in the same voice channel as me to change autoplay.', ephemeral: true });
+        }
+
+        await interaction.deferReply();
+
+        try {
+            const requested = interaction.options.getBoolean('enabled');
+            const enabled = requested ?? !(await isAutoplayEnabled(guildId));
+            await setAutoplayEnabled(guildId, enabled);
+            logger.info(`[${guildId}] Autoplay set to ${enabled} by ${interaction.user.tag}.`);
+
+            const embed = new EmbedBuilder()
+                .setColor(config.colors.music)
+                .setTitle(enabled ? '📻 Autoplay Enabled' : 'Autoplay Disabled')
+                .setDescription(enabled
+                    ? 'When the queue runs out, I will add tracks related to what was played recently. They show as requested by **Autoplay**.'
+                    : 'Playback will stop when the queue runs out.')
+                .setFooter({ text: `Requested by ${interaction.user.tag}` })
+                .setTimestamp();
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`[${guildId}] Error changing autoplay setting:`, error);
+            await interaction.editReply({ content: 'An error occurred while changing the autoplay setting.', embeds: [] }).catch(e => logger.error("Failed to edit reply on autoplay error:", e));
+        }
+    },
+};
@@ -0,0 +1,74 @@
+// commands/music/controlchannel.js
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { getControlChannelId, setControlChannel } = require('../../spotify/controlChannel'); // Adjust path
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('controlchannel')
+        .setDescription('Manages the music request channel for this server.')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set')
+                .setDescription('Turns a channel into the music request channel.')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('The text channel where every message is treated as a song request.')
+                        .setRequired(true)
+                        .addChannelTypes(ChannelType.GuildText)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('disable')
+                .setDescription('Turns off the music request channel.'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('refresh')
+                .setDescription('Re-posts the control panel if it was deleted or unpinned.')),
+
+    async execute(interaction, client, userProfile) {
+        const guildId = interaction.guild.id;
+        const subcommand = interaction.options.getSubcommand();
+
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            let description;
+            if (subcommand === 'set') {
+                const channel = interaction.options.getChannel('channel');
+                const permissions = channel.permissionsFor(client.user);
+                if (!permissions?.has(['ViewChannel', 'SendMessages', 'ManageMessages', 'EmbedLinks'])) {
+                    return interaction.editReply({ content: `I need the View Channel, Send Messages, Manage Messages and Embed Links permissions in ${channel}.` });
+                }
+                await setControlChannel(interaction.guild, channel);
+                description = `${channel} is now the music request channel. Any message typed there will be queued and then removed.`;
+            } else if (subcommand === 'disable') {
+                await setControlChannel(interaction.guild, null);
+                description = 'The music request channel has been turned off.';
+            } else {
+                const channelId = await getControlChannelId(guildId);
+                if (!channelId) {
+                    return interaction.editReply({ content: 'This server has no music request channel. Use `/controlchannel set` first.' });
+                }
+                const channel = interaction.guild.channels.cache.get(channelId);
+                if (!channel) {
+                    return interaction.editReply({ content: 'The configured music request channel no longer exists. Use `/controlchannel set` to choose another.' });
+                }
+                await setControlChannel(interaction.guild, channel); // Deletes the old panel and posts a fresh one
+                description = `The control panel in ${channel} has been refreshed.`;
+            }
+            logger.info(`[${guildId}] /controlchannel ${subcommand} by ${interaction.user.tag}.`);
+
+            const embed = new EmbedBuilder()
+                .setColor(config.colors.success)
+                .setTitle('Music Request Channel')
+                .setDescription(description)
+                .setTimestamp();
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`[${guildId}] Error updating control channel:`, error);
+            await interaction.editReply({ content: 'An error occurred while updating the music request channel.', embeds: [] }).catch(e => logger.error("Failed to edit reply on controlchannel error:", e));
+        }
+    },
+};
@@ -0,0 +1,77 @@
+// commands/music/dj.js
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const GuildSettings = require('../../database/models/GuildSettings'); // Adjust path
+const { getDjSettings } = require('../../spotify/musicPermissions'); // Adjust path
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('dj')
+        .setDescription('Configures who controls the music in this server.')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Shows the DJ role and vote-skip settings.'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('role')
+                .setDescription('Sets the DJ role. Without one, every listener is a DJ.')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('The DJ role (leave empty to remove it).')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('voteskip')
+                .setDescription('Sets the share of listeners whose votes skip a track.')
+                .addIntegerOption(option =>
+                    option.setName('percent')
+                        .setDescription('Percentage of listeners in the voice channel (1-100).')
+                        .setRequired(true)
+                        .setMinValue(1)
+                        .setMaxValue(100))),
+
+    async execute(interaction, client, userProfile) {
+        const guildId = interaction.guild.id;
+        const subcommand = interaction.options.getSubcommand();
+
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            if (subcommand === 'role') {
+                const role = interaction.options.getRole('role');
+                await GuildSettings.findOneAndUpdate(
+                    { guildId: guildId },
+                    { $set: { 'music.djRoleId': role?.id ?? null } },
+                    { upsert: true, setDefaultsOnInsert: true }
+                );
+                logger.info(`[${guildId}] DJ role ${role ? `set to ${role.name}` : 'removed'} by ${interaction.user.tag}.`);
+            } else if (subcommand === 'voteskip') {
+                const percent = interaction.options.getInteger('percent');
+                await GuildSettings.findOneAndUpdate(
+                    { guildId: guildId },
+                    { $set: { 'music.voteSkipPercent': percent } },
+                    { upsert: true, setDefaultsOnInsert: true }
+                );
+                logger.info(`[${guildId}] Vote-skip threshold set to ${percent}% by ${interaction.user.tag}.`);
+            }
+
+            const { djRoleId, voteSkipPercent } = await getDjSettings(guildId);
+            const embed = new EmbedBuilder()
+                .setColor(subcommand === 'view' ? config.colors.primary : config.colors.success)
+                .setTitle(subcommand === 'view' ? 'DJ Settings' : 'DJ Settings Updated')
+                .addFields(
+                    { name: '🎧 DJ Role', value: djRoleId ? `<@&${djRoleId}>` : 'None (every listener is a DJ)', inline: true },
+                    { name: '🗳️ Vote Skip', value: `${voteSkipPercent}% of listeners`, inline: true },
+                )
+                .setDescription('DJs and members with Manage Server can skip, stop, clear the queue and jump ahead. Others vote to skip, but can always skip tracks they requested.')
+                .setTimestamp();
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`[${guildId}] Error updating DJ settings:`, error);
+            await interaction.editReply({ content: 'An error occurred while updating the DJ settings.', embeds: [] }).catch(e => logger.error("Failed to edit reply on dj error:", e));
+        }
+    },
+};
@@ -0,0 +1,94 @@
+// commands/music/filter.js
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { applyQueueFilter } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { FILTER_PRESETS, buildPresetFilter, buildTimescaleFilter } = require('../../spotify/audioFilters'); // Adjust path
+const { checkMusicPermission } = require('../../spotify/musicPermissions'); // Adjust path
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('filter')
+        .setDescription('Applies audio filters to the music.')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('preset')
+                .setDescription('Applies a filter preset (replaces any active filters).')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('The filter preset to apply.')
+                        .setRequired(true)
+                        .addChoices(
+                            ...Object.entries(FILTER_PRESETS).map(([key, preset]) => ({ name: preset.name, value: key }))
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('speed')
+                .setDescription('Changes the playback speed (keeps other active filters).')
+                .addNumberOption(option =>
+                    option.setName('value')
+                        .setDescription('Speed multiplier (1.0 is normal).')
+                        .setRequired(true)
+                        .setMinValue(0.5)
+                        .setMaxValue(2.0)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('pitch')
+                .setDescription('Changes the pitch (keeps other active filters).')
+                .addNumberOption(option =>
+                    option.setName('value')
+                        .setDescription('Pitch multiplier (1.0 is normal).')
+                        .setRequired(true)
+                        .setMinValue(0.5)
+                        .setMaxValue(2.0)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reset')
+                .setDescription('Removes all audio filters.')),
+
+    async execute(interaction, client, userProfile) {
+        const guildId = interaction.guild.id;
+        const queue = client.queues.get(guildId);
+        const subcommand = interaction.options.getSubcommand();
+
+        // --- Pre-checks ---
+        if (!queue || !queue.lavalinkPlayer) {
+            return interaction.reply({ content: 'There is no music playing to apply filters to.', ephemeral: true });
+        }
+        const denied = await checkMusicPermission(interaction.member, queue);
+        if (denied) {
+            return interaction.reply({ content: denied, ephemeral: true });
+        }
+
+        let activeFilter = null;
+        if (subcommand === 'preset') {
+            activeFilter = buildPresetFilter(interaction.options.getString('name'));
+            if (!activeFilter) {
+                return interaction.reply({ content: 'Unknown filter preset.', ephemeral: true });
+            }
+        } else if (subcommand === 'speed' || subcommand === 'pitch') {
+            activeFilter = buildTimescaleFilter(queue.activeFilter, subcommand, interaction.options.getNumber('value'));
+        }
+        // 'reset' leaves activeFilter as null
+
+        await interaction.deferReply();
+
+        try {
+            await applyQueueFilter(queue, activeFilter);
+            logger.info(`[${guildId}] /filter ${subcommand} by ${interaction.user.tag}: ${activeFilter?.name || 'reset'}`);
+
+            const embed = new EmbedBuilder()
+                .setColor(config.colors.music)
+                .setTitle(activeFilter ? 'Filter Applied' : 'Filters Reset')
+                .setDescription(activeFilter
+                    ? `Now playing with **${activeFilter.name}**. It will stay active for upcoming tracks.`
+                    : 'All audio filters have been removed.')
+                .setFooter({ text: `Requested by ${interaction.user.tag}` })
+                .setTimestamp();
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`[${guildId}] Error applying filter:`, error);
+            await interaction.editReply({ content: 'An error occurred while applying the filter.', embeds: [] }).catch(e => logger.error("Failed to edit reply on filter error:", e));
+        }
+    },
+};
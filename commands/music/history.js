@@ -0,0 +1,147 @@
+// commands/music/history.js
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { enqueueSongs } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { getHistory } = require('../../spotify/playbackHistory'); // Adjust path
+const { checkCanQueue } = require('../../spotify/musicPermissions'); // Adjust path
+
+const MAX_FIELDS = 10; // Max tracks to display per page
+
+/**
+ * Builds the history embed and its components for a page.
+ * @param {Array<object>} history - The guild's history entries, newest first.
+ * @param {number} page - The page to show (1-based).
+ * @param {string} interactionId - Used to make component IDs unique to this reply.
+ * @returns {{embed: EmbedBuilder, components: ActionRowBuilder[]}} The reply payload parts.
+ */
+function buildHistoryPage(history, page, interactionId) {
+    const totalPages = Math.max(1, Math.ceil(history.length / MAX_FIELDS));
+    const startIndex = (page - 1) * MAX_FIELDS;
+    const pageTracks = history.slice(startIndex, startIndex + MAX_FIELDS);
+
+    const trackList = pageTracks.map((track, index) => {
+        const playedAt = Math.floor(track.playedAt / 1000);
+        return `\`${startIndex + index + 1}.\` [${track.title}](${track.url}) | ${track.duration || 'N/A'} | Req: ${track.requestedBy} | <t:${playedAt}:R>`;
+    }).join('\n');
+
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.music)
+        .setTitle(`Recently Played (Page ${page}/${totalPages})`)
+        .setDescription(trackList || 'No tracks on this page.')
+        .setFooter({ text: `Total Tracks: ${history.length} | Select a track below to queue it again` })
+        .setTimestamp();
+
+    const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId(`history_select_${interactionId}`)
+        .setPlaceholder('Queue a track again...')
+        .addOptions(pageTracks.map((track, index) => ({
+            label: `${startIndex + index + 1}. ${track.title}`.substring(0, 100),
+            description: `${track.duration || 'N/A'} | Req: ${track.requestedBy}`.substring(0, 100),
+            value: String(startIndex + index), // Index into the history at the time the page was built
+        })));
+
+    const buttonRow = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`history_prev_${interactionId}`)
+                .setLabel('⬅️ Previous')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(page === 1),
+            new ButtonBuilder()
+                .setCustomId(`history_next_${interactionId}`)
+                .setLabel('Next ➡️')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(page === totalPages)
+        );
+
+    return { embed, components: [new ActionRowBuilder().addComponents(selectMenu), buttonRow] };
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('history')
+        .setDescription('Shows recently played tracks and lets you queue them again.')
+        .addIntegerOption(option =>
+            option.setName('page')
+                .setDescription(`The page number to display (Page 1 = the ${MAX_FIELDS} most recent tracks)`)
+                .setRequired(false)
+                .setMinValue(1)),
+
+    async execute(interaction, client, userProfile) {
+        const guildId = interaction.guild.id;
+        // Copy so pages and select menu indexes stay stable while new tracks finish
+        const history = [...getHistory(guildId)];
+
+        if (history.length === 0) {
+            const embed = new EmbedBuilder()
+                .setColor(config.colors.warning)
+                .setTitle('No History')
+                .setDescription('No tracks have finished playing in this server yet.');
+            return interaction.reply({ embeds: [embed] });
+        }
+
+        let page = interaction.options.getInteger('page') || 1;
+        const totalPages = Math.ceil(history.length / MAX_FIELDS);
+        if (page > totalPages) {
+            return interaction.reply({ content: `Invalid page number. There are only ${totalPages} pages of history.`, ephemeral: true });
+        }
+
+        const { embed, components } = buildHistoryPage(history, page, interaction.id);
+        const message = await interaction.reply({ embeds: [embed], components: components, fetchReply: true });
+
+        // --- Collector for pagination and re-queuing ---
+        const filter = i => i.customId.endsWith(`_${interaction.id}`) && i.user.id === interaction.user.id;
+        const collector = message.createMessageComponentCollector({ filter, time: 90000 });
+
+        collector.on('collect', async i => {
+            if (i.isButton()) {
+                await i.deferUpdate();
+                page += i.customId.startsWith('history_prev_') ? -1 : 1;
+                page = Math.min(Math.max(page, 1), totalPages);
+                const updated = buildHistoryPage(history, page, interaction.id);
+                await interaction.editReply({ embeds: [updated.embed], components: updated.components });
+                return;
+            }
+
+            // Select menu: queue the chosen track again
+            const track = history[parseInt(i.values[0], 10)];
+            if (!track) {
+                return i.reply({ content: 'That track is no longer available.', ephemeral: true });
+            }
+            const denied = checkCanQueue(i.member, client.queues.get(guildId));
+            if (denied) {
+                return i.reply({ content: denied, ephemeral: true });
+            }
+
+            await i.deferReply();
+            try {
+                const { playedAt, autoplay, ...song } = track; // History-only fields
+                const requeued = { ...song, requestedBy: i.user.tag, requesterId: i.user.id };
+                const result = await enqueueSongs(i, i.member.voice.channel, [requeued]);
+                if (result.error) {
+                    return i.editReply({ content: result.error });
+                }
+                logger.info(`[${guildId}] Re-queued "${track.title}" from history by ${i.user.tag}.`);
+
+                const position = result.queue.songs.indexOf(requeued) + 1; // 0 if it started playing right away
+                const addEmbed = new EmbedBuilder()
+                    .setColor(config.colors.success)
+                    .setTitle(`Track Added: ${requeued.title}`)
+                    .setURL(requeued.url)
+                    .setDescription(position > 0 ? `Queued again from history.\nPosition in queue: **${position}**` : 'Queued again from history. Now playing.')
+                    .setThumbnail(requeued.thumbnail)
+                    .setFooter({ text: `Requested by ${i.user.tag}` });
+                await i.editReply({ embeds: [addEmbed] });
+            } catch (error) {
+                logger.error(`[${guildId}] Error re-queuing track from history:`, error);
+                await i.editReply({ content: 'An error occurred while queuing that track.' }).catch(() => {});
+            }
+        });
+
+        collector.on('end', () => {
+            // Remove components after timeout
+            interaction.editReply({ components: [] }).catch(e => logger.warn("Failed to remove history components on collector end:", e));
+        });
+    },
+};
@@ -0,0 +1,240 @@
+// commands/music/likes.js
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { enqueueSongs, shuffleSongs } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { getLikedTracks, removeLikedTrack } = require('../../spotify/likes'); // Adjust path
+const { savedTrackToSong } = require('../../spotify/trackLoader'); // Adjust path
+const { formatRejectedTracks } = require('../../spotify/queuePolicy'); // Adjust path
+const { checkCanQueue } = require('../../spotify/musicPermissions'); // Adjust path
+
+const MAX_FIELDS = 10; // Max tracks to display per page
+
+/**
+ * Builds the likes embed and its components for a page.
+ * @param {Array<object>} likes - The user's liked tracks, newest first.
+ * @param {number} page - The page to show (1-based).
+ * @param {import('discord.js').User} user - The user whose likes are shown.
+ * @param {string} interactionId - Used to make component IDs unique to this reply.
+ * @returns {{embed: EmbedBuilder, components: ActionRowBuilder[]}} The reply payload parts.
+ */
+function buildLikesPage(likes, page, user, interactionId) {
+    const totalPages = Math.max(1, Math.ceil(likes.length / MAX_FIELDS));
+    const startIndex = (page - 1) * MAX_FIELDS;
+    const pageTracks = likes.slice(startIndex, startIndex + MAX_FIELDS);
+
+    const trackList = pageTracks.map((track, index) => {
+        const likedAt = Math.floor(new Date(track.likedAt).getTime() / 1000);
+        return `\`${startIndex + index + 1}.\` [${track.title}](${track.url}) | ${track.duration || 'N/A'} | <t:${likedAt}:R>`;
+    }).join('\n');
+
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.music)
+        .setTitle(`❤️ ${user.username}'s Likes (Page ${page}/${totalPages})`)
+        .setDescription(trackList || 'No tracks on this page.')
+        .setFooter({ text: `Total Tracks: ${likes.length} | Select a track below to queue it` })
+        .setTimestamp();
+
+    const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId(`likes_select_${interactionId}`)
+        .setPlaceholder('Queue a liked track...')
+        .addOptions(pageTracks.map((track, index) => ({
+            label: `${startIndex + index + 1}. ${track.title}`.substring(0, 100),
+            description: `${track.author || 'Unknown artist'} | ${track.duration || 'N/A'}`.substring(0, 100),
+            value: String(startIndex + index), // Index into the likes at the time the page was built
+        })));
+
+    const buttonRow = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`likes_prev_${interactionId}`)
+                .setLabel('⬅️ Previous')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(page === 1),
+            new ButtonBuilder()
+                .setCustomId(`likes_next_${interactionId}`)
+                .setLabel('Next ➡️')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(page === totalPages)
+        );
+
+    return { embed, components: [new ActionRowBuilder().addComponents(selectMenu), buttonRow] };
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('likes')
+        .setDescription('Browse and play the tracks you liked with the ❤️ button.')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Shows your liked tracks and lets you queue them.')
+                .addIntegerOption(option =>
+                    option.setName('page')
+                        .setDescription('The page number to display.')
+                        .setRequired(false)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('play')
+                .setDescription('Adds all your liked tracks to the queue.')
+                .addBooleanOption(option =>
+                    option.setName('shuffle')
+                        .setDescription('Shuffle the tracks before adding them.')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Removes a track from your likes.')
+                .addIntegerOption(option =>
+                    option.setName('position')
+                        .setDescription('Position of the track in /likes view.')
+                        .setRequired(true)
+                        .setMinValue(1))),
+
+    async execute(interaction, client, userProfile) {
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'play') return playLikes(interaction, client);
+        if (subcommand === 'remove') return removeLike(interaction);
+        return showLikes(interaction, client);
+    },
+};
+
+/**
+ * Replies with a paginated view of the user's likes, with a select menu to queue one.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /likes view interaction.
+ * @param {import('discord.js').Client} client - The Discord client.
+ */
+async function showLikes(interaction, client) {
+    const guildId = interaction.guild.id;
+    const likes = await getLikedTracks(interaction.user.id);
+
+    if (likes.length === 0) {
+        const embed = new EmbedBuilder()
+            .setColor(config.colors.warning)
+            .setTitle('No Likes Yet')
+            .setDescription('Press ❤️ on the Now Playing message to save the current track here.');
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    let page = interaction.options.getInteger('page') || 1;
+    const totalPages = Math.ceil(likes.length / MAX_FIELDS);
+    if (page > totalPages) {
+        return interaction.reply({ content: `Invalid page number. You only have ${totalPages} pages of likes.`, ephemeral: true });
+    }
+
+    const { embed, components } = buildLikesPage(likes, page, interaction.user, interaction.id);
+    const message = await interaction.reply({ embeds: [embed], components: components, fetchReply: true });
+
+    // --- Collector for pagination and queuing ---
+    const filter = i => i.customId.endsWith(`_${interaction.id}`) && i.user.id === interaction.user.id;
+    const collector = message.createMessageComponentCollector({ filter, time: 90000 });
+
+    collector.on('collect', async i => {
+        if (i.isButton()) {
+            await i.deferUpdate();
+            page += i.customId.startsWith('likes_prev_') ? -1 : 1;
+            page = Math.min(Math.max(page, 1), totalPages);
+            const updated = buildLikesPage(likes, page, interaction.user, interaction.id);
+            await interaction.editReply({ embeds: [updated.embed], components: updated.components });
+            return;
+        }
+
+        // Select menu: queue the chosen track
+        const track = likes[parseInt(i.values[0], 10)];
+        if (!track) {
+            return i.reply({ content: 'That track is no longer available.', ephemeral: true });
+        }
+        const denied = checkCanQueue(i.member, client.queues.get(guildId));
+        if (denied) {
+            return i.reply({ content: denied, ephemeral: true });
+        }
+
+        await i.deferReply();
+        try {
+            const song = savedTrackToSong(track, i.user);
+            const result = await enqueueSongs(i, i.member.voice.channel, [song]);
+            if (result.error) {
+                return i.editReply({ content: result.error });
+            }
+            logger.info(`[${guildId}] Queued liked track "${track.title}" for ${i.user.tag}.`);
+
+            const position = result.queue.songs.indexOf(song) + 1; // 0 if it started playing right away
+            const addEmbed = new EmbedBuilder()
+                .setColor(config.colors.success)
+                .setTitle(`Track Added: ${song.title}`)
+                .setURL(song.url)
+                .setDescription(position > 0 ? `Queued from your likes.\nPosition in queue: **${position}**` : 'Queued from your likes. Now playing.')
+                .setThumbnail(song.thumbnail)
+                .setFooter({ text: `Requested by ${i.user.tag}` });
+            await i.editReply({ embeds: [addEmbed] });
+        } catch (error) {
+            logger.error(`[${guildId}] Error queuing liked track:`, error);
+            await i.editReply({ content: 'An error occurred while queuing that track.' }).catch(() => {});
+        }
+    });
+
+    collector.on('end', () => {
+        // Remove components after timeout
+        interaction.editReply({ components: [] }).catch(e => logger.warn("Failed to remove likes components on collector end:", e));
+    });
+}
+
+/**
+ * Queues all of the user's likes.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /likes play interaction.
+ * @param {import('discord.js').Client} client - The Discord client.
+ */
+async function playLikes(interaction, client) {
+    const guildId = interaction.guild.id;
+    const denied = checkCanQueue(interaction.member, client.queues.get(guildId));
+    if (denied) {
+        return interaction.reply({ content: denied, ephemeral: true });
+    }
+
+    await interaction.deferReply();
+    try {
+        const likes = await getLikedTracks(interaction.user.id);
+        if (likes.length === 0) {
+            return interaction.editReply({ content: 'You have no liked tracks yet. Press ❤️ on the Now Playing message to save one.' });
+        }
+
+        const songs = likes.reverse().map(track => savedTrackToSong(track, interaction.user)); // Oldest first, in the order they were liked
+        const shuffle = interaction.options.getBoolean('shuffle');
+        if (shuffle) shuffleSongs(songs);
+
+        const result = await enqueueSongs(interaction, interaction.member.voice.channel, songs, { fromPlaylist: true });
+        if (result.error) {
+            return interaction.editReply({ content: result.error });
+        }
+        logger.info(`[${guildId}] Queued ${result.addedCount} liked track(s) for ${interaction.user.tag}${shuffle ? ' (shuffled)' : ''}.`);
+
+        const embed = new EmbedBuilder()
+            .setColor(config.colors.success)
+            .setTitle('❤️ Likes Added')
+            .setDescription(`Added **${result.addedCount}** of your liked track(s) to the queue${shuffle ? ' in random order' : ''}.`)
+            .setFooter({ text: `Requested by ${interaction.user.tag}` });
+        if (result.rejected.length > 0) {
+            embed.addFields({ name: `Not Added (${result.rejected.length})`, value: formatRejectedTracks(result.rejected) });
+        }
+        await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+        logger.error(`[${guildId}] Error queuing liked tracks:`, error);
+        await interaction.editReply({ content: 'An error occurred while queuing your likes.', embeds: [] }).catch(() => {});
+    }
+}
+
+/**
+ * Removes a track from the user's likes by its position in /likes view.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /likes remove interaction.
+ */
+async function removeLike(interaction) {
+    const position = interaction.options.getInteger('position');
+    const likes = await getLikedTracks(interaction.user.id);
+    const track = likes[position - 1];
+    if (!track) {
+        return interaction.reply({ content: `You only have ${likes.length} liked track(s).`, ephemeral: true });
+    }
+    await removeLikedTrack(interaction.user.id, track.lavalinkTrack);
+    await interaction.reply({ content: `💔 Removed **${track.title}** from your likes.`, ephemeral: true });
+}
@@ -0,0 +1,52 @@
+// commands/music/loop.js
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { LOOP_MODES, formatLoopMode, updateNowPlayingMessage, persistQueueState } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { checkMusicPermission } = require('../../spotify/musicPermissions'); // Adjust path
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('loop')
+        .setDescription('Sets the loop mode for the music queue.')
+        .addStringOption(option =>
+            option.setName('mode')
+                .setDescription('Off, repeat the current track, or cycle through the whole queue.')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'Off', value: LOOP_MODES.OFF },
+                    { name: 'Track', value: LOOP_MODES.TRACK },
+                    { name: 'Queue', value: LOOP_MODES.QUEUE },
+                )),
+
+    async execute(interaction, client, userProfile) {
+        const guildId = interaction.guild.id;
+        const queue = client.queues.get(guildId);
+        const mode = interaction.options.getString('mode');
+
+        // --- Pre-checks ---
+        if (!queue) {
+            return interaction.reply({ content: 'There is no music queue to loop at present.', ephemeral: true });
+        }
+        const denied = await checkMusicPermission(interaction.member, queue);
+        if (denied) {
+            return interaction.reply({ content: denied, ephemeral: true });
+        }
+
+        const previousMode = queue.loop;
+        queue.loop = mode;
+        logger.info(`[${guildId}] Loop mode set from ${previousMode} to ${mode} by ${interaction.user.tag}.`);
+
+        await persistQueueState(queue, true);
+        await updateNowPlayingMessage(queue).catch(e => logger.error("Error updating NP message on loop change:", e));
+
+        const embed = new EmbedBuilder()
+            .setColor(config.colors.music)
+            .setTitle('Loop Mode Updated')
+            .setDescription(`Loop mode is now **${formatLoopMode(mode)}**.`)
+            .setFooter({ text: `Set by ${interaction.user.tag}` })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed] });
+    },
+};
@@ -1,8 +1,40 @@
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const logger = require('../../utils/logger');
-const config = require('../../config');
-// You'll likely need a lyrics fetching library or API here.
-// Example: const lyricsFinder = require('lyrics-finder');
+// commands/music/lyrics.js
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { cleanTrackInfo, findLyrics, paginateLyrics, startLiveLyrics } = require('../../spotify/lyrics'); // Adjust path
+
+/**
+ * Builds one page of the lyrics embed and its pagination buttons.
+ * @param {object} lyrics - The lyrics (from findLyrics).
+ * @param {string[]} pages - The lyrics split into pages.
+ * @param {number} page - The page to show (1-based).
+ * @param {string} interactionId - Used to make button IDs unique to this reply.
+ * @returns {{embed: EmbedBuilder, components: ActionRowBuilder[]}} The reply payload parts.
+ */
+function buildLyricsPage(lyrics, pages, page, interactionId) {
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.info)
+        .setTitle(`📜 ${lyrics.author ? `${lyrics.author} - ` : ''}${lyrics.title}`.substring(0, 256))
+        .setDescription(pages[page - 1])
+        .setFooter({ text: `Page ${page}/${pages.length} | Lyrics from ${lyrics.source}` });
+    if (pages.length === 1) return { embed, components: [] };
+
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`lyrics_prev_${interactionId}`)
+                .setLabel('⬅️ Previous')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(page === 1),
+            new ButtonBuilder()
+                .setCustomId(`lyrics_next_${interactionId}`)
+                .setLabel('Next ➡️')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(page === pages.length)
+        );
+    return { embed, components: [row] };
+}
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -10,66 +42,80 @@ module.exports = {
         .setDescription('Finds and displays lyrics for the current or a specified track.')
         .addStringOption(option =>
             option.setName('query')
-                .setDescription('The song title or artist to search for lyrics (optional).')),
+                .setDescription('The song to search for, e.g. "Artist - Title" (default: the current track).')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('live')
+                .setDescription('Follow the current track line by line (needs synced lyrics).')
+                .setRequired(false)),
 
     async execute(interaction, client) {
         const guildId = interaction.guild.id;
         const query = interaction.options.getString('query');
-        const player = client.lavalink.getPlayer(guildId); // Get the player
-
-        // Defer reply
-        try {
-            await interaction.deferReply();
-        } catch (deferError) {
-            logger.error(`[${guildId}] Failed to defer reply for /lyrics:`, deferError);
-            return;
-        }
-
-        let trackTitle = query;
+        const live = interaction.options.getBoolean('live') || false;
+        const queue = client.queues?.get(guildId);
 
-        // If no query is provided, try to get lyrics for the current track
-        if (!trackTitle) {
-            if (!player || !player.queue.current) {
-                logger.debug(`[${guildId}] /lyrics command used without query and nothing is playing.`);
-                return interaction.editReply({ content: 'There is nothing currently playing, and no song title was provided.' }).catch(() => {});
-            }
-            trackTitle = player.queue.current.info.title; // Use track.info.title
-            logger.debug(`[${guildId}] Searching for lyrics for current track: "${trackTitle}"`);
+        // --- Work out what to search for ---
+        let track;
+        if (query) {
+            track = { ...cleanTrackInfo(query, null), durationMs: null };
+        } else if (queue?.currentTrack) {
+            const { title, author, rawDurationMs, isStream } = queue.currentTrack;
+            track = { ...cleanTrackInfo(title, author), durationMs: isStream ? null : rawDurationMs };
         } else {
-             logger.debug(`[${guildId}] Searching for lyrics for query: "${trackTitle}"`);
+            return interaction.reply({ content: 'There is nothing currently playing, and no song title was provided.', ephemeral: true });
         }
-
-        if (!trackTitle) {
-             return interaction.editReply({ content: 'Could not determine the track title to search for lyrics.' }).catch(() => {});
+        if (live && (query || !queue?.currentTrack)) {
+            return interaction.reply({ content: 'Live lyrics follow the current track, so they can\'t be used with a search query.', ephemeral: true });
         }
 
-        try {
-            // --- Lyrics Fetching Logic ---
-            // This is where you would integrate a lyrics fetching library or API.
-            // Replace this placeholder with actual lyrics fetching code.
-            // Example using a hypothetical lyricsFinder library:
-            // const lyrics = await lyricsFinder(trackTitle, ''); // Search by title only for simplicity
+        await interaction.deferReply();
+        logger.debug(`[${guildId}] Searching for lyrics: "${track.author ? `${track.author} - ` : ''}${track.title}"`);
 
-            const lyrics = `(Lyrics fetching not implemented yet. Implement a lyrics fetching library here for "${trackTitle}")`; // Placeholder lyrics
+        try {
+            const lyrics = await findLyrics(track, guildId);
+            if (!lyrics) {
+                return interaction.editReply({ content: `❌ Could not find lyrics for "${track.title}".` });
+            }
+            if (lyrics.instrumental && !lyrics.text) {
+                return interaction.editReply({ content: `🎼 "${lyrics.title}" is an instrumental track.` });
+            }
 
-            if (!lyrics || lyrics === '(Lyrics fetching not implemented yet. Implement a lyrics fetching library here for "undefined")') { // Check for placeholder or no lyrics found
-                 return interaction.editReply({ content: `❌ Could not find lyrics for "${trackTitle}".` }).catch(() => {});
+            // --- Live mode ---
+            if (live) {
+                if (lyrics.lines && queue.currentTrack) {
+                    const message = await interaction.editReply({ content: '', embeds: [new EmbedBuilder().setColor(config.colors.music).setDescription('🎤 Starting live lyrics...')] });
+                    startLiveLyrics(queue, message, lyrics);
+                    logger.info(`[${guildId}] Live lyrics started for "${lyrics.title}" by ${interaction.user.tag}.`);
+                    return;
+                }
+                await interaction.followUp({ content: `Only plain lyrics are available for "${lyrics.title}", so they can't follow along live.`, ephemeral: true }).catch(() => {});
             }
 
-            // --- Embed Color Fix ---
-            const infoColor = config?.colors?.info ?? 0x0099FF;
-            logger.debug(`[${guildId}] Using color for lyrics embed: ${infoColor}`);
+            // --- Paginated lyrics ---
+            const pages = paginateLyrics(lyrics.text);
+            let page = 1;
+            const { embed, components } = buildLyricsPage(lyrics, pages, page, interaction.id);
+            const message = await interaction.editReply({ embeds: [embed], components: components });
+            if (pages.length === 1) return;
 
-            const lyricsEmbed = new EmbedBuilder()
-                .setColor(infoColor)
-                .setTitle(`📜 Lyrics for: "${trackTitle}"`)
-                .setDescription(lyrics.substring(0, 4096)) // Embed description limit
-                .setTimestamp();
+            const filter = i => i.customId.endsWith(`_${interaction.id}`) && i.user.id === interaction.user.id;
+            const collector = message.createMessageComponentCollector({ filter, time: 120000 });
 
-            await interaction.editReply({ embeds: [lyricsEmbed] }).catch(() => {});
+            collector.on('collect', async i => {
+                await i.deferUpdate();
+                page += i.customId.startsWith('lyrics_prev_') ? -1 : 1;
+                page = Math.min(Math.max(page, 1), pages.length);
+                const updated = buildLyricsPage(lyrics, pages, page, interaction.id);
+                await interaction.editReply({ embeds: [updated.embed], components: updated.components });
+            });
 
+            collector.on('end', () => {
+                // Remove buttons after timeout
+                interaction.editReply({ components: [] }).catch(e => logger.warn("Failed to remove lyrics buttons on collector end:", e));
+            });
         } catch (error) {
-            logger.error(`[${guildId}] Error fetching lyrics for "${trackTitle}":`, error);
+            logger.error(`[${guildId}] Error fetching lyrics for "${track.title}":`, error);
             await interaction.editReply({ content: 'An error occurred while trying to fetch lyrics.' }).catch(() => {});
         }
     }
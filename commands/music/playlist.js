@@ -0,0 +1,414 @@
+// commands/music/playlist.js
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const mongoose = require('mongoose');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const Playlist = require('../../database/models/Playlist'); // Adjust path
+const { enqueueSongs, shuffleSongs } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { formatRejectedTracks } = require('../../spotify/queuePolicy'); // Adjust path
+const { toSavedTrack, savedTrackToSong } = require('../../spotify/trackLoader'); // Adjust path
+
+const TRACKS_PER_PAGE = 15;
+// Subcommands that change a playlist, which only its owner may use
+const OWNER_SUBCOMMANDS = ['add', 'remove', 'rename', 'delete', 'share', 'public'];
+// Case-insensitive name matching, as used by the Playlist name index
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Adds the playlist picker option (autocompleted with the user's playlists) to a subcommand.
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} subcommand - The subcommand.
+ * @returns {import('discord.js').SlashCommandSubcommandBuilder} The subcommand.
+ */
+function addPlaylistOption(subcommand) {
+    return subcommand.addStringOption(option =>
+        option.setName('playlist')
+            .setDescription('The playlist.')
+            .setRequired(true)
+            .setAutocomplete(true));
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('playlist')
+        .setDescription('Saves and plays your own playlists.')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('create')
+                .setDescription('Creates an empty playlist.')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Name of the new playlist.')
+                        .setRequired(true)
+                        .setMaxLength(50)))
+        .addSubcommand(subcommand =>
+            addPlaylistOption(subcommand
+                .setName('add')
+                .setDescription('Adds the current track, or a track from the queue, to a playlist.'))
+                .addIntegerOption(option =>
+                    option.setName('queue_position')
+                        .setDescription('Queue position of the track to add (leave empty for the current track).')
+                        .setRequired(false)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            addPlaylistOption(subcommand
+                .setName('remove')
+                .setDescription('Removes a track from a playlist.'))
+                .addIntegerOption(option =>
+                    option.setName('position')
+                        .setDescription('Position of the track in the playlist.')
+                        .setRequired(true)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            addPlaylistOption(subcommand
+                .setName('rename')
+                .setDescription('Renames a playlist.'))
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('The new name.')
+                        .setRequired(true)
+                        .setMaxLength(50)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Lists your playlists, ones shared with you and public ones in this server.'))
+        .addSubcommand(subcommand =>
+            addPlaylistOption(subcommand
+                .setName('view')
+                .setDescription('Shows the tracks in a playlist.'))
+                .addIntegerOption(option =>
+                    option.setName('page')
+                        .setDescription('Page number to view.')
+                        .setRequired(false)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            addPlaylistOption(subcommand
+                .setName('load')
+                .setDescription('Adds a playlist to the queue.'))
+                .addBooleanOption(option =>
+                    option.setName('shuffle')
+                        .setDescription('Shuffle the tracks before adding them.')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            addPlaylistOption(subcommand
+                .setName('delete')
+                .setDescription('Deletes a playlist.')))
+        .addSubcommand(subcommand =>
+            addPlaylistOption(subcommand
+                .setName('share')
+                .setDescription('Shares a playlist with someone, or stops sharing it if already shared.'))
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The user to share with.')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            addPlaylistOption(subcommand
+                .setName('public')
+                .setDescription('Lets everyone in this server view and load a playlist.'))
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Make the playlist public or private.')
+                        .setRequired(true))),
+
+    async autocomplete(interaction, client) {
+        const subcommand = interaction.options.getSubcommand();
+        const focused = interaction.options.getFocused().toLowerCase();
+        const userId = interaction.user.id;
+
+        const query = OWNER_SUBCOMMANDS.includes(subcommand)
+            ? Playlist.find({ ownerId: userId }).select('-tracks.lavalinkTrack').sort({ name: 1 })
+            : Playlist.findAccessible(userId, interaction.guild.id);
+        const playlists = await query.lean();
+
+        const choices = playlists
+            .filter(playlist => playlist.name.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map(playlist => {
+                const owner = playlist.ownerId === userId ? '' : ` — by ${playlist.ownerTag || 'someone else'}`;
+                return { name: `${playlist.name} (${playlist.tracks.length} tracks)${owner}`.substring(0, 100), value: playlist._id.toString() };
+            });
+        await interaction.respond(choices);
+    },
+
+    async execute(interaction, client, userProfile) {
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+
+        // Loading posts to the channel like /play; managing playlists is private
+        await interaction.deferReply({ ephemeral: subcommand !== 'load' });
+
+        try {
+            if (subcommand === 'create') return await createPlaylist(interaction);
+            if (subcommand === 'list') return await listPlaylists(interaction);
+
+            const playlist = await findPlaylist(interaction, interaction.options.getString('playlist'));
+            if (!playlist) {
+                return interaction.editReply({ content: 'Playlist not found. Pick one from the list, or use `/playlist list` to see your playlists.' });
+            }
+            if (OWNER_SUBCOMMANDS.includes(subcommand) && playlist.ownerId !== interaction.user.id) {
+                return interaction.editReply({ content: `Only ${playlist.ownerTag || 'the owner'} can change **${playlist.name}**.` });
+            }
+
+            switch (subcommand) {
+                case 'add': return await addTrack(interaction, client, playlist);
+                case 'remove': return await removeTrack(interaction, playlist);
+                case 'rename': return await renamePlaylist(interaction, playlist);
+                case 'view': return await viewPlaylist(interaction, playlist);
+                case 'load': return await loadPlaylist(interaction, playlist);
+                case 'delete': return await deletePlaylist(interaction, playlist);
+                case 'share': return await sharePlaylist(interaction, playlist);
+                case 'public': return await setPlaylistPublic(interaction, playlist);
+            }
+        } catch (error) {
+            logger.error(`[${guildId}] Error handling /playlist ${subcommand}:`, error);
+            await interaction.editReply({ content: 'An error occurred while handling your playlist.', embeds: [] }).catch(e => logger.error("Failed to edit reply on playlist error:", e));
+        }
+    },
+};
+
+// --- Helpers ---
+
+/**
+ * Finds a playlist the user can access, by ID (autocomplete value) or by the name of one of their own.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction.
+ * @param {string} value - The playlist option value.
+ * @returns {Promise<import('mongoose').Document | null>} The playlist, or null if not found or not accessible.
+ */
+async function findPlaylist(interaction, value) {
+    let playlist = null;
+    if (mongoose.isValidObjectId(value)) playlist = await Playlist.findById(value);
+    if (!playlist) playlist = await Playlist.findOne({ ownerId: interaction.user.id, name: value.trim() }).collation(NAME_COLLATION);
+    return playlist?.canAccess(interaction.user.id, interaction.guild.id) ? playlist : null;
+}
+
+/**
+ * Checks whether the user already has a playlist with a name.
+ * @param {string} userId - The Discord user ID.
+ * @param {string} name - The name.
+ * @returns {Promise<boolean>} True if the name is taken.
+ */
+async function isNameTaken(userId, name) {
+    return !!(await Playlist.exists({ ownerId: userId, name: name }).collation(NAME_COLLATION));
+}
+
+// --- Subcommands ---
+
+/**
+ * Creates an empty playlist for the user.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /playlist interaction.
+ */
+async function createPlaylist(interaction) {
+    const userId = interaction.user.id;
+    const name = interaction.options.getString('name').trim();
+    const maxPlaylists = config.music.maxPlaylistsPerUser || 25;
+
+    if (await Playlist.countDocuments({ ownerId: userId }) >= maxPlaylists) {
+        return interaction.editReply({ content: `You already have ${maxPlaylists} playlists. Delete one before creating another.` });
+    }
+    if (await isNameTaken(userId, name)) {
+        return interaction.editReply({ content: `You already have a playlist called **${name}**.` });
+    }
+
+    await Playlist.create({ ownerId: userId, ownerTag: interaction.user.tag, guildId: interaction.guild.id, name: name });
+    logger.info(`[${interaction.guild.id}] ${interaction.user.tag} created playlist "${name}".`);
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.success)
+        .setTitle('Playlist Created')
+        .setDescription(`**${name}** is ready. Add tracks with \`/playlist add\` while music is playing.`);
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Adds the current track, or the track at a queue position, to a playlist.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /playlist interaction.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @param {import('mongoose').Document} playlist - The playlist.
+ */
+async function addTrack(interaction, client, playlist) {
+    const queue = client.queues.get(interaction.guild.id);
+    const position = interaction.options.getInteger('queue_position');
+    const song = position ? queue?.songs[position - 1] : queue?.currentTrack;
+    if (!song) {
+        return interaction.editReply({ content: position ? `There is no track at position ${position} in the queue.` : 'Nothing is playing right now.' });
+    }
+
+    const maxTracks = config.music.maxPlaylistTracks || 500;
+    if (playlist.tracks.length >= maxTracks) {
+        return interaction.editReply({ content: `**${playlist.name}** is full (max ${maxTracks} tracks).` });
+    }
+    if (playlist.tracks.some(track => track.lavalinkTrack === song.lavalinkTrack)) {
+        return interaction.editReply({ content: `**${song.title}** is already in **${playlist.name}**.` });
+    }
+
+    playlist.tracks.push({ ...toSavedTrack(song), addedAt: new Date() });
+    await playlist.save();
+    logger.info(`[${interaction.guild.id}] ${interaction.user.tag} added "${song.title}" to playlist "${playlist.name}".`);
+    await interaction.editReply({ content: `✅ Added **${song.title}** to **${playlist.name}** (${playlist.tracks.length} tracks).` });
+}
+
+/**
+ * Removes the track at a position from a playlist.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /playlist interaction.
+ * @param {import('mongoose').Document} playlist - The playlist.
+ */
+async function removeTrack(interaction, playlist) {
+    const position = interaction.options.getInteger('position');
+    if (position > playlist.tracks.length) {
+        return interaction.editReply({ content: `**${playlist.name}** only has ${playlist.tracks.length} track(s).` });
+    }
+    const [removed] = playlist.tracks.splice(position - 1, 1);
+    await playlist.save();
+    await interaction.editReply({ content: `🗑️ Removed **${removed.title}** from **${playlist.name}**.` });
+}
+
+/**
+ * Renames a playlist, keeping names unique per owner.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /playlist interaction.
+ * @param {import('mongoose').Document} playlist - The playlist.
+ */
+async function renamePlaylist(interaction, playlist) {
+    const name = interaction.options.getString('name').trim();
+    if (name.toLowerCase() !== playlist.name.toLowerCase() && await isNameTaken(playlist.ownerId, name)) {
+        return interaction.editReply({ content: `You already have a playlist called **${name}**.` });
+    }
+    const oldName = playlist.name;
+    playlist.name = name;
+    await playlist.save();
+    await interaction.editReply({ content: `✏️ Renamed **${oldName}** to **${name}**.` });
+}
+
+/**
+ * Lists the playlists the user can access.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /playlist interaction.
+ */
+async function listPlaylists(interaction) {
+    const userId = interaction.user.id;
+    const playlists = await Playlist.findAccessible(userId, interaction.guild.id).lean();
+    if (playlists.length === 0) {
+        return interaction.editReply({ content: 'You have no playlists yet. Create one with `/playlist create`.' });
+    }
+
+    const describe = playlist => {
+        const flags = [playlist.isPublic && '🌐', playlist.sharedWith.length > 0 && '👥'].filter(Boolean).join(' ');
+        return `• **${playlist.name}** — ${playlist.tracks.length} track(s) ${flags}`.trim();
+    };
+    const own = playlists.filter(playlist => playlist.ownerId === userId);
+    const others = playlists.filter(playlist => playlist.ownerId !== userId);
+
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.music)
+        .setTitle('🎶 Playlists')
+        .setFooter({ text: '🌐 public in its server · 👥 shared with others' })
+        .setTimestamp();
+    if (own.length > 0) embed.addFields({ name: 'Yours', value: own.map(describe).join('\n').substring(0, 1024) });
+    if (others.length > 0) {
+        embed.addFields({ name: 'Shared With You & Public', value: others.map(playlist => `${describe(playlist)} (by ${playlist.ownerTag || 'unknown'})`).join('\n').substring(0, 1024) });
+    }
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Shows one page of a playlist's tracks.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /playlist interaction.
+ * @param {import('mongoose').Document} playlist - The playlist.
+ */
+async function viewPlaylist(interaction, playlist) {
+    const totalPages = Math.max(1, Math.ceil(playlist.tracks.length / TRACKS_PER_PAGE));
+    const page = Math.min(interaction.options.getInteger('page') || 1, totalPages);
+    const startIndex = (page - 1) * TRACKS_PER_PAGE;
+
+    const trackList = playlist.tracks.slice(startIndex, startIndex + TRACKS_PER_PAGE)
+        .map((track, index) => `\`${startIndex + index + 1}.\` [${track.title}](${track.url}) | ${track.duration || 'N/A'}`)
+        .join('\n');
+    const totalMs = playlist.tracks.reduce((sum, track) => sum + (track.isStream ? 0 : track.rawDurationMs || 0), 0);
+
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.music)
+        .setTitle(`🎶 ${playlist.name} (Page ${page}/${totalPages})`)
+        .setDescription(trackList || 'This playlist is empty.')
+        .setFooter({ text: `${playlist.tracks.length} track(s) · ${Math.round(totalMs / 60000)} min · by ${playlist.ownerTag || 'unknown'}${playlist.isPublic ? ' · public' : ''}` })
+        .setTimestamp();
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Queues a playlist's saved tracks, following the guild's queue rules.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /playlist interaction.
+ * @param {import('mongoose').Document} playlist - The playlist.
+ */
+async function loadPlaylist(interaction, playlist) {
+    const voiceChannel = interaction.member.voice.channel;
+    if (!voiceChannel) return interaction.editReply({ content: 'You need to be in a voice channel to load a playlist.' });
+    const permissions = voiceChannel.permissionsFor(interaction.client.user);
+    if (!permissions?.has(['Connect', 'Speak'])) return interaction.editReply({ content: 'I require permission to connect and speak in your voice channel.' });
+    if (playlist.tracks.length === 0) return interaction.editReply({ content: `**${playlist.name}** is empty.` });
+
+    const songs = playlist.tracks.map(track => savedTrackToSong(track, interaction.user));
+    if (interaction.options.getBoolean('shuffle')) shuffleSongs(songs);
+
+    // Saved tracks are queued as-is, without searching again
+    const result = await enqueueSongs(interaction, voiceChannel, songs, { fromPlaylist: true });
+    if (result.error) return interaction.editReply({ content: result.error });
+    logger.info(`[${interaction.guild.id}] ${interaction.user.tag} loaded playlist "${playlist.name}" (${result.addedCount}/${songs.length} tracks).`);
+
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.success)
+        .setTitle(`Playlist Loaded: ${playlist.name}`)
+        .setDescription(`Added **${result.addedCount}** track(s) to the queue.`)
+        .setFooter({ text: `Requested by ${interaction.user.tag}` });
+    if (result.rejected.length > 0) {
+        embed.addFields({ name: `Not Added (${result.rejected.length})`, value: formatRejectedTracks(result.rejected) });
+    }
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Deletes a playlist.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /playlist interaction.
+ * @param {import('mongoose').Document} playlist - The playlist.
+ */
+async function deletePlaylist(interaction, playlist) {
+    await playlist.deleteOne();
+    logger.info(`[${interaction.guild.id}] ${interaction.user.tag} deleted playlist "${playlist.name}".`);
+    await interaction.editReply({ content: `🗑️ Deleted **${playlist.name}**.` });
+}
+
+/**
+ * Shares a playlist with a user, or stops sharing it.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /playlist interaction.
+ * @param {import('mongoose').Document} playlist - The playlist.
+ */
+async function sharePlaylist(interaction, playlist) {
+    const user = interaction.options.getUser('user');
+    if (user.id === interaction.user.id || user.bot) {
+        return interaction.editReply({ content: 'Pick someone else to share with.' });
+    }
+    const alreadyShared = playlist.sharedWith.includes(user.id);
+    if (alreadyShared) {
+        playlist.sharedWith.pull(user.id);
+    } else {
+        playlist.sharedWith.push(user.id);
+    }
+    await playlist.save();
+    await interaction.editReply({
+        content: alreadyShared
+            ? `🔒 Stopped sharing **${playlist.name}** with ${user}.`
+            : `👥 Shared **${playlist.name}** with ${user}. They can now view and load it.`,
+        allowedMentions: { parse: [] },
+    });
+}
+
+/**
+ * Makes a playlist public in this guild, or private again.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /playlist interaction.
+ * @param {import('mongoose').Document} playlist - The playlist.
+ */
+async function setPlaylistPublic(interaction, playlist) {
+    playlist.isPublic = interaction.options.getBoolean('enabled');
+    if (playlist.isPublic) playlist.guildId = interaction.guild.id; // Public in the server it was shared from
+    await playlist.save();
+    await interaction.editReply({
+        content: playlist.isPublic
+            ? `🌐 **${playlist.name}** is now public. Everyone in this server can view and load it.`
+            : `🔒 **${playlist.name}** is now private.`,
+    });
+}
@@ -0,0 +1,63 @@
+// commands/music/previous.js
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { playPreviousTrack, enqueueSongs } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { getHistory, takeLastPlayed } = require('../../spotify/playbackHistory'); // Adjust path
+const { checkPreviousPermission } = require('../../spotify/musicPermissions'); // Adjust path
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('previous')
+        .setDescription('Plays the previously played track again.'),
+
+    async execute(interaction, client, userProfile) {
+        const guildId = interaction.guild.id;
+        const queue = client.queues.get(guildId);
+        const voiceChannel = interaction.member.voice.channel;
+
+        // --- Pre-checks ---
+        if (getHistory(guildId).length === 0) {
+            return interaction.reply({ content: 'No track has finished playing yet, so there is nothing to go back to.', ephemeral: true });
+        }
+        if (!voiceChannel) {
+            return interaction.reply({ content: 'You must be in a voice channel to go back a track.', ephemeral: true });
+        }
+        const denied = queue ? await checkPreviousPermission(interaction.member, queue) : null;
+        if (denied) {
+            return interaction.reply({ content: denied, ephemeral: true });
+        }
+
+        await interaction.deferReply();
+
+        try {
+            let previousTrack;
+            if (queue?.lavalinkPlayer) {
+                previousTrack = await playPreviousTrack(queue, client);
+                if (!previousTrack) {
+                    return interaction.editReply({ content: 'No track has finished playing yet, so there is nothing to go back to.' });
+                }
+            } else {
+                // Nothing connected (e.g. the bot left after the queue ended); rejoin and play it
+                previousTrack = takeLastPlayed(guildId);
+                const result = await enqueueSongs(interaction, voiceChannel, [previousTrack]);
+                if (result.error) {
+                    return interaction.editReply({ content: result.error });
+                }
+            }
+            logger.info(`[${guildId}] Going back to "${previousTrack.title}" by ${interaction.user.tag}.`);
+
+            const embed = new EmbedBuilder()
+                .setColor(config.colors.music)
+                .setTitle('⏮️ Previous Track')
+                .setDescription(`Playing **[${previousTrack.title}](${previousTrack.url})** again.`)
+                .setThumbnail(previousTrack.thumbnail || null)
+                .setFooter({ text: `Requested by ${interaction.user.tag}` })
+                .setTimestamp();
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`[${guildId}] Error playing previous track:`, error);
+            await interaction.editReply({ content: 'An error occurred while going back to the previous track.', embeds: [] }).catch(e => logger.error("Failed to edit reply on previous error:", e));
+        }
+    },
+};
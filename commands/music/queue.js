@@ -1,172 +1,532 @@
 // commands/music/queue.js
-const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder } = require('discord.js');
 const logger = require('../../utils/logger'); // Adjust path
 const config = require('../../config'); // Adjust path
+const { formatLoopMode, LOOP_MODES, updateNowPlayingMessage, persistQueueState, playNextTrack, shuffleQueue, skipCurrentTrack, queueImportedEntries } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { checkMusicPermission } = require('../../spotify/musicPermissions'); // Adjust path
+const { getQueuePolicy, formatRejectedTracks } = require('../../spotify/queuePolicy'); // Adjust path
+const { exportQueueAsJson, exportQueueAsM3u, downloadImportFile, parseImportFile, formatUnresolvedEntries } = require('../../spotify/queueTransfer'); // Adjust path
+
+// Edits that discard other people's tracks or jump the queue need DJ rights
+const DJ_ONLY_SUBCOMMANDS = ['clear', 'removeuser', 'skipto'];
 
 const MAX_FIELDS = 10; // Max tracks to display per page
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('queue')
-        .setDescription('Displays the current music queue.')
-        .addIntegerOption(option =>
-            option.setName('page')
-                .setDescription(`The page number of the queue to display (Page 1 = Tracks 1-${MAX_FIELDS})`)
-                .setRequired(false)
-                .setMinValue(1)),
+        .setDescription('Displays or edits the current music queue.')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Displays the current music queue.')
+                .addIntegerOption(option =>
+                    option.setName('page')
+                        .setDescription(`The page number of the queue to display (Page 1 = Tracks 1-${MAX_FIELDS})`)
+                        .setRequired(false)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Removes a track, or a range of tracks, from the queue.')
+                .addIntegerOption(option =>
+                    option.setName('position')
+                        .setDescription('Queue position of the track to remove (or the start of the range).')
+                        .setRequired(true)
+                        .setMinValue(1))
+                .addIntegerOption(option =>
+                    option.setName('to')
+                        .setDescription('Optional: last queue position of the range to remove.')
+                        .setRequired(false)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('move')
+                .setDescription('Moves a track to a different position in the queue.')
+                .addIntegerOption(option =>
+                    option.setName('from')
+                        .setDescription('Current queue position of the track.')
+                        .setRequired(true)
+                        .setMinValue(1))
+                .addIntegerOption(option =>
+                    option.setName('to')
+                        .setDescription('New queue position for the track.')
+                        .setRequired(true)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('swap')
+                .setDescription('Swaps the positions of two tracks in the queue.')
+                .addIntegerOption(option =>
+                    option.setName('first')
+                        .setDescription('Queue position of the first track.')
+                        .setRequired(true)
+                        .setMinValue(1))
+                .addIntegerOption(option =>
+                    option.setName('second')
+                        .setDescription('Queue position of the second track.')
+                        .setRequired(true)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('shuffle')
+                .setDescription('Shuffles the upcoming tracks.'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('clear')
+                .setDescription('Removes all upcoming tracks (the current track keeps playing).'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('removeuser')
+                .setDescription('Removes all upcoming tracks requested by a user.')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The user whose tracks should be removed.')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('skipto')
+                .setDescription('Skips ahead to a track in the queue.')
+                .addIntegerOption(option =>
+                    option.setName('position')
+                        .setDescription('Queue position of the track to jump to.')
+                        .setRequired(true)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('export')
+                .setDescription('Exports the current and upcoming tracks as a file.')
+                .addStringOption(option =>
+                    option.setName('format')
+                        .setDescription('The file format (default: JSON).')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'JSON', value: 'json' },
+                            { name: 'Extended M3U', value: 'm3u' },
+                            { name: 'Plain M3U (URLs only)', value: 'm3u_plain' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('import')
+                .setDescription('Adds the tracks from a JSON or M3U queue file to the queue.')
+                .addAttachmentOption(option =>
+                    option.setName('file')
+                        .setDescription('A file from /queue export, or any M3U playlist of track URLs.')
+                        .setRequired(true))),
 
     async execute(interaction, client, userProfile) {
-        const guildId = interaction.guild.id;
-        const queue = client.queues.get(guildId);
+        const subcommand = interaction.options.getSubcommand();
 
-        if (!queue || queue.songs.length === 0) {
-            const embed = new EmbedBuilder()
-                .setColor(config.colors.warning)
-                .setTitle('Empty Queue')
-                .setDescription('The music queue is currently empty. Use `/play` to add some tunes!');
-            return interaction.reply({ embeds: [embed] });
+        if (subcommand === 'view') {
+            return showQueue(interaction, client);
+        }
+        if (subcommand === 'export') {
+            return exportQueue(interaction, client);
         }
+        if (subcommand === 'import') {
+            return importQueue(interaction, client);
+        }
+        return editQueue(interaction, client, subcommand);
+    },
+};
+
+/**
+ * Replies with a paginated view of the queue.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /queue view interaction.
+ * @param {import('discord.js').Client} client - The Discord client.
+ */
+async function showQueue(interaction, client) {
+    const guildId = interaction.guild.id;
+    const queue = client.queues.get(guildId);
+
+    if (!queue || queue.songs.length === 0) {
+        const embed = new EmbedBuilder()
+            .setColor(config.colors.warning)
+            .setTitle('Empty Queue')
+            .setDescription('The music queue is currently empty. Use `/play` to add some tunes!');
+        return interaction.reply({ embeds: [embed] });
+    }
+
+    if (!queue.policy) queue.policy = await getQueuePolicy(guildId); // Shown in the footer
+
+    const requestedPage = interaction.options.getInteger('page') || 1;
+    const totalPages = Math.ceil(queue.songs.length / MAX_FIELDS);
+
+    if (requestedPage > totalPages) {
+         return interaction.reply({ content: `Invalid page number. There are only ${totalPages} pages in the queue.`, ephemeral: true });
+    }
+
+    const startIndex = (requestedPage - 1) * MAX_FIELDS;
+    const endIndex = startIndex + MAX_FIELDS;
+    const currentTracks = queue.songs.slice(startIndex, endIndex);
+
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.music)
+        .setTitle(`Music Queue (Page ${requestedPage}/${totalPages})`)
+        .setTimestamp();
+
+    // Add currently playing track info if available
+    if (queue.currentTrack && requestedPage === 1) {
+         embed.addFields({
+             name: '▶️ Now Playing',
+             value: `[${queue.currentTrack.title}](${queue.currentTrack.url}) | ${queue.currentTrack.duration || 'N/A'} | Req: ${queue.currentTrack.requestedBy}`
+         });
+    } else if (!queue.currentTrack && requestedPage === 1) {
+         embed.addFields({ name: '▶️ Now Playing', value: 'Nothing currently playing.' });
+    }
+
+
+    if (currentTracks.length > 0) {
+        const trackList = currentTracks.map((track, index) => {
+            const globalIndex = startIndex + index + 1;
+            return `\`${globalIndex}.\` [${track.title}](${track.url}) | ${track.duration || 'N/A'} | Req: ${track.requestedBy}`;
+        }).join('\n');
+         embed.setDescription(trackList); // Put track list in description for better formatting
+    } else if (requestedPage > 1) {
+        embed.setDescription('No tracks on this page.'); // Should be caught by page check, but as a fallback
+    } else if (!queue.currentTrack) {
+         embed.setDescription('The queue is empty.'); // If page 1 and no current track and no upcoming tracks
+    }
 
-        const requestedPage = interaction.options.getInteger('page') || 1;
-        const totalPages = Math.ceil(queue.songs.length / MAX_FIELDS);
 
-        if (requestedPage > totalPages) {
-             return interaction.reply({ content: `Invalid page number. There are only ${totalPages} pages in the queue.`, ephemeral: true });
+    embed.setFooter({ text: formatQueueFooter(queue) });
+
+    // --- Pagination Buttons ---
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`queue_prev_${requestedPage}`)
+                .setLabel('⬅️ Previous')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(requestedPage === 1),
+            new ButtonBuilder()
+                .setCustomId(`queue_next_${requestedPage}`)
+                .setLabel('Next ➡️')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(requestedPage === totalPages)
+        );
+
+    const message = await interaction.reply({ embeds: [embed], components: [row], fetchReply: true });
+
+    // --- Button Collector for Pagination ---
+    const filter = i => i.customId.startsWith('queue_') && i.user.id === interaction.user.id;
+    const collector = message.createMessageComponentCollector({ filter, time: 60000 }); // 60 second timeout
+
+    collector.on('collect', async i => {
+        await i.deferUpdate(); // Acknowledge button click
+
+        let newPage = requestedPage;
+        if (i.customId.startsWith('queue_prev_')) {
+            newPage--;
+        } else if (i.customId.startsWith('queue_next_')) {
+            newPage++;
         }
 
-        const startIndex = (requestedPage - 1) * MAX_FIELDS;
-        const endIndex = startIndex + MAX_FIELDS;
-        const currentTracks = queue.songs.slice(startIndex, endIndex);
+        // Recalculate data for the new page
+        const newStartIndex = (newPage - 1) * MAX_FIELDS;
+        const newEndIndex = newStartIndex + MAX_FIELDS;
+        const newTracks = queue.songs.slice(newStartIndex, newEndIndex); // Fetch fresh slice
+        const newTotalPages = Math.ceil(queue.songs.length / MAX_FIELDS); // Recalculate total pages
 
-        const embed = new EmbedBuilder()
+         if (newPage < 1 || newPage > newTotalPages) {
+             // If queue changed and page is now invalid, maybe reset to page 1?
+             // For now, just ignore the invalid click (should be disabled anyway)
+             return;
+         }
+
+        const newEmbed = new EmbedBuilder()
             .setColor(config.colors.music)
-            .setTitle(`Music Queue (Page ${requestedPage}/${totalPages})`)
-            .setTimestamp();
+            .setTitle(`Music Queue (Page ${newPage}/${newTotalPages})`)
+            .setTimestamp()
+            .setFooter({ text: formatQueueFooter(queue) });
 
-        // Add currently playing track info if available
-        if (queue.currentTrack && requestedPage === 1) {
-             embed.addFields({
+         if (queue.currentTrack && newPage === 1) {
+             newEmbed.addFields({
                  name: '▶️ Now Playing',
                  value: `[${queue.currentTrack.title}](${queue.currentTrack.url}) | ${queue.currentTrack.duration || 'N/A'} | Req: ${queue.currentTrack.requestedBy}`
              });
-        } else if (!queue.currentTrack && requestedPage === 1) {
-             embed.addFields({ name: '▶️ Now Playing', value: 'Nothing currently playing.' });
-        }
+         } else if (!queue.currentTrack && newPage === 1) {
+             newEmbed.addFields({ name: '▶️ Now Playing', value: 'Nothing currently playing.' });
+         }
 
 
-        if (currentTracks.length > 0) {
-            const trackList = currentTracks.map((track, index) => {
-                const globalIndex = startIndex + index + 1;
+        if (newTracks.length > 0) {
+            const newTrackList = newTracks.map((track, index) => {
+                const globalIndex = newStartIndex + index + 1;
                 return `\`${globalIndex}.\` [${track.title}](${track.url}) | ${track.duration || 'N/A'} | Req: ${track.requestedBy}`;
             }).join('\n');
-             embed.setDescription(trackList); // Put track list in description for better formatting
-        } else if (requestedPage > 1) {
-            embed.setDescription('No tracks on this page.'); // Should be caught by page check, but as a fallback
-        } else if (!queue.currentTrack) {
-             embed.setDescription('The queue is empty.'); // If page 1 and no current track and no upcoming tracks
+            newEmbed.setDescription(newTrackList);
+        } else {
+             newEmbed.setDescription('No tracks on this page.');
         }
 
 
-        embed.setFooter({ text: `Total Tracks: ${queue.songs.length} | Loop: ${queue.loop}` });
-
-        // --- Pagination Buttons ---
-        const row = new ActionRowBuilder()
+        const newRow = new ActionRowBuilder()
             .addComponents(
                 new ButtonBuilder()
-                    .setCustomId(`queue_prev_${requestedPage}`)
+                    .setCustomId(`queue_prev_${newPage}`)
                     .setLabel('⬅️ Previous')
                     .setStyle(ButtonStyle.Primary)
-                    .setDisabled(requestedPage === 1),
+                    .setDisabled(newPage === 1),
                 new ButtonBuilder()
-                    .setCustomId(`queue_next_${requestedPage}`)
+                    .setCustomId(`queue_next_${newPage}`)
                     .setLabel('Next ➡️')
                     .setStyle(ButtonStyle.Primary)
-                    .setDisabled(requestedPage === totalPages)
+                    .setDisabled(newPage === newTotalPages)
             );
 
-        const message = await interaction.reply({ embeds: [embed], components: [row], fetchReply: true });
+        await interaction.editReply({ embeds: [newEmbed], components: [newRow] });
+        // Update requestedPage for the next potential button click within this collector instance
+        // Note: This doesn't persist if the command is run again.
+        // A more robust pagination might store the current page state differently.
+        // requestedPage = newPage; // This won't work as expected due to closure scope.
+        // Instead, the customId carries the *current* page info for the next calculation.
+    });
 
-        // --- Button Collector for Pagination ---
-        const filter = i => i.customId.startsWith('queue_') && i.user.id === interaction.user.id;
-        const collector = message.createMessageComponentCollector({ filter, time: 60000 }); // 60 second timeout
+    collector.on('end', collected => {
+        // Remove buttons after timeout
+        const disabledRow = ActionRowBuilder.from(message.components[0]); // Get the current row
+        disabledRow.components.forEach(c => c.setDisabled(true));
+        interaction.editReply({ components: [disabledRow] }).catch(e => logger.warn("Failed to disable queue buttons on collector end:", e));
+    });
+}
 
-        collector.on('collect', async i => {
-            await i.deferUpdate(); // Acknowledge button click
+/**
+ * Replies with the current and upcoming tracks as a JSON or M3U file.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /queue export interaction.
+ * @param {import('discord.js').Client} client - The Discord client.
+ */
+async function exportQueue(interaction, client) {
+    const guildId = interaction.guild.id;
+    const queue = client.queues.get(guildId);
+    if (!queue || (!queue.currentTrack && queue.songs.length === 0)) {
+        return interaction.reply({ content: 'There is nothing in the queue to export.', ephemeral: true });
+    }
 
-            let newPage = requestedPage;
-            if (i.customId.startsWith('queue_prev_')) {
-                newPage--;
-            } else if (i.customId.startsWith('queue_next_')) {
-                newPage++;
-            }
+    const format = interaction.options.getString('format') || 'json';
+    const content = format === 'json'
+        ? exportQueueAsJson(queue, interaction.guild.name)
+        : exportQueueAsM3u(queue, format === 'm3u');
+    const date = new Date().toISOString().slice(0, 10);
+    const fileName = `queue-${date}.${format === 'json' ? 'json' : 'm3u'}`;
+    const trackCount = queue.songs.length + (queue.currentTrack ? 1 : 0);
 
-            // Recalculate data for the new page
-            const newStartIndex = (newPage - 1) * MAX_FIELDS;
-            const newEndIndex = newStartIndex + MAX_FIELDS;
-            const newTracks = queue.songs.slice(newStartIndex, newEndIndex); // Fetch fresh slice
-            const newTotalPages = Math.ceil(queue.songs.length / MAX_FIELDS); // Recalculate total pages
-
-             if (newPage < 1 || newPage > newTotalPages) {
-                 // If queue changed and page is now invalid, maybe reset to page 1?
-                 // For now, just ignore the invalid click (should be disabled anyway)
-                 return;
-             }
-
-            const newEmbed = new EmbedBuilder()
-                .setColor(config.colors.music)
-                .setTitle(`Music Queue (Page ${newPage}/${newTotalPages})`)
-                .setTimestamp()
-                .setFooter({ text: `Total Tracks: ${queue.songs.length} | Loop: ${queue.loop}` });
-
-             if (queue.currentTrack && newPage === 1) {
-                 newEmbed.addFields({
-                     name: '▶️ Now Playing',
-                     value: `[${queue.currentTrack.title}](${queue.currentTrack.url}) | ${queue.currentTrack.duration || 'N/A'} | Req: ${queue.currentTrack.requestedBy}`
-                 });
-             } else if (!queue.currentTrack && newPage === 1) {
-                 newEmbed.addFields({ name: '▶️ Now Playing', value: 'Nothing currently playing.' });
-             }
-
-
-            if (newTracks.length > 0) {
-                const newTrackList = newTracks.map((track, index) => {
-                    const globalIndex = newStartIndex + index + 1;
-                    return `\`${globalIndex}.\` [${track.title}](${track.url}) | ${track.duration || 'N/A'} | Req: ${track.requestedBy}`;
-                }).join('\n');
-                newEmbed.setDescription(newTrackList);
-            } else {
-                 newEmbed.setDescription('No tracks on this page.');
+    logger.info(`[${guildId}] /queue export (${format}) of ${trackCount} track(s) by ${interaction.user.tag}.`);
+    await interaction.reply({
+        content: `📤 Exported **${trackCount}** track(s). Load them again with \`/queue import\`.`,
+        files: [new AttachmentBuilder(Buffer.from(content, 'utf8'), { name: fileName })],
+    });
+}
+
+/**
+ * Queues the tracks listed in an uploaded JSON or M3U file, reporting the entries that couldn't be loaded.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /queue import interaction.
+ * @param {import('discord.js').Client} client - The Discord client.
+ */
+async function importQueue(interaction, client) {
+    const guildId = interaction.guild.id;
+    const voiceChannel = interaction.member.voice.channel;
+    const queue = client.queues.get(guildId);
+
+    // --- Pre-checks ---
+    if (!voiceChannel || (queue && voiceChannel.id !== queue.voiceChannelId)) {
+        return interaction.reply({ content: 'You must be in the same voice channel as me to import tracks.', ephemeral: true });
+    }
+    const permissions = voiceChannel.permissionsFor(client.user);
+    if (!permissions || !permissions.has('Connect') || !permissions.has('Speak')) {
+        return interaction.reply({ content: 'I require permission to connect and speak in your voice channel.', ephemeral: true });
+    }
+
+    const attachment = interaction.options.getAttachment('file');
+    await interaction.deferReply();
+
+    try {
+        let entries;
+        try {
+            entries = parseImportFile(attachment.name, await downloadImportFile(attachment));
+        } catch (error) {
+            return interaction.editReply({ content: `Could not read **${attachment.name}**: ${error.message}` });
+        }
+        if (entries.length === 0) {
+            return interaction.editReply({ content: `**${attachment.name}** does not list any tracks.` });
+        }
+
+        // Anything past the queue limit would be rejected anyway; don't spend time resolving it
+        const maxEntries = config.music.maxQueueSize || 100;
+        const skippedCount = Math.max(0, entries.length - maxEntries);
+        entries = entries.slice(0, maxEntries);
+        logger.info(`[${guildId}] /queue import of ${entries.length} entries from "${attachment.name}" by ${interaction.user.tag}.`);
+        await interaction.editReply({ content: `⏳ Loading **${entries.length}** track(s) from **${attachment.name}**...` });
+
+        const result = await queueImportedEntries(interaction, interaction.user, voiceChannel, entries);
+        const embed = new EmbedBuilder()
+            .setColor(result.error ? config.colors.warning : config.colors.success)
+            .setTitle('📥 Queue Imported')
+            .setDescription(result.error || `Added **${result.addedCount}** of ${entries.length} track(s) from **${attachment.name}**.`)
+            .setFooter({ text: `Requested by ${interaction.user.tag}` });
+        if (skippedCount > 0) {
+            embed.addFields({ name: 'Skipped', value: `The file had ${skippedCount} more entries than the queue can hold (${maxEntries}).` });
+        }
+        if (result.unresolved.length > 0) {
+            embed.addFields({ name: `Not Found (${result.unresolved.length})`, value: formatUnresolvedEntries(result.unresolved) });
+        }
+        if (result.rejected?.length > 0) {
+            embed.addFields({ name: `Not Added (${result.rejected.length})`, value: formatRejectedTracks(result.rejected) });
+        }
+        await interaction.editReply({ content: '', embeds: [embed] });
+    } catch (error) {
+        logger.error(`[${guildId}] Error importing queue file:`, error);
+        await interaction.editReply({ content: `An error occurred while importing the file: ${error.message || 'Unknown error'}`, embeds: [] }).catch(() => {});
+    }
+}
+
+/**
+ * Builds the /queue view footer: size, loop mode and the guild's queue policy.
+ * @param {object} queue - The guild queue object.
+ * @returns {string} The footer text.
+ */
+function formatQueueFooter(queue) {
+    const parts = [`Total Tracks: ${queue.songs.length}`, `Loop: ${formatLoopMode(queue.loop)}`];
+    if (queue.policy?.fairQueue) parts.push('Fair Queue: On');
+    if (queue.policy?.maxTracksPerUser) parts.push(`Limit: ${queue.policy.maxTracksPerUser} per user`);
+    return parts.join(' | ');
+}
+
+/**
+ * Applies one of the queue editing subcommands to queue.songs.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The /queue interaction.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @param {string} subcommand - The editing subcommand name.
+ */
+async function editQueue(interaction, client, subcommand) {
+    const guildId = interaction.guild.id;
+    const queue = client.queues.get(guildId);
+
+    // --- Pre-checks ---
+    if (!queue) {
+        return interaction.reply({ content: 'There is no music queue to edit at present.', ephemeral: true });
+    }
+    const denied = await checkMusicPermission(interaction.member, queue, { djOnly: DJ_ONLY_SUBCOMMANDS.includes(subcommand) });
+    if (denied) {
+        return interaction.reply({ content: denied, ephemeral: true });
+    }
+    if (queue.songs.length === 0) {
+        return interaction.reply({ content: 'There are no upcoming tracks in the queue to edit.', ephemeral: true });
+    }
+
+    // Positions are 1-based as displayed by /queue view
+    const length = queue.songs.length;
+    const isValidPosition = position => position >= 1 && position <= length;
+    let description;
+
+    switch (subcommand) {
+        case 'remove': {
+            const from = interaction.options.getInteger('position');
+            const to = interaction.options.getInteger('to') ?? from;
+            if (!isValidPosition(from) || !isValidPosition(to) || to < from) {
+                return interaction.reply({ content: `Invalid range. Choose positions between 1 and ${length}, with the end not before the start.`, ephemeral: true });
+            }
+            const removed = queue.songs.splice(from - 1, to - from + 1);
+            description = removed.length === 1
+                ? `Removed **[${removed[0].title}](${removed[0].url})** from position ${from}.`
+                : `Removed **${removed.length}** tracks (positions ${from}-${to}).`;
+            break;
+        }
+        case 'move': {
+            const from = interaction.options.getInteger('from');
+            const to = interaction.options.getInteger('to');
+            if (!isValidPosition(from) || !isValidPosition(to)) {
+                return interaction.reply({ content: `Invalid position. Choose positions between 1 and ${length}.`, ephemeral: true });
+            }
+            const [track] = queue.songs.splice(from - 1, 1);
+            queue.songs.splice(to - 1, 0, track);
+            description = `Moved **[${track.title}](${track.url})** from position ${from} to ${to}.`;
+            break;
+        }
+        case 'swap': {
+            const first = interaction.options.getInteger('first');
+            const second = interaction.options.getInteger('second');
+            if (!isValidPosition(first) || !isValidPosition(second) || first === second) {
+                return interaction.reply({ content: `Invalid positions. Choose two different positions between 1 and ${length}.`, ephemeral: true });
             }
+            [queue.songs[first - 1], queue.songs[second - 1]] = [queue.songs[second - 1], queue.songs[first - 1]];
+            description = `Swapped **${queue.songs[second - 1].title}** (now ${second}) with **${queue.songs[first - 1].title}** (now ${first}).`;
+            break;
+        }
+        case 'shuffle': {
+            shuffleQueue(queue);
+            description = `Shuffled **${length}** upcoming tracks.`;
+            break;
+        }
+        case 'clear': {
+            queue.songs = [];
+            description = `Cleared **${length}** upcoming tracks. The current track will finish playing.`;
+            break;
+        }
+        case 'removeuser': {
+            const user = interaction.options.getUser('user');
+            // Older queue entries may only carry the requester's tag
+            const isFromUser = song => song.requesterId ? song.requesterId === user.id : song.requestedBy === user.tag;
+            queue.songs = queue.songs.filter(song => !isFromUser(song));
+            const removedCount = length - queue.songs.length;
+            if (removedCount === 0) {
+                return interaction.reply({ content: `There are no upcoming tracks requested by ${user.tag}.`, ephemeral: true });
+            }
+            description = `Removed **${removedCount}** track(s) requested by ${user}.`;
+            break;
+        }
+        case 'skipto': {
+            const position = interaction.options.getInteger('position');
+            if (!isValidPosition(position)) {
+                return interaction.reply({ content: `Invalid position. Choose a position between 1 and ${length}.`, ephemeral: true });
+            }
+            if (!queue.lavalinkPlayer) {
+                return interaction.reply({ content: 'The music player is not available right now.', ephemeral: true });
+            }
+            const skipped = queue.songs.splice(0, position - 1);
+            const target = queue.songs[0];
+            // Queue loop keeps skipped tracks in rotation, behind the remaining ones and the current track
+            if (queue.loop === LOOP_MODES.QUEUE) {
+                if (queue.currentTrack) {
+                    queue.songs.push(queue.currentTrack);
+                    queue.loopRequeued = true; // So the 'end' listener doesn't append it again
+                }
+                queue.songs.push(...skipped);
+            }
+            description = `Jumping to **[${target.title}](${target.url})**${skipped.length ? ` (skipped ${skipped.length} track(s))` : ''}.`;
+            break;
+        }
+        default:
+            logger.warn(`[${guildId}] Unhandled /queue subcommand: ${subcommand}`);
+            return interaction.reply({ content: 'Unknown queue action.', ephemeral: true });
+    }
 
+    logger.info(`[${guildId}] /queue ${subcommand} by ${interaction.user.tag}. Upcoming tracks: ${length} -> ${queue.songs.length}`);
 
-            const newRow = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId(`queue_prev_${newPage}`)
-                        .setLabel('⬅️ Previous')
-                        .setStyle(ButtonStyle.Primary)
-                        .setDisabled(newPage === 1),
-                    new ButtonBuilder()
-                        .setCustomId(`queue_next_${newPage}`)
-                        .setLabel('Next ➡️')
-                        .setStyle(ButtonStyle.Primary)
-                        .setDisabled(newPage === newTotalPages)
-                );
-
-            await interaction.editReply({ embeds: [newEmbed], components: [newRow] });
-            // Update requestedPage for the next potential button click within this collector instance
-            // Note: This doesn't persist if the command is run again.
-            // A more robust pagination might store the current page state differently.
-            // requestedPage = newPage; // This won't work as expected due to closure scope.
-            // Instead, the customId carries the *current* page info for the next calculation.
-        });
-
-        collector.on('end', collected => {
-            // Remove buttons after timeout
-            const disabledRow = ActionRowBuilder.from(message.components[0]); // Get the current row
-            disabledRow.components.forEach(c => c.setDisabled(true));
-            interaction.editReply({ components: [disabledRow] }).catch(e => logger.warn("Failed to disable queue buttons on collector end:", e));
-        });
-    },
-};
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.music)
+        .setTitle('Queue Updated')
+        .setDescription(description)
+        .setFooter({ text: `Upcoming tracks: ${queue.songs.length} | By ${interaction.user.tag}` })
+        .setTimestamp();
+
+    // Reply before the database write and message edits, which could outlast the interaction's 3 seconds
+    await interaction.reply({ embeds: [embed] });
 
+    if (subcommand === 'skipto') {
+        // skipto refreshes the message through the player's 'start' event
+        try {
+            if (queue.currentTrack) {
+                await skipCurrentTrack(queue); // The 'end' listener plays queue.songs[0] next
+            } else {
+                await playNextTrack(guildId, client.queues, client);
+            }
+        } catch (error) {
+            logger.error(`[${guildId}] Error jumping to a queue position:`, error);
+            await interaction.followUp({ content: 'An error occurred while jumping to that track.', ephemeral: true }).catch(() => {});
+        }
+    } else {
+        await updateNowPlayingMessage(queue).catch(e => logger.error("Error updating NP message after queue edit:", e));
+    }
+    await persistQueueState(queue, true);
+}
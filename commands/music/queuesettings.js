@@ -0,0 +1,119 @@
+// commands/music/queuesettings.js
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { persistQueueState, updateNowPlayingMessage } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { setQueuePolicy, orderFairly } = require('../../spotify/queuePolicy'); // Adjust path
+
+/**
+ * Formats a blocklist for an embed field.
+ * @param {string[]} entries - The blocked keywords or artists.
+ * @returns {string} The field value.
+ */
+function formatBlocklist(entries) {
+    if (entries.length === 0) return 'None';
+    return entries.map(entry => `\`${entry}\``).join(', ').substring(0, 1024);
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('queuesettings')
+        .setDescription('Configures fair queueing, per-user limits and which tracks may be queued in this server.')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addBooleanOption(option =>
+            option.setName('fair')
+                .setDescription('Interleave tracks so each requester gets a turn.')
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('user_limit')
+                .setDescription('Max upcoming tracks per user (0 for no limit).')
+                .setRequired(false)
+                .setMinValue(0)
+                .setMaxValue(config.music.maxQueueSize || 100))
+        .addIntegerOption(option =>
+            option.setName('max_length')
+                .setDescription('Longest allowed track in minutes (0 for no limit).')
+                .setRequired(false)
+                .setMinValue(0)
+                .setMaxValue(1440))
+        .addBooleanOption(option =>
+            option.setName('allow_live')
+                .setDescription('Allow live streams to be queued.')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('block_keyword')
+                .setDescription('Reject tracks whose title or artist contains this word.')
+                .setRequired(false)
+                .setMaxLength(100))
+        .addStringOption(option =>
+            option.setName('block_artist')
+                .setDescription('Reject tracks by this artist.')
+                .setRequired(false)
+                .setMaxLength(100))
+        .addStringOption(option =>
+            option.setName('unblock')
+                .setDescription('Remove a keyword or artist from the blocklists.')
+                .setRequired(false)
+                .setMaxLength(100)),
+
+    async execute(interaction, client, userProfile) {
+        const guildId = interaction.guild.id;
+        const fairQueue = interaction.options.getBoolean('fair');
+        const maxTracksPerUser = interaction.options.getInteger('user_limit');
+        const maxTrackLengthMinutes = interaction.options.getInteger('max_length');
+        const allowLiveStreams = interaction.options.getBoolean('allow_live');
+        const blockKeyword = interaction.options.getString('block_keyword');
+        const blockArtist = interaction.options.getString('block_artist');
+        const unblock = interaction.options.getString('unblock');
+
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const policy = await setQueuePolicy(guildId, {
+                ...(fairQueue !== null && { fairQueue }),
+                ...(maxTracksPerUser !== null && { maxTracksPerUser }),
+                ...(maxTrackLengthMinutes !== null && { maxTrackLengthMinutes }),
+                ...(allowLiveStreams !== null && { allowLiveStreams }),
+                ...(blockKeyword && { blockKeyword }),
+                ...(blockArtist && { blockArtist }),
+                ...(unblock && { unblock }),
+            });
+            const changed = [fairQueue, maxTracksPerUser, maxTrackLengthMinutes, allowLiveStreams, blockKeyword, blockArtist, unblock].some(value => value !== null);
+
+            // Apply to the live queue right away
+            const queue = client.queues.get(guildId);
+            let reordered = false;
+            if (queue) {
+                const wasFair = queue.policy?.fairQueue;
+                queue.policy = policy;
+                if (policy.fairQueue && !wasFair && queue.songs.length > 1) {
+                    queue.songs = orderFairly(queue.songs);
+                    reordered = true;
+                    persistQueueState(queue, true);
+                    updateNowPlayingMessage(queue).catch(e => logger.error("Error updating NP message after queue reorder:", e));
+                }
+            }
+            if (changed) {
+                logger.info(`[${guildId}] Queue policy updated by ${interaction.user.tag}: fair=${policy.fairQueue}, limit=${policy.maxTracksPerUser}, maxLength=${policy.maxTrackLengthMinutes}, live=${policy.allowLiveStreams}, blocked=${policy.blockedKeywords.length + policy.blockedArtists.length}.`);
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor(changed ? config.colors.success : config.colors.primary)
+                .setTitle(changed ? 'Queue Settings Updated' : 'Queue Settings')
+                .addFields(
+                    { name: '⚖️ Fair Queue', value: policy.fairQueue ? 'On (requesters take turns)' : 'Off (first come, first served)', inline: true },
+                    { name: '👤 Per-User Limit', value: policy.maxTracksPerUser ? `${policy.maxTracksPerUser} upcoming tracks` : 'No limit', inline: true },
+                    { name: '⏱️ Max Track Length', value: policy.maxTrackLengthMinutes ? `${policy.maxTrackLengthMinutes} minutes` : 'No limit', inline: true },
+                    { name: '🔴 Live Streams', value: policy.allowLiveStreams ? 'Allowed' : 'Blocked', inline: true },
+                    { name: '🚫 Blocked Keywords', value: formatBlocklist(policy.blockedKeywords) },
+                    { name: '🚫 Blocked Artists', value: formatBlocklist(policy.blockedArtists) },
+                )
+                .setTimestamp();
+            if (reordered) embed.setDescription('The current queue has been reordered so everyone gets a turn.');
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`[${guildId}] Error updating queue settings:`, error);
+            await interaction.editReply({ content: 'An error occurred while updating the queue settings.', embeds: [] }).catch(e => logger.error("Failed to edit reply on queuesettings error:", e));
+        }
+    },
+};
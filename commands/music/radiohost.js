@@ -0,0 +1,51 @@
+// commands/music/radiohost.js
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { getRadioHostSettings, setRadioHostSettings } = require('../../spotify/radioHost'); // Adjust path
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('radiohost')
+        .setDescription('Lets Samuel Jefferson introduce tracks as they start, like a radio host.')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addBooleanOption(option =>
+            option.setName('enabled')
+                .setDescription('Turn the radio host on or off (leave empty to toggle).')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('speak')
+                .setDescription('Also speak the intros in the voice channel.')
+                .setRequired(false)),
+
+    async execute(interaction, client, userProfile) {
+        const guildId = interaction.guild.id;
+
+        await interaction.deferReply();
+
+        try {
+            const current = await getRadioHostSettings(guildId);
+            const speak = interaction.options.getBoolean('speak');
+            // Setting only `speak` leaves the host on or off as it was
+            const enabled = interaction.options.getBoolean('enabled') ?? (speak !== null ? current.enabled : !current.enabled);
+            const settings = await setRadioHostSettings(guildId, { enabled, speak: speak ?? undefined });
+            logger.info(`[${guildId}] Radio host set to ${settings.enabled} (speak: ${settings.speak}) by ${interaction.user.tag}.`);
+
+            const embed = new EmbedBuilder()
+                .setColor(config.colors.gemini)
+                .setTitle(settings.enabled ? '🎙️ Radio Host On the Air' : 'Radio Host Off the Air')
+                .setDescription(settings.enabled
+                    ? `I shall introduce tracks as they begin, at most once every ${Math.round((config.radioHost.minIntervalSeconds || 180) / 60)} minute(s).${settings.speak ? ' My intros will also be spoken aloud.' : ''}`
+                    : 'I shall let the music speak for itself.')
+                .setFooter({ text: `Requested by ${interaction.user.tag}` })
+                .setTimestamp();
+            if (settings.enabled && !process.env.GEMINI_API_KEY) {
+                embed.addFields({ name: 'Note', value: 'My generative faculties are not configured (GEMINI_API_KEY), so no intros will be posted until they are.' });
+            }
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`[${guildId}] Error changing radio host setting:`, error);
+            await interaction.editReply({ content: 'An error occurred while changing the radio host setting.', embeds: [] }).catch(e => logger.error("Failed to edit reply on radiohost error:", e));
+        }
+    },
+};
@@ -0,0 +1,51 @@
+// commands/music/replay.js
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { updateNowPlayingMessage, formatDuration, seekCurrentTrack } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { checkMusicPermission } = require('../../spotify/musicPermissions'); // Adjust path
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('replay')
+        .setDescription('Restarts the current track from the beginning.'),
+
+    async execute(interaction, client, userProfile) {
+        const guildId = interaction.guild.id;
+        const queue = client.queues.get(guildId);
+
+        // --- Pre-checks ---
+        if (!queue || !queue.currentTrack || !queue.lavalinkPlayer) {
+            return interaction.reply({ content: 'There is no track currently playing to replay.', ephemeral: true });
+        }
+        const denied = await checkMusicPermission(interaction.member, queue);
+        if (denied) {
+            return interaction.reply({ content: denied, ephemeral: true });
+        }
+
+        const track = queue.currentTrack;
+        if (formatDuration(track.rawDurationMs) === 'Live' || track.isStream) {
+            return interaction.reply({ content: 'Live streams cannot be replayed from the start.', ephemeral: true });
+        }
+
+        await interaction.deferReply(); // Seeking saves the queue and edits the Now Playing message
+
+        try {
+            await seekCurrentTrack(queue, 0);
+            logger.info(`[${guildId}] Replaying "${track.title}" from the start by ${interaction.user.tag}.`);
+
+            await updateNowPlayingMessage(queue).catch(e => logger.error("Error updating NP message after replay:", e));
+
+            const embed = new EmbedBuilder()
+                .setColor(config.colors.music)
+                .setTitle('Replaying Track')
+                .setDescription(`Restarted **[${track.title}](${track.url})** from the beginning.`)
+                .setFooter({ text: `Requested by ${interaction.user.tag}` })
+                .setTimestamp();
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`[${guildId}] Error replaying track:`, error);
+            await interaction.editReply({ content: 'An error occurred while trying to replay the track.', embeds: [] }).catch(e => logger.error("Failed to edit reply on replay error:", e));
+        }
+    },
+};
@@ -3,6 +3,8 @@ const logger = require('../../utils/logger');
 const config = require('../../config');
 // Ensure this path is correct based on your project structure
 const { getLavalinkPlayer, createGuildQueue, addToQueue, playNextTrack, updateNowPlayingMessage, handleQueueEnd } = require('../../spotify/spotifyPlayer');
+const { describeRejection } = require('../../spotify/queuePolicy');
+const { extractTracksFromLavalinkResponse, isSupportedTrackUrl } = require('../../spotify/trackLoader');
 
 // Debounce utility
 const debounce = (func, wait) => {
@@ -28,102 +30,6 @@ function formatDuration(ms) {
     return parts.join(':');
 }
 
-/**
- * Extracts tracks from a Lavalink V4 resolve response.
- * Handles different loadTypes and potential nesting under 'data'.
- * @param {object} lavalinkResponse - The response object from node.rest.resolve().
- * @param {string} guildId - For logging context.
- * @returns {Array<object>} An array of track objects, or an empty array if none found.
- */
-function extractTracksFromLavalinkResponse(lavalinkResponse, guildId) { // Added guildId for logging
-    // --- Start Added Logging ---
-    logger.debug(`[${guildId}] extractTracks: Input Response: ${JSON.stringify(lavalinkResponse).substring(0, 500)}...`);
-    // --- End Added Logging ---
-
-    if (!lavalinkResponse) return [];
-
-    const loadType = lavalinkResponse.loadType?.toUpperCase(); // Ensure uppercase for consistent checks
-    let tracks = []; // Initialize as empty array
-
-    // --- Updated Condition ---
-    // Check common locations for tracks array based on loadType
-    // Handle both TRACK_LOADED and TRACK as single track results
-    if (['TRACK_LOADED', 'TRACK'].includes(loadType)) {
-        logger.debug(`[${guildId}] extractTracks: Handling single track loadType: ${loadType}`);
-        // Lavalink V4 often puts single tracks directly in 'data'
-        // Ensure 'data' exists and is the track object (not an array)
-        if (lavalinkResponse.data && typeof lavalinkResponse.data === 'object' && !Array.isArray(lavalinkResponse.data) && (lavalinkResponse.data.encoded || lavalinkResponse.data.track)) {
-             logger.debug(`[${guildId}] extractTracks: Found track in response.data`);
-             tracks = [lavalinkResponse.data];
-        } else if (Array.isArray(lavalinkResponse.data) && lavalinkResponse.data.length > 0) {
-             // Fallback if data is an array containing the track
-             logger.debug(`[${guildId}] extractTracks: Found track in response.data[0]`);
-             tracks = [lavalinkResponse.data[0]];
-        } else if (Array.isArray(lavalinkResponse.tracks) && lavalinkResponse.tracks.length > 0) {
-             // Older structure or fallback
-             logger.debug(`[${guildId}] extractTracks: Found track in response.tracks[0]`);
-             tracks = [lavalinkResponse.tracks[0]];
-        } else {
-             logger.warn(`[${guildId}] extractTracks: ${loadType} but track data not found in expected locations (data or tracks).`);
-             // Attempt to use the top-level response if it looks like a track object
-             if (typeof lavalinkResponse === 'object' && (lavalinkResponse.encoded || lavalinkResponse.track)) {
-                  logger.debug(`[${guildId}] extractTracks: Using top-level response object as track.`);
-                  tracks = [lavalinkResponse];
-             }
-        }
-    // --- End Updated Condition ---
-    } else if (['PLAYLIST_LOADED', 'SEARCH_RESULT', 'SEARCH'].includes(loadType)) { // Handle playlist/search types
-         // Playlists and search results are typically under 'data' which is an object containing 'tracks' array
-         if (lavalinkResponse.data && Array.isArray(lavalinkResponse.data.tracks)) {
-             logger.debug(`[${guildId}] extractTracks: Found tracks in response.data.tracks`);
-             tracks = lavalinkResponse.data.tracks;
-         } else if (Array.isArray(lavalinkResponse.tracks)) {
-             // Fallback to top-level 'tracks'
-             logger.debug(`[${guildId}] extractTracks: Found tracks in response.tracks`);
-             tracks = lavalinkResponse.tracks;
-         } else if (Array.isArray(lavalinkResponse.data)) {
-             // Sometimes search results might be directly in data array (less common)
-             logger.debug(`[${guildId}] extractTracks: Found tracks directly in response.data (array)`);
-             tracks = lavalinkResponse.data;
-         } else {
-              logger.warn(`[${guildId}] extractTracks: ${loadType} but tracks array not found in expected locations (data.tracks or tracks).`);
-         }
-    } else if (loadType === 'NO_MATCHES' || loadType === 'LOAD_FAILED') {
-        logger.debug(`[${guildId}] extractTracks: LoadType is ${loadType}. Returning empty array.`);
-        tracks = [];
-    } else {
-         logger.warn(`[${guildId}] extractTracks: Unknown or unhandled loadType '${loadType}'. Attempting fallback checks.`);
-         // Unknown loadType, try checking common locations as a last resort
-         tracks = lavalinkResponse.data?.tracks || lavalinkResponse.tracks || lavalinkResponse.data || [];
-         if (!Array.isArray(tracks)) tracks = []; // Ensure it's an array
-    }
-
-    // --- Start Added Logging ---
-    logger.debug(`[${guildId}] extractTracks: Tracks array BEFORE filtering (length ${Array.isArray(tracks) ? tracks.length : 'N/A'}): ${JSON.stringify(tracks).substring(0, 500)}...`);
-    // --- End Added Logging ---
-
-    // Ensure result is always an array and filter out any potential null/undefined entries
-    // Also ensure each track has necessary info (like title and identifier)
-    const filteredTracks = Array.isArray(tracks) ? tracks.filter(t => {
-        const hasTrack = t && typeof t === 'object';
-        const info = hasTrack ? (t.info || t) : null; // Get info object or use track itself
-        const hasTitle = info && typeof info.title === 'string' && info.title.trim() !== '';
-        const hasIdentifier = hasTrack && (typeof t.encoded === 'string' || typeof t.track === 'string'); // Check for encoded (v4) or track (v3)
-        // --- Start Added Logging ---
-        if (hasTrack && (!hasTitle || !hasIdentifier)) {
-            logger.warn(`[${guildId}] extractTracks: Filtering out track due to missing title or identifier: ${JSON.stringify(t).substring(0, 200)}... (HasTitle: ${hasTitle}, HasIdentifier: ${hasIdentifier})`);
-        }
-        // --- End Added Logging ---
-        return hasTitle && hasIdentifier;
-    }) : [];
-
-    // --- Start Added Logging ---
-    logger.debug(`[${guildId}] extractTracks: Tracks array AFTER filtering (length ${filteredTracks.length}).`);
-    // --- End Added Logging ---
-    return filteredTracks;
-}
-
-
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('search')
@@ -309,6 +215,9 @@ module.exports = {
             const isUrl = query.startsWith('http');
             const isSpotify = isUrl && query.includes('spotify.com');
             const isYoutube = isUrl && (query.includes('youtube.com') || query.includes('youtu.be'));
+            if (isUrl && !isSupportedTrackUrl(query)) {
+                return interaction.editReply({ content: 'Only links to supported music sites (such as SoundCloud, Spotify or Vimeo) can be searched.' }).catch(() => {});
+            }
 
             let searchQuery;
             let isInitialSearchYoutube = false; // Flag to track if the first attempt is ytsearch
@@ -478,11 +387,14 @@ module.exports = {
                      const info = selectedTrackData.info || selectedTrackData;
                     const song = {
                         title: info.title || 'Unknown Title',
+                        author: info.author || null,
                         url: info.uri,
                         duration: formatDuration(info.length || 0),
                         rawDurationMs: info.length || 0,
+                        isStream: !!info.isStream,
                         thumbnail: info.artworkUrl || info.thumbnail,
                         requestedBy: i.user.tag,
+                        requesterId: i.user.id,
                         source: info.sourceName || 'Lavalink', // This should be correctly populated by lavasrc/lavalink
                         lavalinkTrack: selectedTrackData.encoded || selectedTrackData.track // The crucial identifier for Lavalink
                     };
@@ -490,7 +402,7 @@ module.exports = {
                      // Log the source before adding to queue
                      logger.debug(`[${guildId}] Selected track source identified by Lavalink: ${song.source}`);
 
-                    const { addedCount } = await addToQueue(interaction, client.queues, song); // Pass interaction for potential follow-ups in addToQueue
+                    const { addedCount, reason } = await addToQueue(interaction, client.queues, song); // Pass interaction for potential follow-ups in addToQueue
 
                     if (addedCount > 0) {
                         // --- Embed Color Fix ---
@@ -516,8 +428,8 @@ module.exports = {
                              await playNextTrack(guildId, client.queues, client);
                         }
                     } else {
-                         // If addToQueue returned 0 (e.g., duplicate or queue full), inform user
-                         await interaction.editReply({ content: 'Track was not added (maybe duplicate or queue full?).', embeds: [], components: [] }).catch(() => {});
+                         // If addToQueue returned 0, tell the user which rule rejected the track
+                         await interaction.editReply({ content: `Track was not added: ${describeRejection(reason, queue.policy)}.`, embeds: [], components: [] }).catch(() => {});
                     }
 
                     collector.stop('trackSelected');
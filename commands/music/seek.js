@@ -0,0 +1,99 @@
+// commands/music/seek.js
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { updateNowPlayingMessage, formatDuration, seekCurrentTrack } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { estimatePosition } = require('../../spotify/nodeFailover'); // Adjust path
+const { checkMusicPermission } = require('../../spotify/musicPermissions'); // Adjust path
+
+/**
+ * Parses a seek target into milliseconds.
+ * Accepts absolute positions (`1:23`, `1:02:03`, `83`) and relative offsets in seconds (`+30`, `-15`).
+ * @param {string} input - The raw user input.
+ * @param {number} currentPositionMs - The current player position, used for relative offsets.
+ * @returns {number|null} The target position in ms, or null if the input is invalid.
+ */
+function parseSeekPosition(input, currentPositionMs) {
+    const value = input.trim();
+
+    const relativeMatch = value.match(/^([+-])(\d+)$/);
+    if (relativeMatch) {
+        const offsetMs = parseInt(relativeMatch[2], 10) * 1000;
+        return relativeMatch[1] === '+' ? currentPositionMs + offsetMs : currentPositionMs - offsetMs;
+    }
+
+    // Plain seconds or [hh:]mm:ss
+    if (!/^\d+(:\d{1,2}){0,2}$/.test(value)) return null;
+    const parts = value.split(':').map(part => parseInt(part, 10));
+    if (parts.slice(1).some(part => part >= 60)) return null; // Minutes/seconds fields must be < 60
+    const totalSeconds = parts.reduce((total, part) => total * 60 + part, 0);
+    return totalSeconds * 1000;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('seek')
+        .setDescription('Jumps to a position in the current track.')
+        .addStringOption(option =>
+            option.setName('position')
+                .setDescription('Timestamp (1:23 or 83) or relative seconds (+30 to fast-forward, -15 to rewind).')
+                .setRequired(true)
+                .setMaxLength(12)),
+
+    async execute(interaction, client, userProfile) {
+        const guildId = interaction.guild.id;
+        const queue = client.queues.get(guildId);
+        const input = interaction.options.getString('position');
+
+        // --- Pre-checks ---
+        if (!queue || !queue.currentTrack || !queue.lavalinkPlayer) {
+            return interaction.reply({ content: 'There is no track currently playing to seek within.', ephemeral: true });
+        }
+        const denied = await checkMusicPermission(interaction.member, queue);
+        if (denied) {
+            return interaction.reply({ content: denied, ephemeral: true });
+        }
+
+        const track = queue.currentTrack;
+        const player = queue.lavalinkPlayer;
+        if (formatDuration(track.rawDurationMs) === 'Live' || track.isStream) {
+            return interaction.reply({ content: 'Live streams cannot be seeked.', ephemeral: true });
+        }
+        if (!track.rawDurationMs) {
+            return interaction.reply({ content: 'The length of this track is unknown, so I cannot seek within it.', ephemeral: true });
+        }
+
+        // Lavalink only reports the position every few seconds; relative seeks need the time since then too.
+        // While speech plays over the music, the music's position is the one it will resume at
+        const currentMs = queue.interjection?.phase === 'speaking' ? queue.interjection.position : estimatePosition(queue, player);
+        const targetMs = parseSeekPosition(input, currentMs);
+        if (targetMs === null) {
+            return interaction.reply({ content: `"${input}" is not a valid position. Use \`1:23\`, \`83\`, \`+30\` or \`-15\`.`, ephemeral: true });
+        }
+        if (targetMs >= track.rawDurationMs) {
+            return interaction.reply({ content: `That is beyond the end of the track (${formatDuration(track.rawDurationMs)}). Use \`/skip\` to move on.`, ephemeral: true });
+        }
+        const clampedMs = Math.max(0, targetMs); // Rewinding past the start goes to the start
+
+        await interaction.deferReply(); // Seeking saves the queue and edits the Now Playing message
+
+        try {
+            await seekCurrentTrack(queue, clampedMs);
+            logger.info(`[${guildId}] Seeked "${track.title}" to ${clampedMs}ms by ${interaction.user.tag}.`);
+
+            await updateNowPlayingMessage(queue).catch(e => logger.error("Error updating NP message after seek:", e));
+
+            const positionLabel = clampedMs > 0 ? formatDuration(clampedMs) : '0:00'; // formatDuration treats 0 as N/A
+            const embed = new EmbedBuilder()
+                .setColor(config.colors.music)
+                .setTitle('Position Changed')
+                .setDescription(`Jumped to \`${positionLabel} / ${formatDuration(track.rawDurationMs)}\` in **[${track.title}](${track.url})**.`)
+                .setFooter({ text: `Requested by ${interaction.user.tag}` })
+                .setTimestamp();
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`[${guildId}] Error seeking track:`, error);
+            await interaction.editReply({ content: 'An error occurred while trying to seek.', embeds: [] }).catch(e => logger.error("Failed to edit reply on seek error:", e));
+        }
+    },
+};
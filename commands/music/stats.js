@@ -0,0 +1,89 @@
+// commands/music/stats.js
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { STATS_PERIODS, getListeningStats, formatListeningTime } = require('../../spotify/playStats'); // Adjust path
+
+const PERIOD_CHOICES = Object.entries(STATS_PERIODS).map(([value, { label }]) => ({ name: label, value }));
+
+/**
+ * Adds the shared period option to a subcommand.
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} subcommand - The subcommand.
+ * @returns {import('discord.js').SlashCommandSubcommandBuilder} The subcommand, for chaining.
+ */
+function addPeriodOption(subcommand) {
+    return subcommand.addStringOption(option =>
+        option.setName('period')
+            .setDescription('The time period to cover (default: last 30 days).')
+            .setRequired(false)
+            .addChoices(...PERIOD_CHOICES));
+}
+
+/**
+ * Formats a top list for an embed field.
+ * @param {Array<object>} entries - The entries, best first.
+ * @param {function(object): string} describe - Formats an entry's name.
+ * @returns {string} The field value.
+ */
+function formatTopList(entries, describe) {
+    if (entries.length === 0) return 'Nothing yet.';
+    return entries
+        .map((entry, index) => `\`${index + 1}.\` ${describe(entry)} — ${entry.plays} play${entry.plays === 1 ? '' : 's'} (${formatListeningTime(entry.listenedMs)})`)
+        .join('\n')
+        .substring(0, 1024);
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('stats')
+        .setDescription('Shows listening statistics and leaderboards.')
+        .addSubcommand(subcommand =>
+            addPeriodOption(subcommand
+                .setName('server')
+                .setDescription('Top tracks, artists and requesters in this server.')))
+        .addSubcommand(subcommand =>
+            addPeriodOption(subcommand
+                .setName('user')
+                .setDescription('What a user has requested in this server.')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The user to show (default: you).')
+                        .setRequired(false)))),
+
+    async execute(interaction, client, userProfile) {
+        const subcommand = interaction.options.getSubcommand();
+        const period = interaction.options.getString('period') || 'month';
+        const guildId = interaction.guild.id;
+        const user = subcommand === 'user' ? (interaction.options.getUser('user') || interaction.user) : null;
+
+        await interaction.deferReply();
+        try {
+            const stats = await getListeningStats({ guildId, userId: user?.id, period });
+            const title = user ? `📊 ${user.username}'s Listening Stats` : `📊 ${interaction.guild.name} Listening Stats`;
+            const embed = new EmbedBuilder()
+                .setColor(config.colors.music)
+                .setTitle(title)
+                .setFooter({ text: `${STATS_PERIODS[period].label}${user ? ' | Counts tracks they requested' : ''}` })
+                .setTimestamp();
+
+            if (stats.totals.plays === 0) {
+                embed.setDescription(user ? `${user} has not requested any tracks here in this period.` : 'No tracks have been played here in this period.');
+                return interaction.editReply({ embeds: [embed] });
+            }
+
+            const skipRate = Math.round((stats.totals.skipped / stats.totals.plays) * 100);
+            embed.setDescription(`**${formatListeningTime(stats.totals.listenedMs)}** of music across **${stats.totals.plays}** plays (${skipRate}% skipped).`)
+                .addFields(
+                    { name: '🎵 Top Tracks', value: formatTopList(stats.topTracks, track => track.url ? `[${track.title}](${track.url})` : track.title) },
+                    { name: '🎤 Top Artists', value: formatTopList(stats.topArtists, artist => artist.author) }
+                );
+            if (!user) {
+                embed.addFields({ name: '🙋 Top Requesters', value: formatTopList(stats.topRequesters, requester => `<@${requester.requesterId}>`) });
+            }
+            await interaction.editReply({ embeds: [embed], allowedMentions: { parse: [] } });
+        } catch (error) {
+            logger.error(`[${guildId}] Error building /stats ${subcommand}:`, error);
+            await interaction.editReply({ content: 'An error occurred while gathering listening statistics.' }).catch(() => {});
+        }
+    },
+};
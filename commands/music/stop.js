@@ -3,8 +3,8 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const logger = require('../../utils/logger'); // Adjust path
 const config = require('../../config'); // Adjust path
-// Import updateNowPlayingMessage to handle message updates after stopping
-const { updateNowPlayingMessage } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { stopPlayback } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { checkMusicPermission } = require('../../spotify/musicPermissions'); // Adjust path
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -19,10 +19,10 @@ module.exports = {
         if (!queue) {
             return interaction.reply({ content: 'Nothing to stop, as I am not currently engaged in musical performance.', ephemeral: true });
         }
-        if (!interaction.member.voice.channel || interaction.member.voice.channel.id !== queue.voiceChannel?.id) { // Added optional chaining for voiceChannel
-            return interaction.reply({ content: 'You must be in the same voice channel as me to command a cessation of music.', ephemeral: true });
+        const denied = await checkMusicPermission(interaction.member, queue, { djOnly: true });
+        if (denied) {
+            return interaction.reply({ content: denied, ephemeral: true });
         }
-        // Optional: Add DJ role check here
 
         // Defer reply while processing
         await interaction.deferReply();
@@ -30,30 +30,8 @@ module.exports = {
         try {
             logger.info(`Stopping playback and clearing queue in guild ${guildId} by ${interaction.user.tag} via command.`);
 
-            // Clear songs, loop, current track
             const stoppedTrack = queue.currentTrack; // Get track that was playing, if any
-            queue.songs = [];
-            queue.loop = 'off';
-            queue.currentTrack = null;
-            queue.playing = false;
-
-            // Get the connection before potentially destroying it
-            const connection = queue.connection;
-
-            // Destroy connection (triggers cleanup in event listener)
-            if (connection && connection.state.status !== 'destroyed') {
-                 connection.destroy();
-                 // The 'Destroyed' listener in spotifyPlayer.js should handle deleting the queue from client.queues map.
-            } else {
-                // If no connection or already destroyed, ensure queue is deleted from map manually
-                client.queues.delete(guildId);
-                 logger.info(`Manually deleted queue for guild ${guildId} as connection was absent or already destroyed.`);
-                 // Manually update message if no connection event will fire
-                 // Pass a copy of the queue object as it might be modified during async operations
-                 const queueSnapshot = { ...queue, textChannel: interaction.channel }; // Ensure textChannel is valid
-                 await updateNowPlayingMessage(queueSnapshot, true).catch(e => logger.error("Error updating NP message on manual stop:", e));
-            }
-
+            await stopPlayback(queue, client);
 
             // Use EmbedBuilder imported at the top
             const embed = new EmbedBuilder()
@@ -4,7 +4,8 @@ const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const logger = require('../../utils/logger'); // Adjust path
 const config = require('../../config'); // Adjust path
 // Import updateNowPlayingMessage as it updates the volume display
-const { updateNowPlayingMessage } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { updateNowPlayingMessage, setQueueVolume } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { checkMusicPermission } = require('../../spotify/musicPermissions'); // Adjust path
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -26,44 +27,31 @@ module.exports = {
         if (!queue) {
             return interaction.reply({ content: 'Cannot set volume, as no music is currently playing or queued.', ephemeral: true });
         }
-        if (!interaction.member.voice.channel || interaction.member.voice.channel.id !== queue.voiceChannel?.id) { // Optional chaining
-            return interaction.reply({ content: 'You must be in the same voice channel as me to adjust the volume.', ephemeral: true });
+        const denied = await checkMusicPermission(interaction.member, queue);
+        if (denied) {
+            return interaction.reply({ content: denied, ephemeral: true });
+        }
+        if (!queue.lavalinkPlayer) {
+            return interaction.reply({ content: 'The music player is not available right now.', ephemeral: true });
         }
-        // Optional: Add DJ role check?
 
         // Defer reply while processing
         await interaction.deferReply();
 
         try {
-            let replyMessage = `Playback volume set to **${volumeLevel}%**.`;
-
-             // Check if the player and its current resource support inline volume
-             if (queue.player && queue.player.state.status !== 'idle' && queue.player.state.resource?.volume) {
-                // Set volume on the currently playing resource
-                queue.player.state.resource.volume.setVolumeLogarithmic(volumeLevel / 100);
-                logger.info(`Inline volume set to ${volumeLevel}% for current track in guild ${guildId} by ${interaction.user.tag}.`);
-             } else {
-                 // If no active resource or inline volume not supported, just set for future tracks
-                 logger.info(`Setting queue default volume to ${volumeLevel}% for future tracks in guild ${guildId} by ${interaction.user.tag} (no active resource volume).`);
-                 // Add a note to the user reply if inline volume wasn't set
-                 if (queue.player && queue.player.state.status !== 'idle') {
-                    replyMessage += '\n(Note: The volume of the *currently playing* track could not be adjusted directly, but subsequent tracks will use this volume.)';
-                 }
-             }
+            const previousVolume = queue.volume ?? queue.lavalinkPlayer.volume;
 
-            // Always update the queue's default volume for subsequent tracks
-            queue.volume = volumeLevel;
+            // Sets the Lavalink player volume and remembers it as this guild's starting volume
+            await setQueueVolume(queue, volumeLevel);
+            logger.info(`Volume changed from ${previousVolume}% to ${volumeLevel}% in guild ${guildId} by ${interaction.user.tag}.`);
 
-            // Update the Now Playing message immediately to reflect the new default volume
-            // Use a snapshot in case queue object changes during async operations
-             const queueSnapshot = { ...queue, textChannel: interaction.channel };
-             await updateNowPlayingMessage(queueSnapshot).catch(e => logger.error("Error updating NP message on volume change:", e));
+            // Update the Now Playing message immediately to reflect the new volume
+            await updateNowPlayingMessage(queue).catch(e => logger.error("Error updating NP message on volume change:", e));
 
-            // Use EmbedBuilder imported at the top
             const embed = new EmbedBuilder()
                 .setColor(config.colors.music)
                 .setTitle('Volume Adjusted')
-                .setDescription(replyMessage) // Use the potentially modified reply message
+                .setDescription(`Playback volume set to **${volumeLevel}%**.\nThis will also be the starting volume for future sessions in this server.`)
                 .setTimestamp();
 
             await interaction.editReply({ embeds: [embed] });
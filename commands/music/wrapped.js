@@ -0,0 +1,57 @@
+// commands/music/wrapped.js
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { STATS_PERIODS, getWrappedSummary, formatListeningTime } = require('../../spotify/playStats'); // Adjust path
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('wrapped')
+        .setDescription('Your personal listening summary across every server.')
+        .addStringOption(option =>
+            option.setName('period')
+                .setDescription('The time period to cover (default: last 12 months).')
+                .setRequired(false)
+                .addChoices(...Object.entries(STATS_PERIODS).map(([value, { label }]) => ({ name: label, value })))),
+
+    async execute(interaction, client, userProfile) {
+        const period = interaction.options.getString('period') || 'year';
+        await interaction.deferReply();
+
+        try {
+            const summary = await getWrappedSummary(interaction.user.id, period);
+            const embed = new EmbedBuilder()
+                .setColor(config.colors.music)
+                .setTitle(`🎁 ${interaction.user.username}'s Wrapped`)
+                .setThumbnail(interaction.user.displayAvatarURL())
+                .setFooter({ text: `${STATS_PERIODS[period].label} | Based on the tracks you requested | Times in UTC` })
+                .setTimestamp();
+
+            if (!summary) {
+                embed.setDescription('You have not requested any tracks in this period. Use `/play` to get started!');
+                return interaction.editReply({ embeds: [embed] });
+            }
+
+            const firstPlayed = Math.floor(new Date(summary.firstPlayedAt).getTime() / 1000);
+            const skipRate = Math.round((summary.skipped / summary.plays) * 100);
+            const [topTrack] = summary.topTracks;
+            embed.setDescription([
+                `You queued **${summary.plays}** tracks for **${formatListeningTime(summary.listenedMs)}** of music,`,
+                `covering **${summary.uniqueTracks}** different tracks by **${summary.uniqueArtists}** artists in **${summary.guildCount}** server(s).`,
+                topTrack ? `\nYour #1 track: **${topTrack.url ? `[${topTrack.title}](${topTrack.url})` : topTrack.title}** (${topTrack.plays} plays)` : '',
+            ].join('\n'))
+                .addFields(
+                    { name: '🎵 Top Tracks', value: summary.topTracks.map((track, index) => `\`${index + 1}.\` ${track.title} (${track.plays})`).join('\n').substring(0, 1024) || 'Nothing yet.', inline: true },
+                    { name: '🎤 Top Artists', value: summary.topArtists.map((artist, index) => `\`${index + 1}.\` ${artist.author} (${artist.plays})`).join('\n').substring(0, 1024) || 'Unknown artists.', inline: true },
+                    { name: '📅 Favorite Day', value: summary.busiestWeekday || 'N/A', inline: true },
+                    { name: '🕒 Peak Hour', value: summary.busiestHour !== null ? `${String(summary.busiestHour).padStart(2, '0')}:00` : 'N/A', inline: true },
+                    { name: '⏭️ Skip Rate', value: `${skipRate}%`, inline: true },
+                    { name: '🗓️ First Play', value: `<t:${firstPlayed}:D>`, inline: true }
+                );
+            await interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            logger.error(`Error building /wrapped for ${interaction.user.tag}:`, error);
+            await interaction.editReply({ content: 'An error occurred while building your summary.' }).catch(() => {});
+        }
+    },
+};
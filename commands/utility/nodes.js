@@ -0,0 +1,73 @@
+// commands/utility/nodes.js
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const logger = require('../../utils/logger'); // Adjust path
+const config = require('../../config'); // Adjust path
+const { NODE_STATES } = require('../../spotify/nodeFailover'); // Adjust path
+
+const STATE_LABELS = {
+    [NODE_STATES.CONNECTING]: '🟡 Connecting',
+    [NODE_STATES.CONNECTED]: '🟢 Connected',
+    [NODE_STATES.DISCONNECTING]: '🟠 Reconnecting',
+    [NODE_STATES.DISCONNECTED]: '🔴 Disconnected',
+};
+
+/**
+ * Formats a byte count as megabytes.
+ * @param {number} bytes - The number of bytes.
+ * @returns {string} The formatted size.
+ */
+function formatMegabytes(bytes) {
+    return `${Math.round((bytes || 0) / 1024 / 1024)} MB`;
+}
+
+/**
+ * Formats an uptime in ms as days, hours and minutes.
+ * @param {number} ms - The uptime in milliseconds.
+ * @returns {string} The formatted uptime.
+ */
+function formatUptime(ms) {
+    const minutes = Math.floor((ms || 0) / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    return `${days > 0 ? `${days}d ` : ''}${hours}h ${minutes % 60}m`;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('nodes')
+        .setDescription('Shows the status of the Lavalink audio nodes.')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+    async execute(interaction, client, userProfile) {
+        const nodes = [...(client.shoukaku?.nodes.values() || [])];
+        if (nodes.length === 0) {
+            return interaction.reply({ content: 'No Lavalink nodes are available right now.', ephemeral: true });
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(nodes.some(node => node.state === NODE_STATES.CONNECTED) ? config.colors.info : config.colors.error)
+            .setTitle('🎛️ Lavalink Nodes')
+            .setTimestamp();
+
+        for (const node of nodes.slice(0, 25)) {
+            // Players this bot has on the node, next to the node's own totals (which include other clients)
+            const ourPlayers = [...client.shoukaku.players.values()].filter(player => player.node?.name === node.name).length;
+            const lines = [`**State:** ${STATE_LABELS[node.state] || 'Unknown'}`, `**Our Players:** ${ourPlayers}`];
+            if (node.stats) {
+                const { players, playingPlayers, uptime, cpu, memory } = node.stats;
+                lines.push(
+                    `**Players:** ${playingPlayers} playing / ${players} total`,
+                    `**CPU:** ${(cpu.systemLoad * 100).toFixed(1)}% system, ${(cpu.lavalinkLoad * 100).toFixed(1)}% Lavalink (${cpu.cores} cores)`,
+                    `**Memory:** ${formatMegabytes(memory.used)} used / ${formatMegabytes(memory.allocated)} allocated`,
+                    `**Uptime:** ${formatUptime(uptime)}`,
+                );
+            } else {
+                lines.push('*No stats received yet.*');
+            }
+            embed.addFields({ name: node.name, value: lines.join('\n'), inline: true });
+        }
+
+        logger.debug(`[${interaction.guild?.id}] Node status requested by ${interaction.user.tag}.`);
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    },
+};
@@ -1,33 +1,71 @@
 // commands/utility/tts.js
 const { SlashCommandBuilder } = require('discord.js');
 const logger = require('../../utils/logger'); // Adjust path
-
-// NOTE: @discordjs/voice related imports REMOVED as Lavalink is now used for music.
-// Re-implementing TTS requires a different approach (e.g., synthesizing to file).
+const config = require('../../config'); // Adjust path
+const { getLavalinkPlayer, createGuildQueue, playInterjection, stopPlayback } = require('../../spotify/spotifyPlayer'); // Adjust path
+const { checkMusicPermission } = require('../../spotify/musicPermissions'); // Adjust path
+const { synthesizeSpeech } = require('../../spotify/tts'); // Adjust path
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('tts')
-        .setDescription('Speaks the provided text (Currently disabled with Lavalink).')
+        .setDescription('Speaks the provided text in your voice channel, pausing the music meanwhile.')
         .addStringOption(option =>
             option.setName('text')
                 .setDescription('The text you want the bot to speak.')
                 .setRequired(true)
-                .setMaxLength(200)),
+                .setMaxLength(config.tts.maxLength || 300)),
 
     async execute(interaction, client, userProfile) {
-        // --- Command Disabled ---
-        logger.warn(`User ${interaction.user.tag} attempted to use /tts command, which is currently disabled due to Lavalink integration.`);
-        await interaction.reply({
-            content: 'My apologies, Citizen. The Text-to-Speech functionality requires different mechanisms when using the Lavalink music service and is currently unavailable. This feature may be revisited in the future.',
-            ephemeral: true // Use ephemeral flag directly
-            // flags: 64 // Alternative way for ephemeral in newer d.js versions if needed
-        });
-        return;
-        // --- End Disabled Section ---
+        const guildId = interaction.guild.id;
+        const text = interaction.options.getString('text');
+        const voiceChannel = interaction.member.voice.channel;
+        let queue = client.queues?.get(guildId);
+
+        // --- Pre-checks ---
+        if (queue) {
+            const denied = await checkMusicPermission(interaction.member, queue);
+            if (denied) return interaction.reply({ content: denied, ephemeral: true });
+        } else if (!voiceChannel) {
+            return interaction.reply({ content: 'You need to be in a voice channel for me to speak.', ephemeral: true });
+        }
+        const permissions = voiceChannel.permissionsFor(client.user);
+        if (!permissions || !permissions.has('Connect') || !permissions.has('Speak')) {
+            return interaction.reply({ content: 'I require permission to connect and speak in your voice channel.', ephemeral: true });
+        }
+        if (queue?.interjection) {
+            return interaction.reply({ content: 'I am already speaking. Please wait a moment.', ephemeral: true });
+        }
+
+        await interaction.deferReply();
+        let createdQueue = false;
+        try {
+            const { url, engine } = await synthesizeSpeech(text, guildId);
+
+            // Join the channel if no music is playing (the queue's idle timeout makes us leave again)
+            if (!queue) {
+                const player = await getLavalinkPlayer(client, guildId, voiceChannel.id, interaction.channel);
+                if (!player) {
+                    return interaction.editReply({ content: 'Failed to connect to voice or Lavalink node. Please try again.' });
+                }
+                createdQueue = !client.queues?.has(guildId);
+                queue = client.queues?.get(guildId) || createGuildQueue(interaction, voiceChannel);
+                queue.lavalinkPlayer = player;
+            }
 
-        /* --- Original TTS Logic (Commented Out - Requires @discordjs/voice) ---
-        // ... (previous commented out logic remains unchanged) ...
-        */
+            const started = await playInterjection(queue, client, url);
+            if (!started) {
+                return interaction.editReply({ content: 'I am already speaking. Please wait a moment.' });
+            }
+            logger.info(`[${guildId}] /tts by ${interaction.user.tag} (${text.length} chars, ${engine}).`);
+            await interaction.editReply({ content: `🗣️ **${interaction.user.username}:** ${text}`, allowedMentions: { parse: [] } });
+        } catch (error) {
+            logger.error(`[${guildId}] Error during /tts:`, error);
+            // Don't stay connected with an empty queue we only joined for this
+            if (createdQueue && client.queues.get(guildId) === queue && !queue.currentTrack && queue.songs.length === 0) {
+                await stopPlayback(queue, client).catch(stopError => logger.error(`[${guildId}] Error leaving after failed /tts:`, stopError));
+            }
+            await interaction.editReply({ content: `My apologies, Citizen. I could not speak that: ${error.message || 'Unknown error'}` }).catch(() => {});
+        }
     },
 };
@@ -72,17 +72,68 @@ module.exports = {
             default_founding_father: `You are Samuel Jefferson, an AI embodiment of the American Founding Fathers... (rest of prompt)`,
         },
         maxHistoryLength: 20,
+        maxToolRounds: 4, // Rounds of function calls (music controls) allowed before Gemini must reply
     },
 
     // Music settings
     music: {
         maxQueueSize: 100,
         defaultVolume: 50,
-        stayInChannel: false,
-        leaveTimeout: 300,
+        stayInChannel: false, // Default 24/7 mode for guilds that haven't used /247
+        announceTracks: false, // Default spoken track announcements for guilds that haven't used /announce
+        leaveTimeout: 300, // Seconds before leaving an idle or empty voice channel
+        sessionResumeTimeout: 60, // Seconds Lavalink keeps players playing while the bot restarts or reconnects
         maxTrackLengthMinutes: 180,
         searchResultLimit: 10, // Max results for /search command
         allowPlaylistDuplicates: false,
+        allowLiveStreams: true, // Default for guilds that haven't set /queuesettings allow_live
+        historySize: 50, // Played tracks remembered per guild for /history and /previous
+        autoplayTracks: 3, // Related tracks added each time autoplay refills an empty queue
+        maxPlaylistsPerUser: 25, // Saved playlists per user (/playlist)
+        maxPlaylistTracks: 500, // Tracks per saved playlist
+        maxLikedTracks: 500, // Favorites per user (❤️ button, /likes)
+        voteSkipPercent: 50, // Default share of listeners whose votes skip a track (per-guild override via /dj)
+        // Sites whose links may be played. Lavalink's http source is on for /tts speech, so any other link would
+        // make the Lavalink host fetch it (including internal addresses). Subdomains are included
+        trackUrlHosts: [
+            'youtube.com', 'youtu.be', 'soundcloud.com', 'vimeo.com', 'bandcamp.com', 'twitch.tv',
+            'spotify.com', 'spotify.link', 'deezer.com', 'deezer.page.link', 'music.apple.com', 'music.yandex.ru', 'music.yandex.com',
+        ],
+    },
+
+    // Lyrics settings (/lyrics)
+    lyrics: {
+        providers: ['local', 'lrclib'], // Tried in order until one has lyrics (see spotify/lyricsProviders)
+        lrclibUrl: process.env.LRCLIB_URL || 'https://lrclib.net',
+        localDir: process.env.LYRICS_DIR || './lyrics', // .lrc/.txt files named "Artist - Title" or "Title"
+        requestTimeout: 8000, // Milliseconds before a provider request is abandoned
+        liveUpdateInterval: 2500, // Milliseconds between live lyrics checks (message edits are rate limited)
+        liveMaxMinutes: 15, // Live lyrics stop after this long even if the track keeps going
+    },
+
+    // Text-to-speech settings (/tts). Speech is served by the web server and played through Lavalink
+    tts: {
+        engines: (process.env.TTS_ENGINES || 'espeak').split(',').map(name => name.trim()), // Tried in order (see spotify/ttsEngines)
+        // Where Lavalink fetches speech files from (Lavalink's http source must be enabled)
+        baseUrl: process.env.TTS_BASE_URL || 'http://127.0.0.1:' + (process.env.PORT || 8888),
+        fileLifetime: 120, // Seconds a speech file stays available
+        maxLength: 300, // Characters per message
+        synthesisTimeout: 15000, // Milliseconds before an engine is abandoned
+        maxSpeechSeconds: 60, // Music resumes after this long even if Lavalink never reports the speech ending
+        espeakPath: process.env.ESPEAK_PATH || 'espeak-ng',
+        espeakVoice: 'en-us',
+        espeakSpeed: 165, // Words per minute
+        googleLanguageCode: 'en-US',
+        googleVoice: null, // e.g. 'en-US-Neural2-D'; null lets Google pick
+    },
+
+    // AI radio host settings (/radiohost)
+    radioHost: {
+        minIntervalSeconds: 180, // At most one intro per guild this often
+        cacheMinutes: 360, // How long an intro is reused when the same requester plays the same track again
+        maxCachedIntros: 200,
+        maxWords: 45, // Requested intro length
+        timeZone: process.env.RADIO_HOST_TIMEZONE || undefined, // For the time of day in intros; unset uses the host's zone
     },
 
     // Other constants
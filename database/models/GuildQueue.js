@@ -0,0 +1,99 @@
+// database/models/GuildQueue.js
+const mongoose = require('mongoose');
+const logger = require('../../utils/logger'); // Adjust path as needed
+const config = require('../../config'); // Adjust path as needed
+
+// Mirrors the song objects built by /play and /search so they can be restored as-is
+const trackSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    url: String,
+    duration: String,
+    rawDurationMs: Number,
+    isStream: Boolean,
+    thumbnail: String,
+    requestedBy: String,
+    requesterId: String, // Discord user ID of the requester
+    author: String, // Artist/uploader, used by the blocked artist rules
+    autoplay: Boolean, // Added by autoplay rather than a user
+    source: String,
+    lavalinkTrack: { type: String, required: true }, // Encoded Lavalink track, lets us replay without re-searching
+}, { _id: false });
+
+const guildQueueSchema = new mongoose.Schema({
+    guildId: {
+        type: String,
+        required: true,
+        unique: true, // One snapshot per guild
+        index: true,
+    },
+    textChannelId: { type: String, required: true },
+    voiceChannelId: { type: String, required: true },
+    // --- Playback State ---
+    currentTrack: { type: trackSchema, default: null },
+    position: { type: Number, default: 0 }, // Position of currentTrack in ms at the time of the snapshot
+    paused: { type: Boolean, default: false },
+    songs: { type: [trackSchema], default: [] }, // Upcoming tracks, in order
+    loop: { type: String, enum: ['off', 'track', 'queue'], default: 'off' },
+    volume: { type: Number, default: () => config.music.defaultVolume || 50 }, // Player volume (1-100)
+    activeFilter: { // Filter set from /filter (name for display, settings is the Lavalink filters payload)
+        name: String,
+        settings: mongoose.Schema.Types.Mixed,
+    },
+}, {
+    timestamps: true,
+});
+
+// --- Statics ---
+
+/**
+ * Builds a plain snapshot from an in-memory guild queue (see createGuildQueue in spotifyPlayer.js).
+ * @param {object} queue - The guild queue object.
+ * @returns {object} The snapshot document data.
+ */
+guildQueueSchema.statics.snapshotFromQueue = function(queue) {
+    const player = queue.lavalinkPlayer;
+    let position = 0;
+    try {
+        // While speech plays over the music, the player reports the speech position
+        if (queue.interjection) position = queue.interjection.position;
+        else if (player && queue.currentTrack) position = player.position || 0;
+    } catch (posError) {
+        logger.warn(`[${queue.guildId}] Could not read player position for queue snapshot: ${posError.message}`);
+    }
+
+    return {
+        guildId: queue.guildId,
+        textChannelId: queue.textChannel?.id,
+        voiceChannelId: queue.voiceChannelId,
+        currentTrack: queue.currentTrack || null,
+        position: position,
+        paused: queue.interjection ? queue.interjection.paused : !!player?.paused,
+        songs: queue.songs,
+        loop: queue.loop || 'off',
+        volume: queue.volume ?? config.music.defaultVolume ?? 50, // Shoukaku's own player.volume is always 100 until set
+        activeFilter: queue.activeFilter || null,
+    };
+};
+
+/**
+ * Upserts the snapshot for a guild queue. Removes the snapshot if there is nothing left to restore.
+ * @param {object} queue - The guild queue object.
+ * @returns {Promise<void>}
+ */
+guildQueueSchema.statics.saveFromQueue = async function(queue) {
+    if (!queue.currentTrack && queue.songs.length === 0) {
+        await this.deleteOne({ guildId: queue.guildId });
+        return;
+    }
+    const snapshot = this.snapshotFromQueue(queue);
+    if (!snapshot.textChannelId || !snapshot.voiceChannelId) {
+        logger.warn(`[${queue.guildId}] Queue snapshot skipped: missing text or voice channel reference.`);
+        return;
+    }
+    await this.findOneAndUpdate({ guildId: queue.guildId }, { $set: snapshot }, { upsert: true });
+};
+
+
+const GuildQueue = mongoose.model('GuildQueue', guildQueueSchema);
+
+module.exports = GuildQueue;
@@ -0,0 +1,36 @@
+// database/models/GuildSettings.js
+const mongoose = require('mongoose');
+
+const guildSettingsSchema = new mongoose.Schema({
+    guildId: {
+        type: String,
+        required: true,
+        unique: true, // One settings entry per guild
+        index: true,
+    },
+    // --- Music Settings ---
+    music: {
+        defaultVolume: { type: Number, min: 1, max: 100 }, // Starting volume for new sessions; falls back to config.music.defaultVolume
+        controlChannelId: { type: String }, // Song request channel (see spotify/controlChannel.js); null disables it, unset falls back to config.controlChannelId
+        controlPanelMessageId: { type: String, default: null }, // Pinned panel message in the control channel
+        stayInChannel: { type: Boolean }, // 24/7 mode (/247); overrides config.music.stayInChannel
+        autoplay: { type: Boolean, default: false }, // Queue related tracks when the queue runs dry (see spotify/autoplay.js)
+        announceTracks: { type: Boolean }, // Spoken "Next up" when a track starts (/announce); overrides config.music.announceTracks
+        radioHost: { type: Boolean, default: false }, // AI intros for tracks as they start (/radiohost, see spotify/radioHost.js)
+        radioHostSpeaks: { type: Boolean, default: false }, // Also speak the intros in the voice channel
+        djRoleId: { type: String, default: null }, // Members with this role skip/stop without voting; null means everyone is a DJ
+        voteSkipPercent: { type: Number, min: 1, max: 100 }, // Falls back to config.music.voteSkipPercent
+        fairQueue: { type: Boolean, default: false }, // Interleave upcoming tracks by requester (see spotify/queuePolicy.js)
+        maxTracksPerUser: { type: Number, min: 0, default: 0 }, // Upcoming tracks one user may queue; 0 means no limit
+        maxTrackLengthMinutes: { type: Number, min: 0 }, // Overrides config.music.maxTrackLengthMinutes; 0 means no limit
+        allowLiveStreams: { type: Boolean }, // Overrides config.music.allowLiveStreams
+        blockedKeywords: { type: [String], default: [] }, // Lowercase, matched against titles and artists
+        blockedArtists: { type: [String], default: [] }, // Lowercase artist names
+    },
+}, {
+    timestamps: true,
+});
+
+const GuildSettings = mongoose.model('GuildSettings', guildSettingsSchema);
+
+module.exports = GuildSettings;
@@ -0,0 +1,19 @@
+// database/models/LavalinkSession.js
+const mongoose = require('mongoose');
+
+// The last Lavalink session of each node, so a restarted bot can resume it (see spotify/lavalinkSession.js)
+const lavalinkSessionSchema = new mongoose.Schema({
+    nodeName: {
+        type: String,
+        required: true,
+        unique: true, // One session per node
+        index: true,
+    },
+    sessionId: { type: String, required: true },
+}, {
+    timestamps: true,
+});
+
+const LavalinkSession = mongoose.model('LavalinkSession', lavalinkSessionSchema);
+
+module.exports = LavalinkSession;
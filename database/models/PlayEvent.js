@@ -0,0 +1,26 @@
+// database/models/PlayEvent.js
+const mongoose = require('mongoose');
+
+// One track play, recorded when the track ends (see spotify/playStats). Feeds /stats and /wrapped.
+const playEventSchema = new mongoose.Schema({
+    guildId: { type: String, required: true },
+    title: { type: String, required: true },
+    author: String, // Artist/uploader
+    url: String,
+    source: String, // Lavalink source name (youtube, soundcloud, ...)
+    requesterId: String, // Discord user ID of the requester
+    requesterTag: String, // For display, might change
+    autoplay: { type: Boolean, default: false }, // Added by autoplay rather than a user
+    playedAt: { type: Date, required: true }, // When the track started
+    durationMs: Number, // Track length (unset for streams)
+    listenedMs: { type: Number, default: 0 }, // How much of it played before it ended
+    skipped: { type: Boolean, default: false }, // Skipped (or replaced) before it finished
+});
+
+// /stats filters by guild or requester over a time window
+playEventSchema.index({ guildId: 1, playedAt: -1 });
+playEventSchema.index({ requesterId: 1, playedAt: -1 });
+
+const PlayEvent = mongoose.model('PlayEvent', playEventSchema);
+
+module.exports = PlayEvent;
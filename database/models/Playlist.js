@@ -0,0 +1,65 @@
+// database/models/Playlist.js
+const mongoose = require('mongoose');
+
+// A saved track. Keeps the encoded Lavalink track so loading a playlist doesn't need to search again
+const playlistTrackSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    author: String,
+    url: String,
+    duration: String,
+    rawDurationMs: Number,
+    isStream: Boolean,
+    thumbnail: String,
+    source: String,
+    lavalinkTrack: { type: String, required: true },
+    addedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const playlistSchema = new mongoose.Schema({
+    ownerId: { type: String, required: true, index: true }, // Discord user ID of the creator
+    ownerTag: String, // For display, might change
+    guildId: { type: String, required: true, index: true }, // Guild it was created in (public playlists are listed there)
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+    tracks: { type: [playlistTrackSchema], default: [] },
+    sharedWith: { type: [String], default: [] }, // User IDs that may view and load the playlist
+    isPublic: { type: Boolean, default: false }, // Anyone in the guild may view and load it
+}, {
+    timestamps: true,
+});
+
+// Playlist names are unique per owner, ignoring case
+playlistSchema.index({ ownerId: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// --- Statics ---
+
+/**
+ * Finds the playlists a user can see in a guild: their own, ones shared with them, and the guild's public ones.
+ * @param {string} userId - The Discord user ID.
+ * @param {string} guildId - The ID of the guild.
+ * @returns {import('mongoose').Query} The query (without the track lists).
+ */
+playlistSchema.statics.findAccessible = function(userId, guildId) {
+    return this.find({
+        $or: [
+            { ownerId: userId },
+            { sharedWith: userId },
+            { guildId: guildId, isPublic: true },
+        ],
+    }).select('-tracks.lavalinkTrack').sort({ ownerId: 1, name: 1 });
+};
+
+// --- Methods ---
+
+/**
+ * Checks whether a user may view and load this playlist.
+ * @param {string} userId - The Discord user ID.
+ * @param {string} guildId - The ID of the guild the request comes from.
+ * @returns {boolean} True if the user has access.
+ */
+playlistSchema.methods.canAccess = function(userId, guildId) {
+    return this.ownerId === userId || this.sharedWith.includes(userId) || (this.isPublic && this.guildId === guildId);
+};
+
+const Playlist = mongoose.model('Playlist', playlistSchema);
+
+module.exports = Playlist;
@@ -2,6 +2,20 @@
 const mongoose = require('mongoose');
 const logger = require('../../utils/logger'); // Adjust path as needed
 
+// A liked track. Keeps the encoded Lavalink track so it can be queued again without searching
+const likedTrackSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    author: String,
+    url: String,
+    duration: String,
+    rawDurationMs: Number,
+    isStream: Boolean,
+    thumbnail: String,
+    source: String,
+    lavalinkTrack: { type: String, required: true },
+    likedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
     discordId: {
         type: String,
@@ -35,6 +49,8 @@ const userSchema = new mongoose.Schema({
         default: 'default_founding_father', // Default personality
         // You could define specific personalities here or in config
     },
+    // --- Music ---
+    likedTracks: { type: [likedTrackSchema], default: [] }, // Favorites from the ❤️ button, newest last (see spotify/likes.js)
     // --- Bot Settings ---
     settings: {
         ttsEnabled: { type: Boolean, default: true },
@@ -1,7 +1,13 @@
 const logger = require('../../utils/logger');
+const { handleMusicButtons } = require('../../spotify/spotifyPlayer');
 
 module.exports = async (client, interaction) => {
     try {
+        // Route Now Playing control buttons (other buttons are handled by their command's collector)
+        if (interaction.isButton() && interaction.customId.startsWith('music_')) {
+            return await handleMusicButtons(interaction, client);
+        }
+
         // Ignore interactions that are not commands or autocomplete
         if (!interaction.isCommand() && !interaction.isAutocomplete()) {
             return;
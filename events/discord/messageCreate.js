@@ -6,6 +6,11 @@ const logger = require('../../utils/logger'); // Adjust path
 const config = require('../../config'); // Adjust path
 const User = require('../../database/models/User'); // Adjust path
 const { replyWithError } = require('../../utils/interactionUtils'); // Can use helpers, but need message context
+const { handleControlChannelMessage } = require('../../spotify/controlChannel'); // Adjust path
+const { createMusicToolSession, promptForConfirmation } = require('../../spotify/musicAssistant'); // Adjust path
+
+// Commands with mention handling below; any other mention is treated as a chat message to Gemini
+const MENTION_COMMANDS = ['ping', 'help', 'chat'];
 
 module.exports = async (client, message) => {
     // 1. Ignore messages from bots and potentially DMs if not supported
@@ -24,14 +29,24 @@ module.exports = async (client, message) => {
         prefixUsed = nicknameMentionPrefix;
     }
 
+    // Plain messages in the music control channel are song requests
+    if (!prefixUsed) {
+        try {
+            if (await handleControlChannelMessage(message, client)) return;
+        } catch (error) {
+            logger.error(`Error handling control channel message from ${message.author.tag}:`, error);
+        }
+    }
+
     // If the bot wasn't mentioned at the start, ignore the message for command processing
     if (!prefixUsed) return;
 
     logger.debug(`Bot mentioned by ${message.author.tag} in #${message.channel.name}`);
 
     // 3. Parse the command and arguments
-    const args = message.content.slice(prefixUsed.length).trim().split(/ +/); // Remove mention, trim, split by space
-    const commandName = args.shift()?.toLowerCase(); // Get the first word as command name, remove from args
+    const mentionText = message.content.slice(prefixUsed.length).trim(); // Remove mention, trim
+    let args = mentionText.split(/ +/); // Split by space
+    let commandName = args.shift()?.toLowerCase(); // Get the first word as command name, remove from args
 
     if (!commandName) {
         // Bot was mentioned but no command followed
@@ -41,6 +56,12 @@ module.exports = async (client, message) => {
         return;
     }
 
+    // Natural language ("@Samuel Jefferson play something upbeat from the 80s") goes to chat, which can control the music
+    if (!MENTION_COMMANDS.includes(commandName)) {
+        args = mentionText.split(/ +/);
+        commandName = 'chat';
+    }
+
     // 4. Find the command in the client.commands collection (same as slash commands)
     const command = client.commands.get(commandName);
 
@@ -106,13 +127,17 @@ module.exports = async (client, message) => {
              try { userProfile = await User.findOrCreate(message.author.id, message.author.tag); } catch(e) { logger.error("DB error in msgCreate:", e); return message.reply("Database error fetching profile."); }
 
              const { generateText } = require('../../ai/gemini'); // Load AI function
-             const responseText = await generateText(prompt, message.author.id);
+             const musicTools = createMusicToolSession(message);
+             const responseText = await generateText(prompt, message.author.id, musicTools);
              if (responseText) {
-                 // Split long messages for Discord limit
-                 const chunks = responseText.match(/[\s\S]{1,1990}/g) || [];
+                 // Split long messages for Discord limit; the music outcomes go with the last chunk
+                 const fullText = musicTools.actions.length > 0 ? `${responseText}\n\n${musicTools.actions.join('\n')}` : responseText;
+                 const chunks = fullText.match(/[\s\S]{1,1990}/g) || [];
+                 let lastReply = null;
                  for (const chunk of chunks) {
-                     await message.reply(chunk).catch(e => logger.error("Chat reply failed:", e));
+                     lastReply = await message.reply({ content: chunk, allowedMentions: { parse: [], repliedUser: true } }).catch(e => logger.error("Chat reply failed:", e));
                  }
+                 if (lastReply) await promptForConfirmation(lastReply, musicTools, message.author.id, message.id);
              } else {
                   message.reply("I seem unable to formulate a response at this moment.").catch(e => logger.error("Chat reply failed:", e));
              }
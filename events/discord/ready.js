@@ -4,6 +4,8 @@
 const { ActivityType } = require('discord.js');
 const logger = require('../../utils/logger'); // Adjust path as needed
 const config = require('../../config'); // Adjust path as needed
+const { restoreGuildQueues } = require('../../spotify/spotifyPlayer'); // Adjust path as needed
+const { updateControlPanel } = require('../../spotify/controlChannel'); // Adjust path as needed
 
 module.exports = async (client) => {
     // Indicate the bot is ready in the console
@@ -26,10 +28,21 @@ module.exports = async (client) => {
         logger.error('Failed to set bot presence:', error);
     }
 
+    // Restore music queues that were saved before the last shutdown/crash
+    try {
+        await restoreGuildQueues(client);
+    } catch (error) {
+        logger.error('Failed to restore saved music queues:', error);
+    }
+
+    // Refresh control channel panels, which still show whatever was playing before the restart
+    for (const guildId of client.guilds.cache.keys()) {
+        await updateControlPanel(client, guildId);
+    }
+
     // Optional: Any other setup tasks to run on ready
     // - Cache specific channels or roles?
     // - Check database integrity?
-    // - Initialize music queues if persisting them? (Generally not recommended, better to start fresh)
 };
 
 // Add 'once' property so the event handler only runs once
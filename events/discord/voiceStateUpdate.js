@@ -0,0 +1,15 @@
+// events/discord/voiceStateUpdate.js
+// Pauses, resumes or leaves as listeners come and go from the bot's voice channel.
+// Shoukaku tracks the bot's own voice connection separately through Connectors.DiscordJS.
+
+const logger = require('../../utils/logger'); // Adjust path
+const { handleVoiceStateUpdate } = require('../../spotify/voicePresence'); // Adjust path
+
+module.exports = async (client, oldState, newState) => {
+    logger.debug(`Voice state update for guild ${newState.guild.id}: User=${newState.id}, Channel=${newState.channelId || 'none'}`);
+    try {
+        await handleVoiceStateUpdate(client, oldState, newState);
+    } catch (error) {
+        logger.error(`[${newState.guild.id}] Error handling voice state update:`, error);
+    }
+};
@@ -0,0 +1,104 @@
+// spotify/audioFilters.js
+// Lavalink filter presets used by /filter. Each preset is a full Lavalink v4 filters payload
+// (see lavalink/application.yml for the filters enabled on the node).
+
+// Lavalink replaces the whole filter set on every update, so presets start from "everything off"
+const EMPTY_FILTERS = Object.freeze({
+    volume: 1.0,
+    equalizer: [],
+    karaoke: null,
+    timescale: null,
+    tremolo: null,
+    vibrato: null,
+    rotation: null,
+    distortion: null,
+    channelMix: null,
+    lowPass: null,
+});
+
+/**
+ * Builds equalizer bands from a list of gains, starting at band 0 (25 Hz).
+ * @param {number[]} gains - Gain per band (-0.25 to 1.0).
+ * @returns {Array<{band: number, gain: number}>} Equalizer bands for Lavalink.
+ */
+function bands(gains) {
+    return gains.map((gain, band) => ({ band, gain }));
+}
+
+const FILTER_PRESETS = {
+    bassboost_low: {
+        name: 'Bass Boost (Low)',
+        filters: { equalizer: bands([0.10, 0.08, 0.05, 0.02]) },
+    },
+    bassboost_medium: {
+        name: 'Bass Boost (Medium)',
+        filters: { equalizer: bands([0.20, 0.15, 0.10, 0.05]) },
+    },
+    bassboost_high: {
+        name: 'Bass Boost (High)',
+        filters: { equalizer: bands([0.35, 0.30, 0.20, 0.10, 0.05]) },
+    },
+    nightcore: {
+        name: 'Nightcore',
+        filters: { timescale: { speed: 1.2, pitch: 1.2, rate: 1.0 } },
+    },
+    vaporwave: {
+        name: 'Vaporwave',
+        filters: {
+            timescale: { speed: 0.85, pitch: 0.8, rate: 1.0 },
+            equalizer: bands([0.15, 0.10, 0.05]),
+            tremolo: { frequency: 0.3, depth: 0.2 },
+        },
+    },
+    eightd: {
+        name: '8D Audio',
+        filters: { rotation: { rotationHz: 0.2 } },
+    },
+    karaoke: {
+        name: 'Karaoke',
+        filters: { karaoke: { level: 1.0, monoLevel: 1.0, filterBand: 220.0, filterWidth: 100.0 } },
+    },
+    soft: {
+        name: 'Soft',
+        filters: { lowPass: { smoothing: 20.0 } },
+    },
+    treble: {
+        name: 'Treble Boost',
+        filters: { equalizer: bands([0, 0, 0, 0, 0, 0, 0, 0, 0, 0.10, 0.15, 0.20, 0.25, 0.25, 0.25]) },
+    },
+};
+
+/**
+ * Returns the complete Lavalink filters payload for a preset.
+ * @param {string} presetKey - Key in FILTER_PRESETS.
+ * @returns {{name: string, settings: object} | null} The active filter entry for the queue, or null if unknown.
+ */
+function buildPresetFilter(presetKey) {
+    const preset = FILTER_PRESETS[presetKey];
+    if (!preset) return null;
+    return { name: preset.name, settings: { ...EMPTY_FILTERS, ...preset.filters } };
+}
+
+/**
+ * Adjusts the speed or pitch of the current filter set, keeping any other active filters.
+ * @param {{name: string, settings: object} | null} activeFilter - The queue's current filter entry.
+ * @param {'speed'|'pitch'} property - The timescale property to change.
+ * @param {number} value - The multiplier (1.0 is normal).
+ * @returns {{name: string, settings: object}} The new active filter entry.
+ */
+function buildTimescaleFilter(activeFilter, property, value) {
+    const settings = { ...EMPTY_FILTERS, ...(activeFilter?.settings || {}) };
+    const timescale = { speed: 1.0, pitch: 1.0, rate: 1.0, ...(settings.timescale || {}), [property]: value };
+    settings.timescale = timescale;
+    return {
+        name: `Custom (speed ${timescale.speed}x, pitch ${timescale.pitch}x)`,
+        settings: settings,
+    };
+}
+
+module.exports = {
+    EMPTY_FILTERS,
+    FILTER_PRESETS,
+    buildPresetFilter,
+    buildTimescaleFilter,
+};
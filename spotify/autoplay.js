@@ -0,0 +1,200 @@
+// spotify/autoplay.js
+// Opt-in autoplay ("radio") mode. When a guild's queue runs dry, related tracks are picked from the
+// last few played songs using Spotify recommendations, then resolved through Lavalink.
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const GuildSettings = require('../database/models/GuildSettings');
+const { getClientCredentialsSpotifyApi } = require('./spotifyAuth');
+const { extractTracksFromLavalinkResponse, buildSong } = require('./trackLoader');
+const { getHistory } = require('./playbackHistory');
+const { getQueuePolicy, checkAdmission } = require('./queuePolicy');
+
+// Stands in for the requesting user on autoplayed tracks
+const AUTOPLAY_REQUESTER = Object.freeze({ tag: 'Autoplay', id: null });
+// Number of recently played tracks used as recommendation seeds (Spotify allows up to 5)
+const SEED_TRACK_COUNT = 5;
+// Number of recently played tracks that autoplay must not repeat
+const RECENT_TRACK_WINDOW = 25;
+
+/**
+ * Checks whether autoplay is enabled for a guild.
+ * @param {string} guildId - The ID of the guild.
+ * @returns {Promise<boolean>} True if the guild opted in.
+ */
+async function isAutoplayEnabled(guildId) {
+    try {
+        const settings = await GuildSettings.findOne({ guildId: guildId }).lean();
+        return !!settings?.music?.autoplay;
+    } catch (error) {
+        logger.warn(`[${guildId}] Could not load autoplay setting: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Turns autoplay on or off for a guild.
+ * @param {string} guildId - The ID of the guild.
+ * @param {boolean} enabled - Whether autoplay should be on.
+ * @returns {Promise<void>}
+ */
+async function setAutoplayEnabled(guildId, enabled) {
+    await GuildSettings.findOneAndUpdate(
+        { guildId: guildId },
+        { $set: { 'music.autoplay': enabled } },
+        { upsert: true, setDefaultsOnInsert: true }
+    );
+    logger.info(`[${guildId}] Autoplay ${enabled ? 'enabled' : 'disabled'}.`);
+}
+
+/**
+ * Normalizes a title for repeat detection ("Song (Official Video)" and "song" compare equal).
+ * @param {string} title - The track title.
+ * @returns {string} The normalized title.
+ */
+function normalizeTitle(title) {
+    return (title || '').toLowerCase().replace(/[([].*?[)\]]/g, '').replace(/[^\p{L}\p{N} ]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Gets the normalized forms a title is compared by: the whole title and, for "Artist - Title"
+ * names (common on YouTube), the part after the dash.
+ * @param {string} title - The track title.
+ * @returns {Array<string>} The non-empty normalized forms.
+ */
+function getTitleKeys(title) {
+    const keys = [normalizeTitle(title)];
+    const parts = (title || '').split(' - ');
+    if (parts.length > 1) keys.push(normalizeTitle(parts.slice(1).join(' - ')));
+    return keys.filter(Boolean); // Titles of only symbols can't be compared
+}
+
+/**
+ * Finds the Spotify track (and its first artist) matching a played song.
+ * @param {import('spotify-web-api-node')} spotifyApi - Client credentials Spotify API.
+ * @param {object} song - The song object.
+ * @returns {Promise<{trackId: string, artistId: string | null} | null>} The Spotify IDs, or null if not found.
+ */
+async function findSpotifySeed(spotifyApi, song) {
+    const urlMatch = song.url?.match(/open\.spotify\.com\/track\/([A-Za-z0-9]+)/);
+    if (urlMatch) {
+        const { body } = await spotifyApi.getTrack(urlMatch[1]);
+        return { trackId: body.id, artistId: body.artists?.[0]?.id || null };
+    }
+    const query = song.title.replace(/[([].*?[)\]]/g, '').trim(); // Drop "(Official Video)" and similar
+    const { body } = await spotifyApi.searchTracks(query, { limit: 1 });
+    const match = body.tracks?.items?.[0];
+    return match ? { trackId: match.id, artistId: match.artists?.[0]?.id || null } : null;
+}
+
+/**
+ * Gets candidate tracks related to the seeds. Uses Spotify recommendations, falling back to the
+ * seed artists' top tracks when recommendations are unavailable to the app.
+ * @param {import('spotify-web-api-node')} spotifyApi - Client credentials Spotify API.
+ * @param {Array<{trackId: string, artistId: string | null}>} seeds - The seed tracks.
+ * @param {string} guildId - For logging context.
+ * @returns {Promise<Array<object>>} Spotify track objects.
+ */
+async function getRelatedSpotifyTracks(spotifyApi, seeds, guildId) {
+    try {
+        const { body } = await spotifyApi.getRecommendations({ seed_tracks: seeds.map(seed => seed.trackId), limit: 20 });
+        if (body.tracks?.length) return body.tracks;
+    } catch (error) {
+        logger.warn(`[${guildId}] Spotify recommendations failed (${error.statusCode || error.message}). Falling back to artist top tracks.`);
+    }
+
+    const artistIds = [...new Set(seeds.map(seed => seed.artistId).filter(Boolean))];
+    const candidates = [];
+    for (const artistId of artistIds) {
+        try {
+            const { body } = await spotifyApi.getArtistTopTracks(artistId, 'US');
+            candidates.push(...(body.tracks || []));
+        } catch (error) {
+            logger.warn(`[${guildId}] Could not load top tracks for artist ${artistId}: ${error.message}`);
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Resolves a Spotify track to a playable Lavalink track, trying Spotify search then YouTube search.
+ * @param {import('shoukaku').Node} node - The Lavalink node.
+ * @param {object} spotifyTrack - The Spotify track object.
+ * @param {string} guildId - For logging context.
+ * @returns {Promise<object|null>} The Lavalink track, or null if neither search found it.
+ */
+async function resolveOnLavalink(node, spotifyTrack, guildId) {
+    const searchTerm = `${spotifyTrack.artists?.[0]?.name || ''} ${spotifyTrack.name}`.trim();
+    for (const prefix of ['spsearch', 'ytsearch']) {
+        try {
+            const result = await node.rest.resolve(`${prefix}:${searchTerm}`);
+            const [track] = extractTracksFromLavalinkResponse(result, guildId);
+            if (track) return track;
+        } catch (error) {
+            logger.debug(`[${guildId}] Autoplay ${prefix} failed for "${searchTerm}": ${error.message}`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Picks related tracks for a queue that ran dry, based on the guild's recent history.
+ * @param {object} queue - The guild queue object (with a connected player).
+ * @returns {Promise<Array<object>>} Song objects requested by "Autoplay" (may be empty).
+ */
+async function findAutoplayTracks(queue) {
+    const guildId = queue.guildId;
+    const history = getHistory(guildId);
+    if (history.length === 0 || !queue.lavalinkPlayer?.node) return [];
+
+    const spotifyApi = await getClientCredentialsSpotifyApi();
+    if (!spotifyApi) {
+        logger.warn(`[${guildId}] Autoplay unavailable: no Spotify client credentials.`);
+        return [];
+    }
+
+    const seeds = [];
+    for (const song of history.slice(0, SEED_TRACK_COUNT)) {
+        try {
+            const seed = await findSpotifySeed(spotifyApi, song);
+            if (seed && !seeds.some(s => s.trackId === seed.trackId)) seeds.push(seed);
+        } catch (error) {
+            logger.debug(`[${guildId}] Could not find Spotify seed for "${song.title}": ${error.message}`);
+        }
+    }
+    if (seeds.length === 0) {
+        logger.info(`[${guildId}] Autoplay found no Spotify matches for recent tracks.`);
+        return [];
+    }
+
+    // Skip anything played recently or already queued
+    const recentSongs = [...history.slice(0, RECENT_TRACK_WINDOW), ...queue.songs];
+    const recentUrls = new Set(recentSongs.map(song => song.url).filter(Boolean));
+    const recentTitleKeys = new Set(recentSongs.flatMap(song => getTitleKeys(song.title)));
+    const isRecent = (name, url) => (url && recentUrls.has(url)) || getTitleKeys(name).some(key => recentTitleKeys.has(key));
+    const candidates = (await getRelatedSpotifyTracks(spotifyApi, seeds, guildId))
+        .filter(track => !seeds.some(seed => seed.trackId === track.id) && !isRecent(track.name, track.external_urls?.spotify))
+        .sort(() => Math.random() - 0.5);
+
+    if (!queue.policy) queue.policy = await getQueuePolicy(guildId);
+    const wanted = config.music.autoplayTracks || 3;
+    const songs = [];
+    for (const candidate of candidates) {
+        if (songs.length >= wanted) break;
+        const lavalinkTrack = await resolveOnLavalink(queue.lavalinkPlayer.node, candidate, guildId);
+        if (!lavalinkTrack) continue;
+        const song = { ...buildSong(lavalinkTrack, AUTOPLAY_REQUESTER), autoplay: true };
+        // The resolved title can differ from Spotify's; check it against history too
+        if (isRecent(song.title, song.url) || songs.some(s => s.lavalinkTrack === song.lavalinkTrack)) continue;
+        if (checkAdmission(song, queue.policy)) continue; // Autoplay follows the guild's admission rules too
+        songs.push(song);
+    }
+    logger.info(`[${guildId}] Autoplay picked ${songs.length} track(s) from ${candidates.length} candidate(s).`);
+    return songs;
+}
+
+module.exports = {
+    isAutoplayEnabled,
+    setAutoplayEnabled,
+    findAutoplayTracks,
+};
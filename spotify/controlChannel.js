@@ -0,0 +1,241 @@
+// spotify/controlChannel.js
+// "Song request channel" mode. A guild can dedicate one text channel to music: the bot keeps a
+// pinned panel message there showing the current track and upcoming queue, and every plain
+// message typed in the channel is queued like a /play query and then deleted.
+// The channel is set per guild with /controlchannel; config.controlChannelId is the fallback.
+
+const { EmbedBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const config = require('../config');
+const GuildSettings = require('../database/models/GuildSettings');
+
+// Number of upcoming tracks listed on the panel
+const PANEL_UP_NEXT_LIMIT = 10;
+// How long request feedback stays in the channel before being deleted
+const FEEDBACK_DELETE_DELAY_MS = 5000;
+
+// guildId -> control channel ID (or null), so messageCreate doesn't query MongoDB for every message
+const controlChannelCache = new Map();
+// guildId -> panel Message, to avoid fetching it on every update
+const panelMessages = new Map();
+// guildId -> JSON of the last rendered panel, to skip edits that would change nothing
+const lastPanelRender = new Map();
+// guildId -> Promise of the pending panel update, so concurrent updates can't post two panels
+const pendingPanelUpdates = new Map();
+
+/**
+ * Gets the control channel configured for a guild.
+ * @param {string} guildId - The ID of the guild.
+ * @returns {Promise<string|null>} The channel ID, or null if the mode is off for this guild.
+ */
+async function getControlChannelId(guildId) {
+    if (controlChannelCache.has(guildId)) return controlChannelCache.get(guildId);
+    try {
+        const settings = await GuildSettings.findOne({ guildId: guildId }).lean();
+        const configured = settings?.music?.controlChannelId;
+        // null means it was explicitly disabled for this guild; undefined means never configured
+        const channelId = configured !== undefined ? configured : (config.controlChannelId || null);
+        controlChannelCache.set(guildId, channelId);
+        return channelId;
+    } catch (error) {
+        logger.warn(`[${guildId}] Could not load control channel setting: ${error.message}`);
+        return config.controlChannelId || null; // Not cached, so the next call retries the database
+    }
+}
+
+/**
+ * Sets (or disables) the control channel for a guild and posts its panel.
+ * @param {import('discord.js').Guild} guild - The guild.
+ * @param {import('discord.js').TextChannel | null} channel - The new control channel, or null to disable the mode.
+ * @returns {Promise<void>}
+ */
+async function setControlChannel(guild, channel) {
+    const guildId = guild.id;
+    const oldChannel = guild.channels.cache.get(await getControlChannelId(guildId));
+    const oldPanel = oldChannel?.isTextBased() ? await fetchPanelMessage(oldChannel, guildId) : null;
+
+    await GuildSettings.findOneAndUpdate(
+        { guildId: guildId },
+        { $set: { 'music.controlChannelId': channel?.id ?? null, 'music.controlPanelMessageId': null } },
+        { upsert: true, setDefaultsOnInsert: true }
+    );
+    controlChannelCache.set(guildId, channel?.id ?? null);
+    panelMessages.delete(guildId);
+    lastPanelRender.delete(guildId);
+    logger.info(`[${guildId}] Control channel ${channel ? `set to #${channel.name}` : 'disabled'}.`);
+
+    // The old panel would go stale, so remove it
+    if (oldPanel) {
+        await oldPanel.delete().catch(err => { if (err.code !== 10008) logger.warn(`[${guildId}] Error deleting old control panel:`, err); });
+    }
+    if (channel) await updateControlPanel(guild.client, guildId);
+}
+
+/**
+ * Refreshes the control panel for a guild, posting and pinning it if it doesn't exist yet.
+ * Does nothing if the guild has no control channel. Updates are serialized per guild.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @param {string} guildId - The ID of the guild.
+ * @returns {Promise<void>}
+ */
+function updateControlPanel(client, guildId) {
+    const previous = pendingPanelUpdates.get(guildId) || Promise.resolve();
+    const next = previous
+        .then(() => renderControlPanel(client, guildId))
+        .catch(error => logger.error(`[${guildId}] Error updating control panel:`, error));
+    pendingPanelUpdates.set(guildId, next);
+    return next;
+}
+
+/**
+ * Renders the panel into the control channel. Use updateControlPanel instead of calling this directly.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @param {string} guildId - The ID of the guild.
+ */
+async function renderControlPanel(client, guildId) {
+    const channelId = await getControlChannelId(guildId);
+    if (!channelId) return;
+    const channel = client.channels.cache.get(channelId);
+    if (!channel?.isTextBased() || channel.guildId !== guildId) {
+        logger.debug(`[${guildId}] Control channel ${channelId} is not a text channel in this guild. Skipping panel update.`);
+        return;
+    }
+
+    const queue = client.queues?.get(guildId);
+    // Lazy require: spotifyPlayer requires this module
+    const { buildNowPlayingComponents } = require('./spotifyPlayer');
+    const embed = buildControlPanelEmbed(queue);
+    const components = queue?.currentTrack && queue.lavalinkPlayer ? buildNowPlayingComponents(queue) : [];
+
+    const render = JSON.stringify({ embed: embed.toJSON(), components: components.map(row => row.toJSON()) });
+    let panel = await fetchPanelMessage(channel, guildId);
+    if (panel && lastPanelRender.get(guildId) === render) return;
+
+    if (panel) {
+        await panel.edit({ embeds: [embed], components: components });
+    } else {
+        panel = await channel.send({ embeds: [embed], components: components });
+        await panel.pin().catch(e => logger.warn(`[${guildId}] Could not pin control panel: ${e.message}`));
+        panelMessages.set(guildId, panel);
+        await GuildSettings.updateOne(
+            { guildId: guildId },
+            { $set: { 'music.controlPanelMessageId': panel.id } },
+            { upsert: true }
+        ).catch(e => logger.warn(`[${guildId}] Could not save control panel message ID: ${e.message}`));
+        logger.info(`[${guildId}] Posted control panel in #${channel.name}.`);
+    }
+    lastPanelRender.set(guildId, render);
+}
+
+/**
+ * Finds the existing panel message for a guild.
+ * @param {import('discord.js').TextChannel} channel - The control channel.
+ * @param {string} guildId - The ID of the guild.
+ * @returns {Promise<import('discord.js').Message|null>} The panel message, or null if it needs to be (re)posted.
+ */
+async function fetchPanelMessage(channel, guildId) {
+    const cached = panelMessages.get(guildId);
+    if (cached && cached.channelId === channel.id) return cached;
+
+    const settings = await GuildSettings.findOne({ guildId: guildId }).lean().catch(() => null);
+    const messageId = settings?.music?.controlPanelMessageId;
+    if (!messageId) return null;
+    const message = await channel.messages.fetch(messageId).catch(() => null);
+    if (message) panelMessages.set(guildId, message);
+    return message;
+}
+
+/**
+ * Builds the control panel embed for the current queue state.
+ * @param {object | undefined} queue - The guild queue object, if any.
+ * @returns {EmbedBuilder} The panel embed.
+ */
+function buildControlPanelEmbed(queue) {
+    const { formatLoopMode, isQueuePaused } = require('./spotifyPlayer'); // Lazy require: spotifyPlayer requires this module
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.music)
+        .setFooter({ text: 'Type a song name or URL in this channel to add it to the queue.' });
+
+    const currentTrack = queue?.currentTrack;
+    if (!currentTrack) {
+        return embed
+            .setTitle('🎶 Music Requests')
+            .setDescription('Nothing is playing right now. Join a voice channel and type a song name or URL here to start.');
+    }
+
+    embed
+        .setTitle(isQueuePaused(queue) ? '⏸️ Paused' : '▶️ Now Playing')
+        .setDescription(`**[${currentTrack.title}](${currentTrack.url})**\n\`${currentTrack.duration || 'N/A'}\` • Requested by ${currentTrack.requestedBy || 'Unknown'}`)
+        .addFields(
+            { name: 'Looping', value: formatLoopMode(queue.loop), inline: true },
+            { name: 'Volume', value: `${queue.volume ?? queue.lavalinkPlayer?.volume ?? 100}%`, inline: true },
+            { name: 'Filter', value: queue.activeFilter?.name || 'None', inline: true },
+        );
+    if (currentTrack.thumbnail) embed.setThumbnail(currentTrack.thumbnail);
+
+    const upNext = queue.songs.slice(0, PANEL_UP_NEXT_LIMIT)
+        .map((song, index) => `\`${index + 1}.\` [${song.title}](${song.url}) \`[${song.duration || 'N/A'}]\``);
+    if (queue.songs.length > PANEL_UP_NEXT_LIMIT) upNext.push(`...and ${queue.songs.length - PANEL_UP_NEXT_LIMIT} more`);
+    let upNextText = upNext.join('\n') || 'The queue is empty.';
+    if (upNextText.length > 1024) upNextText = `${upNextText.substring(0, 1020)}...`; // Embed field limit
+    embed.addFields({ name: `Up Next (${queue.songs.length})`, value: upNextText });
+
+    return embed;
+}
+
+/**
+ * Handles a message posted in a guild's control channel: queues it as a /play query and deletes it.
+ * @param {import('discord.js').Message} message - The message.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @returns {Promise<boolean>} True if the message was in the control channel and has been handled.
+ */
+async function handleControlChannelMessage(message, client) {
+    const guildId = message.guild.id;
+    const channelId = await getControlChannelId(guildId);
+    if (!channelId || message.channel.id !== channelId) return false;
+
+    const query = message.content.trim();
+    const voiceChannel = message.member?.voice?.channel;
+    let feedback;
+
+    if (!query) {
+        feedback = null; // Attachments/stickers only; just clean them up
+    } else if (!voiceChannel) {
+        feedback = `${message.author}, you need to be in a voice channel to request music.`;
+    } else if (!voiceChannel.permissionsFor(client.user)?.has(['Connect', 'Speak'])) {
+        feedback = `${message.author}, I require permission to connect and speak in your voice channel.`;
+    } else {
+        logger.info(`[${guildId}] Control channel request by ${message.author.tag}: "${query}"`);
+        try {
+            const { queueTracksFromQuery } = require('./spotifyPlayer'); // Lazy require: spotifyPlayer requires this module
+            const result = await queueTracksFromQuery(message, message.author, voiceChannel, query);
+            if (result.error) {
+                feedback = `${message.author}, ${result.error}`;
+            } else if (result.playlistInfo) {
+                const skipped = result.rejected.length > 0 ? ` (${result.rejected.length} skipped by the queue rules, use /play for details)` : '';
+                feedback = `✅ Added **${result.addedCount}** track(s) from **${result.playlistInfo.name}**${skipped}.`;
+            } else {
+                feedback = `✅ Added **${result.lastSong.title}**.`;
+            }
+        } catch (error) {
+            logger.error(`[${guildId}] Error handling control channel request:`, error);
+            feedback = `${message.author}, an error occurred while processing your request.`;
+        }
+    }
+
+    await message.delete().catch(err => { if (err.code !== 10008) logger.warn(`[${guildId}] Could not delete control channel message: ${err.message}`); });
+    if (feedback) {
+        message.channel.send(feedback)
+            .then(msg => setTimeout(() => msg.delete().catch(e => logger.warn("Failed to delete control channel feedback:", e)), FEEDBACK_DELETE_DELAY_MS))
+            .catch(e => logger.error("Failed control channel feedback:", e));
+    }
+    await updateControlPanel(client, guildId);
+    return true;
+}
+
+module.exports = {
+    getControlChannelId,
+    setControlChannel,
+    updateControlPanel,
+    handleControlChannelMessage,
+};
@@ -0,0 +1,166 @@
+// spotify/lavalinkSession.js
+// Lavalink session resuming across bot restarts. Each node's session ID is saved when it connects;
+// on the next start the node reconnects with that ID, and Lavalink hands back the players it kept
+// alive (for config.music.sessionResumeTimeout seconds) so restoreGuildQueues can reattach them
+// instead of restarting their tracks.
+
+const { Shoukaku, Node, Constants } = require('shoukaku');
+const logger = require('../utils/logger');
+const LavalinkSession = require('../database/models/LavalinkSession');
+
+// guildId -> { node, data } for players found on resumed sessions, until restoreGuildQueues claims them
+const resumedPlayers = new Map();
+// handleNodeReady calls still listing resumed players
+const pendingReadyHandlers = new Set();
+
+/**
+ * Shoukaku creates nodes without a session ID, so it can only resume sessions it opened itself.
+ * This subclass restores a saved one before connecting, and forwards the node 'disconnect' event
+ * (Shoukaku drops the node silently once it runs out of reconnect tries).
+ */
+class ResumableShoukaku extends Shoukaku {
+    /**
+     * Adds a Lavalink node to the pool and connects to it.
+     * @param {object} options - Node options (name, url, auth, secure).
+     * @param {string} [options.sessionId] - A previous session to resume.
+     */
+    addNode(options) {
+        const node = new Node(this, { ...Constants.NodeDefaults, ...options });
+        node.sessionId = options.sessionId || null; // Sent as the Session-Id header when resuming is enabled
+        for (const event of ['debug', 'reconnecting', 'error', 'close', 'ready', 'raw']) {
+            node.on(event, (...args) => this.emit(event, node.name, ...args));
+        }
+        node.once('disconnect', (...args) => {
+            this.nodes.delete(node.name);
+            this.emit('disconnect', node.name, ...args);
+        });
+        node.connect().catch(error => this.emit('error', node.name, error));
+        this.nodes.set(node.name, node);
+    }
+}
+
+/**
+ * Loads the saved session ID of every node.
+ * @returns {Promise<Map<string, string>>} Node name -> session ID.
+ */
+async function loadSavedSessions() {
+    try {
+        const sessions = await LavalinkSession.find({}).lean();
+        return new Map(sessions.map(session => [session.nodeName, session.sessionId]));
+    } catch (error) {
+        logger.warn(`Could not load saved Lavalink sessions: ${error.message}`);
+        return new Map();
+    }
+}
+
+/**
+ * Records a node's session after it connects, and collects the players of a resumed session.
+ * @param {import('shoukaku').Shoukaku} shoukaku - The Shoukaku instance.
+ * @param {string} name - The node name.
+ * @param {boolean} resumed - Whether the node resumed its previous session.
+ * @returns {Promise<void>}
+ */
+async function handleNodeReady(shoukaku, name, resumed) {
+    const node = shoukaku.nodes.get(name);
+    if (!node?.sessionId) return;
+
+    try {
+        await LavalinkSession.findOneAndUpdate({ nodeName: name }, { $set: { sessionId: node.sessionId } }, { upsert: true });
+    } catch (error) {
+        logger.warn(`Could not save Lavalink session for node "${name}": ${error.message}`);
+    }
+
+    if (!resumed) return;
+    // Players we already track (e.g. after a brief reconnect) keep going on their own
+    try {
+        const players = await node.rest.getPlayers();
+        for (const data of players) {
+            if (!shoukaku.players.has(data.guildId)) resumedPlayers.set(data.guildId, { node, data });
+        }
+        logger.info(`Lavalink node "${name}" resumed its session with ${players.length} player(s).`);
+    } catch (error) {
+        logger.warn(`Could not list resumed players on node "${name}": ${error.message}`);
+    }
+}
+
+/**
+ * Adds the configured nodes once Discord is ready, resuming their saved sessions, and keeps the
+ * saved sessions up to date.
+ * @param {import('discord.js').Client} client - The Discord client (with client.shoukaku).
+ * @param {Array<object>} nodeOptions - The configured nodes (name, url, auth, secure).
+ */
+function setupSessionResuming(client, nodeOptions) {
+    const shoukaku = client.shoukaku;
+    shoukaku.on('ready', (name, resumed) => {
+        const pending = handleNodeReady(shoukaku, name, resumed)
+            .catch(error => logger.error(`Error handling ready for node "${name}":`, error))
+            .finally(() => pendingReadyHandlers.delete(pending));
+        pendingReadyHandlers.add(pending);
+    });
+
+    // Registered after Shoukaku's own connector listener, which sets the user ID nodes need
+    client.once('clientReady', async () => {
+        const savedSessions = await loadSavedSessions();
+        for (const options of nodeOptions) {
+            const sessionId = savedSessions.get(options.name);
+            if (sessionId) logger.info(`Resuming Lavalink session ${sessionId} on node "${options.name}".`);
+            shoukaku.addNode({ ...options, sessionId });
+        }
+    });
+}
+
+/**
+ * Gets the node still holding a resumed player for a guild, so rejoining voice reuses it.
+ * @param {string} guildId - The ID of the guild.
+ * @returns {import('shoukaku').Node | null} The node, or null if none.
+ */
+function getResumedPlayerNode(guildId) {
+    return resumedPlayers.get(guildId)?.node || null;
+}
+
+/**
+ * Waits until the nodes that are ready have finished listing their resumed players.
+ * @returns {Promise<void>}
+ */
+async function waitForResumedPlayers() {
+    await Promise.allSettled([...pendingReadyHandlers]);
+}
+
+/**
+ * Gets the resumed player data for a guild (Lavalink's view of it: track, state.position, paused, volume, filters).
+ * @param {string} guildId - The ID of the guild.
+ * @returns {{node: import('shoukaku').Node, data: object} | null} The resumed player, or null if none.
+ */
+function getResumedPlayer(guildId) {
+    return resumedPlayers.get(guildId) || null;
+}
+
+/**
+ * Marks a guild's resumed player as reattached, so discardUnclaimedPlayers leaves it alone.
+ * @param {string} guildId - The ID of the guild.
+ */
+function claimResumedPlayer(guildId) {
+    resumedPlayers.delete(guildId);
+}
+
+/**
+ * Destroys resumed players that no saved queue claimed, so nothing plays unattended.
+ * @returns {Promise<void>}
+ */
+async function discardUnclaimedPlayers() {
+    for (const [guildId, { node }] of resumedPlayers) {
+        logger.info(`[${guildId}] Destroying resumed Lavalink player with no saved queue.`);
+        await node.rest.destroyPlayer(guildId).catch(error => logger.warn(`[${guildId}] Could not destroy resumed player: ${error.message}`));
+    }
+    resumedPlayers.clear();
+}
+
+module.exports = {
+    ResumableShoukaku,
+    setupSessionResuming,
+    getResumedPlayerNode,
+    waitForResumedPlayers,
+    getResumedPlayer,
+    claimResumedPlayer,
+    discardUnclaimedPlayers,
+};
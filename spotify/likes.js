@@ -0,0 +1,60 @@
+// spotify/likes.js
+// Per-user favorite tracks, saved with the ❤️ Now Playing button and browsed with /likes.
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const User = require('../database/models/User');
+const { toSavedTrack } = require('./trackLoader');
+
+/**
+ * Likes a track, or unlikes it if the user already liked it.
+ * @param {import('discord.js').User} user - The user pressing the button.
+ * @param {object} song - The song object (usually queue.currentTrack).
+ * @returns {Promise<{liked: boolean, count: number, full?: boolean}>} Whether the track is now liked, and the number of likes.
+ */
+async function toggleLikedTrack(user, song) {
+    const profile = await User.findOrCreate(user.id, user.tag);
+    const index = profile.likedTracks.findIndex(track => track.lavalinkTrack === song.lavalinkTrack);
+    if (index !== -1) {
+        profile.likedTracks.splice(index, 1);
+        await profile.save();
+        logger.debug(`${user.tag} unliked "${song.title}".`);
+        return { liked: false, count: profile.likedTracks.length };
+    }
+
+    const maxLikes = config.music.maxLikedTracks || 500;
+    if (profile.likedTracks.length >= maxLikes) {
+        return { liked: false, count: profile.likedTracks.length, full: true };
+    }
+    profile.likedTracks.push({ ...toSavedTrack(song), likedAt: new Date() });
+    await profile.save();
+    logger.debug(`${user.tag} liked "${song.title}".`);
+    return { liked: true, count: profile.likedTracks.length };
+}
+
+/**
+ * Gets a user's liked tracks, newest first.
+ * @param {string} userId - The Discord user ID.
+ * @returns {Promise<Array<object>>} The liked tracks (plain objects).
+ */
+async function getLikedTracks(userId) {
+    const profile = await User.findOne({ discordId: userId }).select('likedTracks').lean();
+    return [...(profile?.likedTracks || [])].reverse();
+}
+
+/**
+ * Removes a liked track.
+ * @param {string} userId - The Discord user ID.
+ * @param {string} lavalinkTrack - The encoded track to remove.
+ * @returns {Promise<boolean>} True if a track was removed.
+ */
+async function removeLikedTrack(userId, lavalinkTrack) {
+    const result = await User.updateOne({ discordId: userId }, { $pull: { likedTracks: { lavalinkTrack: lavalinkTrack } } });
+    return result.modifiedCount > 0;
+}
+
+module.exports = {
+    toggleLikedTrack,
+    getLikedTracks,
+    removeLikedTrack,
+};
@@ -0,0 +1,213 @@
+// spotify/lyrics.js
+// Lyrics lookup for /lyrics. Providers (spotify/lyricsProviders) are tried in the order of
+// config.lyrics.providers; synced (LRC) lyrics can also be shown live, following the player position.
+
+const { EmbedBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { estimatePosition } = require('./nodeFailover');
+
+const LYRICS_PROVIDERS = {
+    local: require('./lyricsProviders/local'),
+    lrclib: require('./lyricsProviders/lrclib'),
+};
+
+// Characters per /lyrics page (an embed description holds 4096, but shorter pages read better)
+const LYRICS_PAGE_LENGTH = 1800;
+
+// Lines shown around the current one in live lyrics
+const LIVE_LINES_BEFORE = 2;
+const LIVE_LINES_AFTER = 4;
+
+// guildId -> { timer, message, lyrics, index } for the live lyrics message being updated
+const liveSessions = new Map();
+
+// --- Lookup ---
+
+/**
+ * Strips the usual video title noise so providers can match the song, and splits
+ * "Artist - Title" titles when the uploader isn't the artist.
+ * @param {string} title - The track title.
+ * @param {string|null} author - The track author (artist or uploader).
+ * @returns {{title: string, author: string|null}} The cleaned title and artist.
+ */
+function cleanTrackInfo(title, author) {
+    let cleanTitle = (title || '')
+        .replace(/[([](?:[^)\]]*?)(official|lyrics?|audio|video|visuali[sz]er|hd|4k|remaster(?:ed)?|mv)(?:[^)\]]*?)[)\]]/gi, '')
+        .replace(/\s+(ft\.?|feat\.?)\s.*$/i, '')
+        .trim();
+    let cleanAuthor = author ? author.replace(/\s*-\s*Topic$/i, '').replace(/VEVO$/i, '').trim() : null;
+
+    const dashIndex = cleanTitle.indexOf(' - ');
+    if (dashIndex > 0) {
+        cleanAuthor = cleanTitle.slice(0, dashIndex).trim();
+        cleanTitle = cleanTitle.slice(dashIndex + 3).trim();
+    }
+    return { title: cleanTitle || title, author: cleanAuthor || null };
+}
+
+/**
+ * Parses LRC lyrics into timed lines. Lines with several timestamps are repeated at each.
+ * @param {string} lrc - The LRC text.
+ * @returns {Array<{timeMs: number, text: string}>} The lines, in time order.
+ */
+function parseLrc(lrc) {
+    const offsetMatch = lrc.match(/^\[offset:\s*([+-]?\d+)\]/im); // Positive offsets show lines earlier
+    const offset = offsetMatch ? parseInt(offsetMatch[1], 10) : 0;
+    const lines = [];
+    for (const rawLine of lrc.split(/\r?\n/)) {
+        const stamps = [...rawLine.matchAll(/\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g)];
+        if (stamps.length === 0) continue; // Metadata tags ([ar:], [ti:], ...) and blank lines
+        const text = rawLine.slice(stamps[stamps.length - 1].index + stamps[stamps.length - 1][0].length).trim();
+        for (const [, minutes, seconds] of stamps) {
+            const timeMs = Math.round((parseInt(minutes, 10) * 60 + parseFloat(seconds.replace(':', '.'))) * 1000) - offset;
+            lines.push({ timeMs: Math.max(0, timeMs), text });
+        }
+    }
+    return lines.sort((a, b) => a.timeMs - b.timeMs);
+}
+
+/**
+ * Looks up lyrics with each configured provider in turn.
+ * @param {{title: string, author: string|null, durationMs: number|null}} track - The track (see cleanTrackInfo).
+ * @param {string} guildId - For logging context.
+ * @returns {Promise<{title: string, author: string|null, text: string, lines: Array<{timeMs: number, text: string}>|null, instrumental: boolean, source: string}|null>}
+ *   The lyrics (`lines` only when synced), or null if no provider had them.
+ */
+async function findLyrics(track, guildId) {
+    for (const providerName of config.lyrics.providers || Object.keys(LYRICS_PROVIDERS)) {
+        const provider = LYRICS_PROVIDERS[providerName];
+        if (!provider) {
+            logger.warn(`[${guildId}] Unknown lyrics provider "${providerName}" in config.lyrics.providers.`);
+            continue;
+        }
+        try {
+            const result = await provider.search(track);
+            if (!result) continue;
+            const lines = result.syncedLyrics ? parseLrc(result.syncedLyrics) : null;
+            const text = result.plainLyrics || (lines ? lines.map(line => line.text).join('\n') : '');
+            if (!text && !result.instrumental) continue;
+            logger.debug(`[${guildId}] Found lyrics for "${track.title}" via ${provider.name}${lines ? ' (synced)' : ''}.`);
+            return { title: result.title, author: result.author, text, lines: lines?.length ? lines : null, instrumental: result.instrumental, source: provider.name };
+        } catch (error) {
+            logger.warn(`[${guildId}] Lyrics provider ${provider.name} failed for "${track.title}": ${error.message}`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Splits lyrics into pages at line breaks.
+ * @param {string} text - The lyrics.
+ * @param {number} [maxLength=LYRICS_PAGE_LENGTH] - Maximum characters per page.
+ * @returns {string[]} The pages (at least one).
+ */
+function paginateLyrics(text, maxLength = LYRICS_PAGE_LENGTH) {
+    const pages = [];
+    let page = '';
+    for (const line of text.split('\n')) {
+        const next = page ? `${page}\n${line}` : line;
+        if (next.length > maxLength && page) {
+            pages.push(page);
+            page = line.substring(0, maxLength);
+        } else {
+            page = next.substring(0, maxLength);
+        }
+    }
+    if (page || pages.length === 0) pages.push(page);
+    return pages;
+}
+
+// --- Live Lyrics ---
+
+/**
+ * Finds the synced line being sung at a position.
+ * @param {Array<{timeMs: number}>} lines - The synced lines.
+ * @param {number} position - The player position (ms).
+ * @returns {number} The line index, or -1 before the first line.
+ */
+function findLineIndex(lines, position) {
+    let index = -1;
+    for (let i = 0; i < lines.length && lines[i].timeMs <= position; i++) index = i;
+    return index;
+}
+
+/**
+ * Builds the live lyrics embed around the current line.
+ * @param {object} lyrics - The lyrics (from findLyrics, with lines).
+ * @param {number} index - The current line index (-1 before the first line).
+ * @param {string} [status] - Shown in the footer instead of the source (e.g. when live mode ends).
+ * @returns {EmbedBuilder} The embed.
+ */
+function buildLiveLyricsEmbed(lyrics, index, status) {
+    const start = Math.max(0, index - LIVE_LINES_BEFORE);
+    const end = Math.min(lyrics.lines.length, Math.max(index, 0) + LIVE_LINES_AFTER + 1);
+    const window = lyrics.lines.slice(start, end).map((line, offset) => {
+        const text = line.text || '♪';
+        return start + offset === index ? `▶ **${text}**` : text;
+    });
+    return new EmbedBuilder()
+        .setColor(config.colors.music)
+        .setTitle(`🎤 ${lyrics.author ? `${lyrics.author} - ` : ''}${lyrics.title}`)
+        .setDescription((index === -1 ? '♪ ...\n' : '') + window.join('\n'))
+        .setFooter({ text: status || `Live lyrics from ${lyrics.source}` });
+}
+
+/**
+ * Stops a guild's live lyrics, if any.
+ * @param {string} guildId - The ID of the guild.
+ * @param {string} [status] - If given, the message is edited one last time with this footer.
+ */
+function stopLiveLyrics(guildId, status) {
+    const session = liveSessions.get(guildId);
+    if (!session) return;
+    clearInterval(session.timer);
+    liveSessions.delete(guildId);
+    if (status) {
+        session.message.edit({ embeds: [buildLiveLyricsEmbed(session.lyrics, session.index, status)] }).catch(() => {});
+    }
+}
+
+/**
+ * Keeps a message showing the current lyrics line of the playing track until the track changes.
+ * Replaces any live lyrics already running in the guild.
+ * @param {object} queue - The guild queue object (playing the track the lyrics belong to).
+ * @param {import('discord.js').Message} message - The message to edit.
+ * @param {object} lyrics - The lyrics (from findLyrics, with synced lines).
+ */
+function startLiveLyrics(queue, message, lyrics) {
+    const guildId = queue.guildId;
+    stopLiveLyrics(guildId, 'Live lyrics moved to a newer message.');
+
+    const song = queue.currentTrack;
+    const stopAt = Date.now() + (config.lyrics.liveMaxMinutes || 15) * 60 * 1000;
+    const session = { message, lyrics, index: null, timer: null };
+
+    const tick = async () => {
+        if (queue.currentTrack !== song || !queue.lavalinkPlayer) return stopLiveLyrics(guildId, 'Track ended. Live lyrics stopped.');
+        if (Date.now() > stopAt) return stopLiveLyrics(guildId, 'Live lyrics timed out.');
+
+        const index = findLineIndex(lyrics.lines, estimatePosition(queue, queue.lavalinkPlayer));
+        if (index === session.index) return; // Only edit when the line changes
+        session.index = index;
+        try {
+            await message.edit({ embeds: [buildLiveLyricsEmbed(lyrics, index)] });
+        } catch (error) {
+            logger.warn(`[${guildId}] Stopping live lyrics, could not edit the message: ${error.message}`);
+            stopLiveLyrics(guildId);
+        }
+    };
+
+    session.timer = setInterval(tick, config.lyrics.liveUpdateInterval || 2500);
+    liveSessions.set(guildId, session);
+    tick();
+}
+
+module.exports = {
+    cleanTrackInfo,
+    parseLrc,
+    findLyrics,
+    paginateLyrics,
+    startLiveLyrics,
+    stopLiveLyrics,
+};
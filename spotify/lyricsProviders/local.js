@@ -0,0 +1,58 @@
+// spotify/lyricsProviders/local.js
+// Lyrics from files on disk (config.lyrics.localDir), for offline testing and tracks other providers miss.
+// Files are named "Artist - Title.lrc" (synced) or "Artist - Title.txt" (plain); the artist part is optional.
+
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../../config');
+
+const LYRICS_EXTENSIONS = ['.lrc', '.txt'];
+
+/**
+ * Normalizes a name for comparison: lower case, no punctuation or extra spaces.
+ * @param {string} name - The name.
+ * @returns {string} The normalized name.
+ */
+function normalize(name) {
+    return (name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Looks for a lyrics file matching the track, preferring "Artist - Title" over "Title".
+ * @param {{title: string, author: string|null}} track - The track to look up.
+ * @returns {Promise<{title: string, author: string|null, plainLyrics: string|null, syncedLyrics: string|null, instrumental: boolean}|null>}
+ *   The lyrics, or null if no file matches.
+ */
+async function search(track) {
+    const directory = path.resolve(config.lyrics.localDir || './lyrics');
+    let files;
+    try {
+        files = await fs.readdir(directory);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null; // No local lyrics set up
+        throw error;
+    }
+
+    const wanted = [track.author ? normalize(`${track.author} - ${track.title}`) : null, normalize(track.title)].filter(Boolean);
+    const candidates = files.filter(file => LYRICS_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+    for (const name of wanted) {
+        const file = candidates.find(candidate => normalize(path.basename(candidate, path.extname(candidate))) === name);
+        if (!file) continue;
+
+        const content = await fs.readFile(path.join(directory, file), 'utf8');
+        const isSynced = path.extname(file).toLowerCase() === '.lrc';
+        return {
+            title: track.title,
+            author: track.author,
+            plainLyrics: isSynced ? null : content.trim(),
+            syncedLyrics: isSynced ? content : null,
+            instrumental: false,
+        };
+    }
+    return null;
+}
+
+module.exports = {
+    name: 'Local Files',
+    search,
+};
@@ -0,0 +1,43 @@
+// spotify/lyricsProviders/lrclib.js
+// Lyrics from LRCLIB (https://lrclib.net), which serves plain and time-synced (LRC) lyrics without an API key.
+
+const axios = require('axios');
+const config = require('../../config');
+
+// Tracks whose length is this close (seconds) to the playing track are treated as the same recording
+const DURATION_TOLERANCE_SECONDS = 5;
+
+/**
+ * Searches LRCLIB and picks the best match: synced lyrics first, then the closest length.
+ * @param {{title: string, author: string|null, durationMs: number|null}} track - The track to look up.
+ * @returns {Promise<{title: string, author: string|null, plainLyrics: string|null, syncedLyrics: string|null, instrumental: boolean}|null>}
+ *   The lyrics, or null if LRCLIB has none.
+ */
+async function search(track) {
+    const params = track.author ? { track_name: track.title, artist_name: track.author } : { q: track.title };
+    const response = await axios.get(`${config.lyrics.lrclibUrl}/api/search`, {
+        params,
+        timeout: config.lyrics.requestTimeout || 8000,
+        headers: { 'User-Agent': `${config.botName || 'MusicBot'} (Discord bot)` },
+    });
+    const results = Array.isArray(response.data) ? response.data.filter(result => result.plainLyrics || result.syncedLyrics || result.instrumental) : [];
+    if (results.length === 0) return null;
+
+    const durationSeconds = track.durationMs ? track.durationMs / 1000 : null;
+    const lengthOff = result => (durationSeconds && result.duration ? Math.abs(result.duration - durationSeconds) : DURATION_TOLERANCE_SECONDS);
+    const score = result => (result.syncedLyrics ? 0 : 1) + (lengthOff(result) > DURATION_TOLERANCE_SECONDS ? 2 : 0);
+    const [best] = results.sort((a, b) => score(a) - score(b) || lengthOff(a) - lengthOff(b));
+
+    return {
+        title: best.trackName || track.title,
+        author: best.artistName || track.author,
+        plainLyrics: best.plainLyrics || null,
+        syncedLyrics: best.syncedLyrics || null,
+        instrumental: !!best.instrumental,
+    };
+}
+
+module.exports = {
+    name: 'LRCLIB',
+    search,
+};
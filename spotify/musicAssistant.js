@@ -0,0 +1,331 @@
+// spotify/musicAssistant.js
+// Natural-language music control for /chat and bot mentions. Gemini is given function declarations
+// for the music controls; each call is dispatched to the same spotifyPlayer functions and permission
+// checks the slash commands use. Destructive actions (clearing the queue, stopping) are never run
+// straight from a model's function call: they wait for the requester to press a confirmation button.
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { FunctionDeclarationSchemaType } = require('@google/generative-ai');
+const logger = require('../utils/logger');
+const {
+    LOOP_MODES, queueTracksFromQuery, skipCurrentTrack, stopPlayback, updateNowPlayingMessage,
+    persistQueueState, setQueueVolume, applyQueueFilter, formatLoopMode, isQueuePaused, setQueuePaused,
+} = require('./spotifyPlayer');
+const { checkMusicPermission, resolveSkipRequest } = require('./musicPermissions');
+const { FILTER_PRESETS, buildPresetFilter } = require('./audioFilters');
+
+// Upcoming tracks included in a list_queue result
+const QUEUE_LIST_LIMIT = 10;
+// How long the confirmation buttons stay usable
+const CONFIRMATION_TIMEOUT_MS = 30000;
+
+const MUSIC_ASSISTANT_INSTRUCTIONS = [
+    'You can control the music bot in this Discord server with the functions provided.',
+    'Call them when the user asks for a music action, possibly several in one message (e.g. play a song and skip the current one), in the order asked.',
+    'For requests by mood, genre or era, choose a specific well-known song that fits and pass "Artist - Title" as the play query.',
+    'Only call a function when the user clearly asks for that action, and never call clear_queue or stop_playback unless asked to clear or stop.',
+    'After the calls, reply briefly in character, based on the function results. If a result is awaiting confirmation, tell the user to confirm with the button below your reply.',
+].join('\n');
+
+const MUSIC_FUNCTION_DECLARATIONS = [
+    {
+        name: 'play_music',
+        description: 'Searches for a song (or loads a URL) and adds it to the queue, starting playback if nothing is playing.',
+        parameters: {
+            type: FunctionDeclarationSchemaType.OBJECT,
+            properties: {
+                query: { type: FunctionDeclarationSchemaType.STRING, description: 'A URL, or search terms such as "Artist - Title".' },
+            },
+            required: ['query'],
+        },
+    },
+    { name: 'skip_track', description: 'Skips the current track (non-DJs add a vote to skip).' },
+    { name: 'pause_playback', description: 'Pauses the current track.' },
+    { name: 'resume_playback', description: 'Resumes a paused track.' },
+    { name: 'list_queue', description: 'Gets the current track, the upcoming tracks, the volume, the loop mode and the active filter.' },
+    {
+        name: 'set_volume',
+        description: 'Sets the playback volume.',
+        parameters: {
+            type: FunctionDeclarationSchemaType.OBJECT,
+            properties: {
+                volume: { type: FunctionDeclarationSchemaType.INTEGER, description: 'The volume, from 1 to 100.' },
+            },
+            required: ['volume'],
+        },
+    },
+    {
+        name: 'set_filter',
+        description: 'Applies an audio filter preset, or removes all filters with "none".',
+        parameters: {
+            type: FunctionDeclarationSchemaType.OBJECT,
+            properties: {
+                preset: { type: FunctionDeclarationSchemaType.STRING, enum: [...Object.keys(FILTER_PRESETS), 'none'], description: 'The preset to apply.' },
+            },
+            required: ['preset'],
+        },
+    },
+    {
+        name: 'set_loop',
+        description: 'Sets the loop mode: off, repeat the current track, or cycle through the queue.',
+        parameters: {
+            type: FunctionDeclarationSchemaType.OBJECT,
+            properties: {
+                mode: { type: FunctionDeclarationSchemaType.STRING, enum: Object.values(LOOP_MODES), description: 'The loop mode.' },
+            },
+            required: ['mode'],
+        },
+    },
+    { name: 'clear_queue', description: 'Removes all upcoming tracks (the current track keeps playing). Requires the user to confirm.' },
+    { name: 'stop_playback', description: 'Stops the music, clears the queue and leaves the voice channel. Requires the user to confirm.' },
+];
+
+// Actions that wait for the requester's confirmation, with the label shown on the confirm button
+const CONFIRMED_ACTIONS = {
+    clear_queue: 'Clear the queue',
+    stop_playback: 'Stop and leave',
+};
+
+/**
+ * Creates the music tools for one request: the function declarations, the dispatcher Gemini calls,
+ * and a record of what was done (shown to the user alongside the reply).
+ * @param {import('discord.js').Interaction | import('discord.js').Message} context - The interaction or message that made the request.
+ * @returns {{instructions: string, declarations: Array<object>, execute: Function, actions: Array<string>, pendingConfirmations: Array<string>}}
+ *   The tool session, passed to ai/gemini's generateText.
+ */
+function createMusicToolSession(context) {
+    const session = {
+        instructions: MUSIC_ASSISTANT_INSTRUCTIONS,
+        declarations: MUSIC_FUNCTION_DECLARATIONS,
+        actions: [], // User-facing lines describing each outcome
+        pendingConfirmations: [], // Names of actions awaiting the confirm button
+    };
+    session.execute = (name, args) => executeMusicFunction(context, session, name, args || {});
+    return session;
+}
+
+/**
+ * Runs one function call from Gemini.
+ * @param {import('discord.js').Interaction | import('discord.js').Message} context - The interaction or message that made the request.
+ * @param {object} session - The tool session (see createMusicToolSession).
+ * @param {string} name - The function name.
+ * @param {object} args - The function arguments.
+ * @returns {Promise<object>} The function response sent back to Gemini.
+ */
+async function executeMusicFunction(context, session, name, args) {
+    const guildId = context.guild.id;
+    const user = context.user ?? context.author;
+    logger.info(`[${guildId}] Music assistant call by ${user.tag}: ${name}(${JSON.stringify(args)})`);
+
+    let result;
+    try {
+        result = await runMusicFunction(context, session, name, args);
+    } catch (error) {
+        logger.error(`[${guildId}] Music assistant call ${name} failed:`, error);
+        result = { error: 'An error occurred while carrying out that action.' };
+    }
+    if (result.error) session.actions.push(`⚠️ ${result.error}`);
+    else if (result.action) session.actions.push(result.action);
+    return result;
+}
+
+/**
+ * Dispatches a function call to the music controls, applying the same checks as the slash commands.
+ * @param {import('discord.js').Interaction | import('discord.js').Message} context - The interaction or message that made the request.
+ * @param {object} session - The tool session.
+ * @param {string} name - The function name.
+ * @param {object} args - The function arguments.
+ * @returns {Promise<object>} `error` on failure; otherwise the result, with an optional user-facing `action` line.
+ */
+async function runMusicFunction(context, session, name, args) {
+    const client = context.client;
+    const member = context.member;
+    const queue = client.queues.get(context.guild.id);
+
+    if (name === 'play_music') {
+        const query = String(args.query || '').trim();
+        if (!query) return { error: 'No song was named to play.' };
+        const voiceChannel = member.voice.channel;
+        if (!voiceChannel) return { error: 'You need to be in a voice channel to play music.' };
+        if (queue && voiceChannel.id !== queue.voiceChannelId) return { error: 'You must be in the same voice channel as me to add music.' };
+        const permissions = voiceChannel.permissionsFor(client.user);
+        if (!permissions || !permissions.has('Connect') || !permissions.has('Speak')) return { error: 'I need permission to connect and speak in your voice channel.' };
+
+        const outcome = await queueTracksFromQuery(context, member.user, voiceChannel, query);
+        if (outcome.error) return { error: outcome.error };
+        if (outcome.playlistInfo) {
+            return { queued: outcome.addedCount, playlist: outcome.playlistInfo.name, action: `➕ Added **${outcome.addedCount}** track(s) from **${outcome.playlistInfo.name}**.` };
+        }
+        const song = outcome.lastSong;
+        const position = outcome.queue.songs.indexOf(song) + 1; // 0 if it started playing right away
+        return {
+            queued: song.title,
+            author: song.author,
+            position: position > 0 ? position : 'now playing',
+            action: position > 0 ? `➕ Queued **${song.title}** at position ${position}.` : `▶️ Now playing **${song.title}**.`,
+        };
+    }
+
+    // Every other control needs a queue and the requester in its voice channel
+    if (!queue || !queue.lavalinkPlayer) return { error: 'There is no music playing right now.' };
+    const denied = await checkMusicPermission(member, queue, { djOnly: name in CONFIRMED_ACTIONS });
+    if (denied) return { error: denied };
+    const player = queue.lavalinkPlayer;
+
+    switch (name) {
+        case 'skip_track': {
+            const track = queue.currentTrack;
+            if (!track) return { error: 'There is no track playing to skip.' };
+            const outcome = await resolveSkipRequest(member, queue);
+            if (!outcome.skip) {
+                return { skipped: false, votes: outcome.votes, required: outcome.required, action: `🗳️ Your vote to skip **${track.title}** was counted (${outcome.votes}/${outcome.required}).` };
+            }
+            await skipCurrentTrack(queue); // The 'end' listener plays the next track
+            return { skipped: track.title, action: `⏭️ Skipped **${track.title}**.` };
+        }
+        case 'pause_playback':
+        case 'resume_playback': {
+            const pause = name === 'pause_playback';
+            if (!queue.currentTrack) return { error: 'There is no track playing.' };
+            if (isQueuePaused(queue) === pause) return { paused: pause, note: pause ? 'Already paused.' : 'Already playing.' };
+            await setQueuePaused(queue, pause);
+            await updateNowPlayingMessage(queue);
+            return { paused: pause, action: pause ? '⏸️ Playback paused.' : '▶️ Playback resumed.' };
+        }
+        case 'list_queue':
+            return {
+                nowPlaying: queue.currentTrack ? `${queue.currentTrack.title} (${queue.currentTrack.author})` : null,
+                paused: isQueuePaused(queue),
+                upcoming: queue.songs.slice(0, QUEUE_LIST_LIMIT).map((song, index) => `${index + 1}. ${song.title} (${song.author})`),
+                upcomingTotal: queue.songs.length,
+                volume: queue.volume ?? player.volume,
+                loop: queue.loop,
+                filter: queue.activeFilter?.name || 'none',
+            };
+        case 'set_volume': {
+            const volume = Math.round(Number(args.volume));
+            if (!Number.isFinite(volume) || volume < 1 || volume > 100) return { error: 'The volume must be between 1 and 100.' };
+            await setQueueVolume(queue, volume);
+            await updateNowPlayingMessage(queue);
+            return { volume, action: `🔊 Volume set to ${volume}%.` };
+        }
+        case 'set_filter': {
+            const preset = String(args.preset || '').toLowerCase();
+            const activeFilter = preset === 'none' ? null : buildPresetFilter(preset);
+            if (preset !== 'none' && !activeFilter) return { error: `There is no "${args.preset}" filter.` };
+            await applyQueueFilter(queue, activeFilter);
+            return { filter: activeFilter?.name || 'none', action: activeFilter ? `🎛️ Applied the **${activeFilter.name}** filter.` : '🎛️ Removed all filters.' };
+        }
+        case 'set_loop': {
+            if (!Object.values(LOOP_MODES).includes(args.mode)) return { error: 'Unknown loop mode.' };
+            queue.loop = args.mode;
+            await persistQueueState(queue, true);
+            await updateNowPlayingMessage(queue);
+            return { loop: args.mode, action: `Loop mode: ${formatLoopMode(args.mode)}` };
+        }
+        case 'clear_queue':
+        case 'stop_playback':
+            if (!session.pendingConfirmations.includes(name)) session.pendingConfirmations.push(name);
+            return { status: 'awaiting_confirmation', note: 'Nothing has been done yet; the user must press the confirmation button.' };
+        default:
+            return { error: `Unknown music action "${name}".` };
+    }
+}
+
+/**
+ * Runs a confirmed destructive action, re-checking the queue and permissions at confirmation time.
+ * @param {import('discord.js').ButtonInteraction} interaction - The confirmation button press.
+ * @param {string} name - 'clear_queue' or 'stop_playback'.
+ * @returns {Promise<string>} A user-facing outcome.
+ */
+async function runConfirmedAction(interaction, name) {
+    const guildId = interaction.guild.id;
+    const queue = interaction.client.queues.get(guildId);
+    if (!queue) return 'There is no music playing any more.';
+    const denied = await checkMusicPermission(interaction.member, queue, { djOnly: true });
+    if (denied) return denied;
+
+    if (name === 'clear_queue') {
+        const count = queue.songs.length;
+        queue.songs = [];
+        await persistQueueState(queue, true);
+        await updateNowPlayingMessage(queue);
+        logger.info(`[${guildId}] Queue cleared (${count} tracks) via music assistant by ${interaction.user.tag}.`);
+        return `🗑️ Cleared **${count}** upcoming track(s). The current track will finish playing.`;
+    }
+    await stopPlayback(queue, interaction.client);
+    logger.info(`[${guildId}] Playback stopped via music assistant by ${interaction.user.tag}.`);
+    return '⏹️ Playback stopped and disconnected.';
+}
+
+/**
+ * Attaches confirm/cancel buttons for a session's pending actions to the reply, and runs each action
+ * the requester confirms before the buttons expire. Answered actions lose their button; Cancel drops the rest.
+ * @param {import('discord.js').Message} reply - The bot's reply message.
+ * @param {object} session - The tool session.
+ * @param {string} userId - The ID of the user who made the request (the only one who may confirm).
+ * @param {string} requestId - A unique ID for the request (the interaction or message ID).
+ * @returns {Promise<void>}
+ */
+async function promptForConfirmation(reply, session, userId, requestId) {
+    if (session.pendingConfirmations.length === 0) return;
+    const guildId = reply.guild.id;
+    const pending = [...session.pendingConfirmations];
+    const answered = new Set();
+
+    const buildRow = () => new ActionRowBuilder().addComponents(
+        ...pending.filter(name => !answered.has(name)).map(name => new ButtonBuilder()
+            .setCustomId(`assistant_${name}_${requestId}`)
+            .setLabel(CONFIRMED_ACTIONS[name])
+            .setStyle(ButtonStyle.Danger)),
+        new ButtonBuilder()
+            .setCustomId(`assistant_cancel_${requestId}`)
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+    );
+    await reply.edit({ components: [buildRow()] });
+
+    const filter = i => i.customId.endsWith(`_${requestId}`) && i.user.id === userId;
+    const collector = reply.createMessageComponentCollector({ filter, time: CONFIRMATION_TIMEOUT_MS });
+
+    collector.on('collect', async i => {
+        try {
+            await i.deferUpdate();
+        } catch (error) {
+            logger.warn(`[${guildId}] Failed to defer assistant confirmation button: ${error.message}`);
+            return; // Expired or already answered
+        }
+        const name = pending.find(action => i.customId === `assistant_${action}_${requestId}`);
+        if (name && answered.has(name)) return; // Pressed again before its button was removed
+        if (!name) {
+            collector.stop('cancelled');
+            await i.followUp({ content: 'Very well, nothing was changed.' }).catch(e => logger.warn(`[${guildId}] Failed to send assistant confirmation feedback: ${e.message}`));
+            return;
+        }
+
+        answered.add(name);
+        let outcome;
+        try {
+            outcome = await runConfirmedAction(i, name);
+        } catch (error) {
+            logger.error(`[${guildId}] Error running confirmed assistant action ${name}:`, error);
+            outcome = 'An error occurred while carrying out that action.';
+        }
+        await i.followUp({ content: outcome, allowedMentions: { parse: [] } }).catch(e => logger.warn(`[${guildId}] Failed to send assistant confirmation feedback: ${e.message}`));
+        if (answered.size === pending.length) {
+            collector.stop('answered');
+        } else if (!collector.ended) {
+            await reply.edit({ components: [buildRow()] }).catch(e => logger.warn(`[${guildId}] Failed to update assistant confirmation buttons: ${e.message}`));
+        }
+    });
+
+    collector.on('end', () => {
+        reply.edit({ components: [] }).catch(e => logger.warn(`[${guildId}] Failed to remove assistant confirmation buttons: ${e.message}`));
+    });
+}
+
+module.exports = {
+    MUSIC_FUNCTION_DECLARATIONS,
+    createMusicToolSession,
+    promptForConfirmation,
+};
@@ -0,0 +1,138 @@
+// spotify/musicPermissions.js
+// Permission checks shared by the music slash commands and the Now Playing buttons.
+// A guild can set a DJ role (/dj); without one every listener counts as a DJ, as before.
+// Non-DJs skip by vote, except that requesters can always skip their own track.
+
+const { PermissionFlagsBits } = require('discord.js');
+const logger = require('../utils/logger');
+const config = require('../config');
+const GuildSettings = require('../database/models/GuildSettings');
+
+/**
+ * Loads the DJ settings for a guild.
+ * @param {string} guildId - The ID of the guild.
+ * @returns {Promise<{djRoleId: string | null, voteSkipPercent: number}>} The DJ settings.
+ */
+async function getDjSettings(guildId) {
+    let music = null;
+    try {
+        music = (await GuildSettings.findOne({ guildId: guildId }).lean())?.music;
+    } catch (error) {
+        logger.warn(`[${guildId}] Could not load DJ settings: ${error.message}`);
+    }
+    return {
+        djRoleId: music?.djRoleId || null,
+        voteSkipPercent: music?.voteSkipPercent || config.music.voteSkipPercent || 50,
+    };
+}
+
+/**
+ * Gets the members listening in the bot's voice channel (excluding bots and deafened members).
+ * @param {import('discord.js').Guild} guild - The guild.
+ * @param {object} queue - The guild queue object.
+ * @returns {import('discord.js').Collection<string, import('discord.js').GuildMember>} The listeners.
+ */
+function getListeners(guild, queue) {
+    const voiceChannel = guild.channels.cache.get(queue.voiceChannelId);
+    if (!voiceChannel) return new Map();
+    return voiceChannel.members.filter(member => !member.user.bot && !member.voice.deaf);
+}
+
+/**
+ * Checks whether a member has DJ rights: Manage Server, the guild's DJ role, being the only
+ * listener, or the guild not having a DJ role at all.
+ * @param {import('discord.js').GuildMember} member - The member.
+ * @param {object} queue - The guild queue object.
+ * @returns {Promise<boolean>} True if the member is a DJ.
+ */
+async function isDj(member, queue) {
+    if (member.permissions.has(PermissionFlagsBits.ManageGuild)) return true;
+    const { djRoleId } = await getDjSettings(member.guild.id);
+    if (!djRoleId || member.roles.cache.has(djRoleId)) return true;
+    const listeners = getListeners(member.guild, queue);
+    return listeners.size === 1 && listeners.has(member.id); // Nobody else to outvote
+}
+
+/**
+ * Checks whether a member may use a music control.
+ * @param {import('discord.js').GuildMember} member - The member.
+ * @param {object} queue - The guild queue object.
+ * @param {object} [options={}] - Check options.
+ * @param {boolean} [options.djOnly=false] - Require DJ rights (stop, clearing, jumping the queue).
+ * @returns {Promise<string|null>} A user-facing reason if denied, or null if allowed.
+ */
+async function checkMusicPermission(member, queue, options = {}) {
+    if (!member.voice.channel || member.voice.channel.id !== queue.voiceChannelId) {
+        return 'You must be in the same voice channel as me to use the music controls.';
+    }
+    if (options.djOnly && !(await isDj(member, queue))) {
+        const { djRoleId } = await getDjSettings(member.guild.id);
+        return `Only members with the <@&${djRoleId}> role can do that.`;
+    }
+    return null;
+}
+
+/**
+ * Checks whether a member may go back a track. Going back ends the current track, so it takes the same
+ * standing as skipping without a vote: DJ rights, or having requested the current track.
+ * @param {import('discord.js').GuildMember} member - The member.
+ * @param {object} queue - The guild queue object.
+ * @returns {Promise<string|null>} A user-facing reason if denied, or null if allowed.
+ */
+async function checkPreviousPermission(member, queue) {
+    const endsOthersTrack = !!queue.currentTrack && queue.currentTrack.requesterId !== member.id;
+    return checkMusicPermission(member, queue, { djOnly: endsOthersTrack });
+}
+
+/**
+ * Checks that a member can queue tracks: in a voice channel (the same one as the bot if it is playing)
+ * that the bot can connect and speak in.
+ * @param {import('discord.js').GuildMember} member - The member.
+ * @param {object} [queue] - The guild queue, if any.
+ * @returns {string|null} A user-facing reason if not, or null if allowed.
+ */
+function checkCanQueue(member, queue) {
+    const voiceChannel = member.voice.channel;
+    if (!voiceChannel || (queue && voiceChannel.id !== queue.voiceChannelId)) {
+        return 'You must be in the same voice channel as me to queue tracks.';
+    }
+    if (!voiceChannel.permissionsFor(member.client.user)?.has(['Connect', 'Speak'])) {
+        return 'I require permission to connect and speak in your voice channel.';
+    }
+    return null;
+}
+
+/**
+ * Decides whether a skip request goes through. DJs and the track's requester skip immediately;
+ * anyone else adds a vote, and the skip passes once enough listeners have voted.
+ * Votes are kept in queue.skipVotes and reset when the next track starts.
+ * @param {import('discord.js').GuildMember} member - The member asking to skip.
+ * @param {object} queue - The guild queue object.
+ * @returns {Promise<{skip: boolean, reason: 'dj'|'requester'|'vote'|null, votes: number, required: number}>} The outcome.
+ */
+async function resolveSkipRequest(member, queue) {
+    if (queue.currentTrack?.requesterId === member.id) {
+        return { skip: true, reason: 'requester', votes: 0, required: 0 };
+    }
+    if (await isDj(member, queue)) {
+        return { skip: true, reason: 'dj', votes: 0, required: 0 };
+    }
+
+    const { voteSkipPercent } = await getDjSettings(member.guild.id);
+    const listeners = getListeners(member.guild, queue);
+    queue.skipVotes.add(member.id);
+    // Only count votes from people still listening
+    const votes = [...queue.skipVotes].filter(id => listeners.has(id)).length;
+    const required = Math.max(1, Math.ceil(listeners.size * voteSkipPercent / 100));
+    logger.debug(`[${member.guild.id}] Skip vote by ${member.user.tag}: ${votes}/${required}.`);
+    return { skip: votes >= required, reason: votes >= required ? 'vote' : null, votes, required };
+}
+
+module.exports = {
+    getDjSettings,
+    isDj,
+    checkMusicPermission,
+    checkPreviousPermission,
+    checkCanQueue,
+    resolveSkipRequest,
+};
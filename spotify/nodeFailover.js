@@ -0,0 +1,237 @@
+// spotify/nodeFailover.js
+// Lavalink node failover. When a node's connection closes and doesn't come back within a short
+// grace period (Lavalink keeps resumable sessions alive meanwhile), its players are moved to another
+// connected node and the current track resumes where it left off. Players with nowhere to go wait
+// for the next node to become ready. A node that comes back has its players for moved guilds destroyed.
+// Nodes Shoukaku gives up on are added back after a delay.
+
+const logger = require('../utils/logger');
+const { formatDuration } = require('./trackLoader');
+const { EMPTY_FILTERS } = require('./audioFilters');
+
+// Shoukaku node states (Constants.State)
+const NODE_STATES = Object.freeze({
+    CONNECTING: 0,
+    CONNECTED: 1,
+    DISCONNECTING: 2,
+    DISCONNECTED: 3,
+});
+
+// Lavalink's default playerUpdateInterval; the most position time a failed node can have left unreported
+const PLAYER_UPDATE_INTERVAL_MS = 5000;
+// How long a closed node gets to reconnect and resume its session before its players are moved
+const FAILOVER_GRACE_MS = 10000;
+// How long to wait before re-adding a node that Shoukaku removed after running out of reconnect tries
+const NODE_READD_DELAY_MS = 60000;
+
+// Node name -> guild IDs whose players were moved off that node while it was gone
+const staleGuilds = new Map();
+
+/**
+ * Lists the connected nodes, least loaded first.
+ * @param {import('shoukaku').Shoukaku} shoukaku - The Shoukaku instance.
+ * @param {string} [excludeName] - A node to leave out (the one that failed).
+ * @returns {Array<import('shoukaku').Node>} The candidate nodes.
+ */
+function getHealthyNodes(shoukaku, excludeName) {
+    return [...shoukaku.nodes.values()]
+        .filter(node => node.state === NODE_STATES.CONNECTED && node.name !== excludeName)
+        .sort((a, b) => a.penalties - b.penalties);
+}
+
+/**
+ * Estimates where the current track was when its node went away. Lavalink only reports the
+ * position every few seconds, so the time since the last report (up to one interval) is added while playing.
+ * @param {object} queue - The guild queue object.
+ * @param {import('shoukaku').Player} player - The player.
+ * @returns {number} The position in milliseconds.
+ */
+function estimatePosition(queue, player) {
+    let position = player.position || 0;
+    if (!player.paused && queue.positionUpdatedAt) position += Math.min(Date.now() - queue.positionUpdatedAt, PLAYER_UPDATE_INTERVAL_MS);
+    const duration = queue.currentTrack?.rawDurationMs;
+    return duration && !queue.currentTrack.isStream ? Math.min(position, duration) : position;
+}
+
+/**
+ * Moves a guild's player to another node and resumes its track, volume, filters and pause state.
+ * Tracks are started over REST (see playNextTrack), so Shoukaku's own player state doesn't know the
+ * track, volume or filters; they are sent from the queue instead.
+ * @param {object} queue - The guild queue object.
+ * @param {Array<import('shoukaku').Node>} candidates - Nodes to try, in order.
+ * @returns {Promise<{node: import('shoukaku').Node, position: number} | null>} Where it moved, or null if every node failed.
+ */
+async function migratePlayer(queue, candidates) {
+    const player = queue.lavalinkPlayer;
+    const oldNodeName = player.node?.name;
+    let position = estimatePosition(queue, player);
+    let paused = player.paused;
+
+    // A speech interjection is dropped; the music picks up where the speech cut in
+    if (queue.interjection) {
+        if (queue.interjection.phase === 'speaking') {
+            position = queue.interjection.position;
+            paused = queue.interjection.paused;
+        }
+        clearTimeout(queue.interjection.timeout);
+        queue.interjection = null;
+    }
+
+    for (const node of candidates) {
+        try {
+            await node.rest.updatePlayer({
+                guildId: queue.guildId,
+                data: {
+                    encodedTrack: queue.currentTrack?.lavalinkTrack ?? null,
+                    position,
+                    paused,
+                    volume: queue.volume ?? player.volume,
+                    filters: queue.activeFilter?.settings || EMPTY_FILTERS,
+                    voice: {
+                        token: player.connection.token,
+                        endpoint: player.connection.endpoint,
+                        sessionId: player.connection.sessionId,
+                    },
+                },
+                noReplace: false,
+            });
+            player.node = node;
+            player.position = position;
+            player.paused = paused;
+            queue.positionUpdatedAt = Date.now();
+            if (oldNodeName && oldNodeName !== node.name) markStalePlayer(oldNodeName, queue.guildId);
+            staleGuilds.get(node.name)?.delete(queue.guildId); // Lives here again
+            return { node, position };
+        } catch (error) {
+            logger.warn(`[${queue.guildId}] Could not move player to node "${node.name}": ${error.message}`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Remembers that a node may still hold a player for a guild that has moved elsewhere.
+ * @param {string} nodeName - The node the player moved away from.
+ * @param {string} guildId - The guild ID.
+ */
+function markStalePlayer(nodeName, guildId) {
+    if (!staleGuilds.has(nodeName)) staleGuilds.set(nodeName, new Set());
+    staleGuilds.get(nodeName).add(guildId);
+}
+
+/**
+ * Destroys the players a node kept for guilds that moved away while it was gone, so the node doesn't
+ * keep playing into their voice channels alongside the new one. Only needed when its session was resumed;
+ * a new session starts without them.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @param {string} nodeName - The node that became ready.
+ * @param {boolean} resumed - Whether the node resumed its previous session.
+ * @returns {Promise<void>}
+ */
+async function destroyStalePlayers(client, nodeName, resumed) {
+    const guildIds = staleGuilds.get(nodeName);
+    staleGuilds.delete(nodeName);
+    const node = client.shoukaku.nodes.get(nodeName);
+    if (!resumed || !guildIds || !node) return;
+
+    for (const guildId of guildIds) {
+        if (client.queues.get(guildId)?.lavalinkPlayer?.node?.name === nodeName) continue; // Moved back here
+        await node.rest.destroyPlayer(guildId)
+            .then(() => logger.info(`[${guildId}] Destroyed the stale player left on node "${nodeName}".`))
+            .catch(error => logger.warn(`[${guildId}] Could not destroy the stale player on node "${nodeName}": ${error.message}`));
+    }
+}
+
+/**
+ * Moves every player on a failed node to a healthy one and tells each guild what happened.
+ * Players that can't be moved are flagged and retried by recoverWaitingPlayers.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @param {string} nodeName - The node that went away.
+ * @returns {Promise<number>} The number of players moved.
+ */
+async function failoverNode(client, nodeName) {
+    const affected = [...client.queues.values()].filter(queue => queue.lavalinkPlayer?.node?.name === nodeName);
+    if (affected.length === 0) return 0;
+    logger.warn(`Lavalink node "${nodeName}" went away with ${affected.length} player(s). Attempting failover.`);
+
+    let moved = 0;
+    for (const queue of affected) {
+        const result = await migratePlayer(queue, getHealthyNodes(client.shoukaku, nodeName));
+        if (result) {
+            moved++;
+            queue.awaitingNode = false;
+            logger.info(`[${queue.guildId}] Player moved from "${nodeName}" to "${result.node.name}" at ${result.position}ms.`);
+            const resumedAt = queue.currentTrack ? ` and resumed **${queue.currentTrack.title}** at ${result.position > 0 ? formatDuration(result.position) : '0:00'}` : '';
+            await queue.textChannel?.send(`🔁 The audio server went offline. Moved playback to another server${resumedAt}.`).catch(() => {});
+        } else {
+            queue.awaitingNode = true;
+            queue.playing = false;
+            logger.warn(`[${queue.guildId}] No healthy Lavalink node to move to. Waiting for one to come back.`);
+            await queue.textChannel?.send('⚠️ The audio server went offline and no other server is available. Your queue is kept and playback will resume once a server is back.').catch(() => {});
+        }
+    }
+    return moved;
+}
+
+/**
+ * Resumes players that were left without a node once a node becomes ready. If the node came back
+ * with a new session, its own players were lost on the Lavalink side and are resent as well.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @param {string} nodeName - The node that became ready.
+ * @param {boolean} resumed - Whether the node resumed its previous session.
+ * @returns {Promise<void>}
+ */
+async function recoverWaitingPlayers(client, nodeName, resumed) {
+    const waiting = [...client.queues.values()].filter(queue => queue.lavalinkPlayer
+        && (queue.awaitingNode || (!resumed && queue.lavalinkPlayer.node?.name === nodeName)));
+    if (waiting.length === 0) return;
+    const node = client.shoukaku.nodes.get(nodeName);
+    if (!node) return;
+
+    logger.info(`Lavalink node "${nodeName}" is ready. Resuming ${waiting.length} waiting player(s).`);
+    for (const queue of waiting) {
+        const result = await migratePlayer(queue, [node]);
+        if (!result) continue; // Still waiting; the next node to become ready retries
+        queue.awaitingNode = false;
+        logger.info(`[${queue.guildId}] Waiting player resumed on "${nodeName}".`);
+        await queue.textChannel?.send('✅ The audio server is back. Playback resumed.').catch(() => {});
+    }
+}
+
+/**
+ * Hooks failover into Shoukaku's node events.
+ * @param {import('discord.js').Client} client - The Discord client (with client.shoukaku).
+ * @param {Array<object>} nodeOptions - The configured nodes (name, url, auth, secure), used to re-add dropped nodes.
+ */
+function setupNodeFailover(client, nodeOptions) {
+    const shoukaku = client.shoukaku;
+
+    shoukaku.on('close', (name) => {
+        setTimeout(() => {
+            if (shoukaku.nodes.get(name)?.state === NODE_STATES.CONNECTED) return; // Reconnected (and resumed) in time
+            failoverNode(client, name).catch(error => logger.error(`Lavalink failover for node "${name}" failed:`, error));
+        }, shoukaku.options.resume ? FAILOVER_GRACE_MS : 0);
+    });
+    shoukaku.on('ready', (name, resumed) => {
+        destroyStalePlayers(client, name, resumed)
+            .then(() => recoverWaitingPlayers(client, name, resumed))
+            .catch(error => logger.error(`Recovering players on node "${name}" failed:`, error));
+    });
+
+    // Shoukaku removes a node once it runs out of reconnect tries (forwarded by ResumableShoukaku)
+    shoukaku.on('disconnect', (name) => {
+        logger.warn(`Lavalink node "${name}" is unreachable. Trying it again in ${NODE_READD_DELAY_MS / 1000}s.`);
+        setTimeout(() => {
+            const options = nodeOptions.find(option => option.name === name);
+            if (options && !shoukaku.nodes.has(name)) shoukaku.addNode(options);
+        }, NODE_READD_DELAY_MS);
+    });
+}
+
+module.exports = {
+    NODE_STATES,
+    getHealthyNodes,
+    estimatePosition,
+    failoverNode,
+    setupNodeFailover,
+};
@@ -0,0 +1,211 @@
+// spotify/playStats.js
+// Listening statistics. Every track that plays is recorded as a PlayEvent when it ends;
+// /stats and /wrapped aggregate them per guild or per requester over a period.
+
+const logger = require('../utils/logger');
+const PlayEvent = require('../database/models/PlayEvent');
+const { estimatePosition } = require('./nodeFailover');
+
+// Period choices for /stats and /wrapped (days back from now; null = all time)
+const STATS_PERIODS = Object.freeze({
+    week: { label: 'Last 7 Days', days: 7 },
+    month: { label: 'Last 30 Days', days: 30 },
+    year: { label: 'Last 12 Months', days: 365 },
+    all: { label: 'All Time', days: null },
+});
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// --- Recording ---
+
+/**
+ * Notes when the current track started, so its play can be recorded when it ends.
+ * @param {object} queue - The guild queue object.
+ * @param {number} [position=0] - Where the track started (ms), e.g. when resuming.
+ */
+function markTrackStarted(queue, position = 0) {
+    queue.trackStartedAt = Date.now() - position;
+}
+
+/**
+ * Records the play of the current track. Call before queue.currentTrack is cleared.
+ * @param {object} queue - The guild queue object.
+ * @param {boolean} finished - The track played to the end (false if it was skipped or stopped).
+ * @param {boolean} skipped - A listener skipped or replaced the track.
+ */
+function recordPlayEvent(queue, finished, skipped) {
+    const song = queue.currentTrack;
+    if (!song || !queue.trackStartedAt) return;
+    const player = queue.lavalinkPlayer;
+
+    // Streams have no position worth reporting, so they count wall-clock time
+    let listenedMs;
+    if (song.isStream || !song.rawDurationMs) listenedMs = Date.now() - queue.trackStartedAt;
+    else if (finished) listenedMs = song.rawDurationMs;
+    else listenedMs = player ? estimatePosition(queue, player) : 0;
+
+    const event = {
+        guildId: queue.guildId,
+        title: song.title,
+        author: song.author || null,
+        url: song.url || null,
+        source: song.source || null,
+        requesterId: song.requesterId || null,
+        requesterTag: song.requestedBy || null,
+        autoplay: !!song.autoplay,
+        playedAt: new Date(queue.trackStartedAt),
+        durationMs: song.isStream ? null : song.rawDurationMs || null,
+        listenedMs: Math.max(0, Math.round(listenedMs)),
+        skipped: skipped,
+    };
+    queue.trackStartedAt = 0; // Recorded; a later 'end' for the same track is ignored
+
+    // Stats are best-effort; never hold up playback for them
+    PlayEvent.create(event).catch(error => logger.warn(`[${queue.guildId}] Could not record play of "${song.title}": ${error.message}`));
+}
+
+// --- Queries ---
+
+/**
+ * Builds the match stage for a stats query.
+ * @param {object} filter - What to include.
+ * @param {string} [filter.guildId] - Only plays in this guild.
+ * @param {string} [filter.userId] - Only tracks this user requested.
+ * @param {string} [filter.period='all'] - A STATS_PERIODS key.
+ * @returns {object} The $match conditions.
+ */
+function buildStatsMatch({ guildId, userId, period = 'all' }) {
+    const match = {};
+    if (guildId) match.guildId = guildId;
+    if (userId) match.requesterId = userId;
+    const days = STATS_PERIODS[period]?.days;
+    if (days) match.playedAt = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+    return match;
+}
+
+/**
+ * Aggregates plays into totals and top tracks, artists and requesters.
+ * @param {object} filter - See buildStatsMatch.
+ * @param {number} [limit=5] - Entries per top list.
+ * @returns {Promise<{totals: {plays: number, listenedMs: number, skipped: number}, topTracks: Array<object>, topArtists: Array<object>, topRequesters: Array<object>}>}
+ *   The stats; top entries have `plays` and `listenedMs`.
+ */
+async function getListeningStats(filter, limit = 5) {
+    const [result] = await PlayEvent.aggregate([
+        { $match: buildStatsMatch(filter) },
+        { $facet: {
+            totals: [
+                { $group: { _id: null, plays: { $sum: 1 }, listenedMs: { $sum: '$listenedMs' }, skipped: { $sum: { $cond: ['$skipped', 1, 0] } } } },
+            ],
+            topTracks: [
+                { $group: { _id: { $ifNull: ['$url', '$title'] }, title: { $last: '$title' }, author: { $last: '$author' }, url: { $last: '$url' }, plays: { $sum: 1 }, listenedMs: { $sum: '$listenedMs' } } },
+                { $sort: { plays: -1, listenedMs: -1 } },
+                { $limit: limit },
+            ],
+            topArtists: [
+                { $match: { author: { $nin: [null, ''] } } },
+                { $group: { _id: '$author', plays: { $sum: 1 }, listenedMs: { $sum: '$listenedMs' } } },
+                { $sort: { plays: -1, listenedMs: -1 } },
+                { $limit: limit },
+            ],
+            topRequesters: [
+                { $match: { autoplay: false, requesterId: { $ne: null } } },
+                { $group: { _id: '$requesterId', requesterTag: { $last: '$requesterTag' }, plays: { $sum: 1 }, listenedMs: { $sum: '$listenedMs' } } },
+                { $sort: { listenedMs: -1, plays: -1 } },
+                { $limit: limit },
+            ],
+        } },
+    ]);
+
+    return {
+        totals: result.totals[0] || { plays: 0, listenedMs: 0, skipped: 0 },
+        topTracks: result.topTracks,
+        topArtists: result.topArtists.map(({ _id, ...artist }) => ({ author: _id, ...artist })),
+        topRequesters: result.topRequesters.map(({ _id, ...requester }) => ({ requesterId: _id, ...requester })),
+    };
+}
+
+/**
+ * Summarizes a user's requests across every guild for /wrapped.
+ * @param {string} userId - The Discord user ID.
+ * @param {string} period - A STATS_PERIODS key.
+ * @returns {Promise<object|null>} The summary (totals, top tracks and artists, distinct counts, busiest
+ *   weekday and hour in UTC, first play), or null if the user has no plays in the period.
+ */
+async function getWrappedSummary(userId, period) {
+    const match = { ...buildStatsMatch({ userId, period }), autoplay: false };
+    const [result] = await PlayEvent.aggregate([
+        { $match: match },
+        { $facet: {
+            totals: [
+                { $group: {
+                    _id: null,
+                    plays: { $sum: 1 },
+                    listenedMs: { $sum: '$listenedMs' },
+                    skipped: { $sum: { $cond: ['$skipped', 1, 0] } },
+                    tracks: { $addToSet: { $ifNull: ['$url', '$title'] } },
+                    artists: { $addToSet: '$author' },
+                    guilds: { $addToSet: '$guildId' },
+                    firstPlayedAt: { $min: '$playedAt' },
+                } },
+                { $project: {
+                    plays: 1, listenedMs: 1, skipped: 1, firstPlayedAt: 1,
+                    uniqueTracks: { $size: '$tracks' },
+                    uniqueArtists: { $size: { $setDifference: ['$artists', [null, '']] } },
+                    guildCount: { $size: '$guilds' },
+                } },
+            ],
+            topTracks: [
+                { $group: { _id: { $ifNull: ['$url', '$title'] }, title: { $last: '$title' }, author: { $last: '$author' }, url: { $last: '$url' }, plays: { $sum: 1 } } },
+                { $sort: { plays: -1 } },
+                { $limit: 5 },
+            ],
+            topArtists: [
+                { $match: { author: { $nin: [null, ''] } } },
+                { $group: { _id: '$author', plays: { $sum: 1 } } },
+                { $sort: { plays: -1 } },
+                { $limit: 5 },
+            ],
+            weekdays: [
+                { $group: { _id: { $dayOfWeek: '$playedAt' }, plays: { $sum: 1 } } },
+                { $sort: { plays: -1 } },
+                { $limit: 1 },
+            ],
+            hours: [
+                { $group: { _id: { $hour: '$playedAt' }, plays: { $sum: 1 } } },
+                { $sort: { plays: -1 } },
+                { $limit: 1 },
+            ],
+        } },
+    ]);
+
+    const totals = result.totals[0];
+    if (!totals) return null;
+    return {
+        ...totals,
+        topTracks: result.topTracks,
+        topArtists: result.topArtists.map(({ _id, plays }) => ({ author: _id, plays })),
+        busiestWeekday: result.weekdays[0] ? WEEKDAYS[result.weekdays[0]._id - 1] : null, // $dayOfWeek is 1 (Sunday) to 7
+        busiestHour: result.hours[0]?._id ?? null,
+    };
+}
+
+/**
+ * Formats a listening time as hours (or minutes when under an hour).
+ * @param {number} ms - The time in milliseconds.
+ * @returns {string} E.g. '12.4 hours' or '35 minutes'.
+ */
+function formatListeningTime(ms) {
+    const minutes = Math.round((ms || 0) / 60000);
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    return `${(minutes / 60).toFixed(1)} hours`;
+}
+
+module.exports = {
+    STATS_PERIODS,
+    markTrackStarted,
+    recordPlayEvent,
+    getListeningStats,
+    getWrappedSummary,
+    formatListeningTime,
+};
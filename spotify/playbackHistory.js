@@ -0,0 +1,47 @@
+// spotify/playbackHistory.js
+// Bounded per-guild history of tracks that finished playing, newest first.
+// Kept outside the guild queue so it survives the bot leaving and rejoining voice.
+
+const config = require('../config');
+
+// guildId -> Array of { ...song, playedAt }
+const guildHistories = new Map();
+
+/**
+ * Records a track that finished playing.
+ * @param {string} guildId - The ID of the guild.
+ * @param {object} song - The song object that played.
+ */
+function recordPlayedTrack(guildId, song) {
+    const history = guildHistories.get(guildId) || [];
+    history.unshift({ ...song, playedAt: Date.now() });
+    history.length = Math.min(history.length, config.music.historySize || 50);
+    guildHistories.set(guildId, history);
+}
+
+/**
+ * Gets the played tracks for a guild, newest first.
+ * @param {string} guildId - The ID of the guild.
+ * @returns {Array<object>} The history entries (do not mutate).
+ */
+function getHistory(guildId) {
+    return guildHistories.get(guildId) || [];
+}
+
+/**
+ * Removes and returns the most recently played track, for /previous.
+ * @param {string} guildId - The ID of the guild.
+ * @returns {object|null} The song object (without playedAt), or null if the history is empty.
+ */
+function takeLastPlayed(guildId) {
+    const entry = guildHistories.get(guildId)?.shift();
+    if (!entry) return null;
+    const { playedAt, ...song } = entry;
+    return song;
+}
+
+module.exports = {
+    recordPlayedTrack,
+    getHistory,
+    takeLastPlayed,
+};
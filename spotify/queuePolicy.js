@@ -0,0 +1,211 @@
+// spotify/queuePolicy.js
+// Per-guild queueing policy, set with /queuesettings:
+// - fair (round-robin) ordering between requesters and a limit on upcoming tracks per user
+// - admission rules: max track length, live streams, playlist duplicates and blocked keywords/artists
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const GuildSettings = require('../database/models/GuildSettings');
+
+/**
+ * @typedef {object} QueuePolicy
+ * @property {boolean} fairQueue - Interleave tracks by requester.
+ * @property {number} maxTracksPerUser - Upcoming tracks one user may queue (0 means no limit).
+ * @property {number} maxTrackLengthMinutes - Longest allowed track (0 means no limit).
+ * @property {boolean} allowLiveStreams - Whether live streams may be queued.
+ * @property {boolean} allowPlaylistDuplicates - Whether playlist entries may duplicate queued tracks.
+ * @property {string[]} blockedKeywords - Lowercase words rejected in titles and artist names.
+ * @property {string[]} blockedArtists - Lowercase artist names rejected outright.
+ */
+
+/**
+ * Loads the queue policy for a guild, falling back to config.music for unset fields.
+ * @param {string} guildId - The ID of the guild.
+ * @returns {Promise<QueuePolicy>} The policy.
+ */
+async function getQueuePolicy(guildId) {
+    let music = null;
+    try {
+        music = (await GuildSettings.findOne({ guildId: guildId }).lean())?.music;
+    } catch (error) {
+        logger.warn(`[${guildId}] Could not load queue policy: ${error.message}`);
+    }
+    return {
+        fairQueue: !!music?.fairQueue,
+        maxTracksPerUser: music?.maxTracksPerUser || 0,
+        maxTrackLengthMinutes: music?.maxTrackLengthMinutes ?? config.music.maxTrackLengthMinutes ?? 0,
+        allowLiveStreams: music?.allowLiveStreams ?? config.music.allowLiveStreams ?? true,
+        allowPlaylistDuplicates: config.music.allowPlaylistDuplicates ?? false,
+        blockedKeywords: music?.blockedKeywords || [],
+        blockedArtists: music?.blockedArtists || [],
+    };
+}
+
+/**
+ * Saves the queue policy for a guild. Omitted fields are left unchanged.
+ * @param {string} guildId - The ID of the guild.
+ * @param {object} changes - The changes to make.
+ * @param {boolean} [changes.fairQueue] - Turn fair queueing on or off.
+ * @param {number} [changes.maxTracksPerUser] - New per-user limit.
+ * @param {number} [changes.maxTrackLengthMinutes] - New max track length.
+ * @param {boolean} [changes.allowLiveStreams] - Allow or block live streams.
+ * @param {string} [changes.blockKeyword] - Keyword to add to the blocklist.
+ * @param {string} [changes.blockArtist] - Artist to add to the blocklist.
+ * @param {string} [changes.unblock] - Keyword or artist to remove from the blocklists.
+ * @returns {Promise<QueuePolicy>} The resulting policy.
+ */
+async function setQueuePolicy(guildId, changes) {
+    const update = {};
+    const set = {};
+    if (typeof changes.fairQueue === 'boolean') set['music.fairQueue'] = changes.fairQueue;
+    if (typeof changes.maxTracksPerUser === 'number') set['music.maxTracksPerUser'] = changes.maxTracksPerUser;
+    if (typeof changes.maxTrackLengthMinutes === 'number') set['music.maxTrackLengthMinutes'] = changes.maxTrackLengthMinutes;
+    if (typeof changes.allowLiveStreams === 'boolean') set['music.allowLiveStreams'] = changes.allowLiveStreams;
+    if (Object.keys(set).length > 0) update.$set = set;
+
+    // Blocklists are matched case-insensitively, so store them lowercase
+    const addToSet = {};
+    if (changes.blockKeyword) addToSet['music.blockedKeywords'] = changes.blockKeyword.trim().toLowerCase();
+    if (changes.blockArtist) addToSet['music.blockedArtists'] = changes.blockArtist.trim().toLowerCase();
+    if (Object.keys(addToSet).length > 0) update.$addToSet = addToSet;
+
+    if (changes.unblock) {
+        // A separate update: MongoDB rejects $pull and $addToSet on the same path (e.g. block_keyword with unblock)
+        const entry = changes.unblock.trim().toLowerCase();
+        await GuildSettings.updateOne({ guildId: guildId }, { $pull: { 'music.blockedKeywords': entry, 'music.blockedArtists': entry } });
+    }
+    if (Object.keys(update).length > 0) {
+        await GuildSettings.findOneAndUpdate({ guildId: guildId }, update, { upsert: true, setDefaultsOnInsert: true });
+    }
+    return getQueuePolicy(guildId);
+}
+
+/**
+ * Checks a track against the guild's admission rules (length, live streams, blocklists).
+ * Duplicates and queue/user limits depend on the queue contents and are checked by addToQueue.
+ * @param {object} song - The song object.
+ * @param {QueuePolicy} policy - The guild's policy.
+ * @returns {'tooLong'|'live'|'blocked'|null} Why the track is rejected, or null if it may be queued.
+ */
+function checkAdmission(song, policy) {
+    if (song.isStream) {
+        if (!policy.allowLiveStreams) return 'live';
+    } else if (policy.maxTrackLengthMinutes > 0 && song.rawDurationMs > policy.maxTrackLengthMinutes * 60000) {
+        return 'tooLong';
+    }
+
+    const title = (song.title || '').toLowerCase();
+    const author = (song.author || '').toLowerCase();
+    if (policy.blockedArtists.some(artist => author === artist || author.split(/\s*[,&]\s*|\s+(?:feat\.?|ft\.?|x)\s+/).includes(artist))) {
+        return 'blocked';
+    }
+    if (policy.blockedKeywords.some(keyword => title.includes(keyword) || author.includes(keyword))) {
+        return 'blocked';
+    }
+    return null;
+}
+
+/**
+ * Explains a rejection reason to the requester.
+ * @param {string} reason - The reason code from addToQueue or checkAdmission.
+ * @param {QueuePolicy} policy - The guild's policy (for limits in the message).
+ * @returns {string} A short, user-facing explanation.
+ */
+function describeRejection(reason, policy) {
+    switch (reason) {
+        case 'duplicate': return 'already in the queue';
+        case 'queueFull': return `the queue is full (max ${config.music.maxQueueSize || 100})`;
+        case 'userLimit': return `you already have ${policy.maxTracksPerUser} upcoming track(s) queued`;
+        case 'tooLong': return `longer than ${policy.maxTrackLengthMinutes} minutes`;
+        case 'live': return 'live streams are not allowed here';
+        case 'blocked': return 'matches a blocked keyword or artist';
+        default: return 'could not be added';
+    }
+}
+
+/**
+ * Lists rejected tracks for an embed field, one line each with the reason.
+ * @param {Array<{song: object, reason: string}>} rejected - The rejected tracks (from enqueueSongs).
+ * @param {number} [maxListed=10] - Tracks listed individually before summarizing the rest.
+ * @returns {string} The field value (at most 1024 characters).
+ */
+function formatRejectedTracks(rejected, maxListed = 10) {
+    const lines = rejected.slice(0, maxListed).map(({ song, reason }) => `• ${song.title.substring(0, 60)} — ${reason}`);
+    if (rejected.length > maxListed) lines.push(`...and ${rejected.length - maxListed} more`);
+    return lines.join('\n').substring(0, 1024);
+}
+
+/**
+ * Identifies who a track belongs to for fairness and limits.
+ * @param {object} song - The song object.
+ * @returns {string} The requester's user ID, or their display name for older entries without one.
+ */
+function requesterKey(song) {
+    return song.requesterId || song.requestedBy || 'Unknown';
+}
+
+/**
+ * Counts the upcoming tracks queued by a requester.
+ * @param {Array<object>} songs - The upcoming tracks.
+ * @param {string} key - The requester key (see requesterKey).
+ * @returns {number} The number of tracks.
+ */
+function countRequesterTracks(songs, key) {
+    return songs.filter(song => requesterKey(song) === key).length;
+}
+
+/**
+ * Finds where a new track goes in a fair queue. Each requester's n-th track belongs to round n,
+ * and the new track is placed at the end of its round, so everyone gets a turn before anyone's next one.
+ * @param {Array<object>} songs - The upcoming tracks.
+ * @param {object} song - The track being added.
+ * @returns {number} The index to insert at.
+ */
+function findFairInsertIndex(songs, song) {
+    const key = requesterKey(song);
+    const round = countRequesterTracks(songs, key) + 1;
+    const seen = new Map();
+    let insertAt = 0;
+    songs.forEach((queued, index) => {
+        const queuedKey = requesterKey(queued);
+        const queuedRound = (seen.get(queuedKey) || 0) + 1;
+        seen.set(queuedKey, queuedRound);
+        if (queuedRound <= round) insertAt = index + 1;
+    });
+    return insertAt;
+}
+
+/**
+ * Reorders tracks round-robin between requesters, keeping each requester's own order.
+ * Requesters take turns in the order they first appear.
+ * @param {Array<object>} songs - The upcoming tracks.
+ * @returns {Array<object>} A new, fairly ordered array.
+ */
+function orderFairly(songs) {
+    const byRequester = new Map();
+    for (const song of songs) {
+        const key = requesterKey(song);
+        if (!byRequester.has(key)) byRequester.set(key, []);
+        byRequester.get(key).push(song);
+    }
+    const ordered = [];
+    const lists = [...byRequester.values()];
+    for (let round = 0; ordered.length < songs.length; round++) {
+        for (const list of lists) {
+            if (round < list.length) ordered.push(list[round]);
+        }
+    }
+    return ordered;
+}
+
+module.exports = {
+    getQueuePolicy,
+    setQueuePolicy,
+    checkAdmission,
+    describeRejection,
+    formatRejectedTracks,
+    requesterKey,
+    countRequesterTracks,
+    findFairInsertIndex,
+    orderFairly,
+};
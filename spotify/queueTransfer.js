@@ -0,0 +1,223 @@
+// spotify/queueTransfer.js
+// Queue export and import (/queue export, /queue import). Exports are JSON or (extended) M3U files;
+// imported entries are resolved again on a Lavalink node, since encoded tracks don't carry over
+// between Lavalink versions and sources.
+
+const axios = require('axios');
+const path = require('path');
+const logger = require('../utils/logger');
+const { loadQueryTracks, buildSong } = require('./trackLoader');
+
+// Identifies our JSON exports (other JSON files are accepted if they hold a list of tracks)
+const EXPORT_FORMAT = 'geminimusicbot-queue';
+const EXPORT_VERSION = 1;
+
+// Largest import file we download
+const MAX_IMPORT_FILE_BYTES = 1024 * 1024;
+
+// --- Export ---
+
+/**
+ * Gets the tracks to export: the current track (if any) followed by the upcoming ones.
+ * @param {object} queue - The guild queue object.
+ * @returns {Array<object>} The song objects.
+ */
+function getExportSongs(queue) {
+    return [queue.currentTrack, ...queue.songs].filter(Boolean);
+}
+
+/**
+ * Serializes the queue as JSON.
+ * @param {object} queue - The guild queue object.
+ * @param {string} guildName - Recorded in the file for reference.
+ * @returns {string} The file contents.
+ */
+function exportQueueAsJson(queue, guildName) {
+    const tracks = getExportSongs(queue).map(song => ({
+        title: song.title,
+        author: song.author || null,
+        url: song.url || null,
+        duration: song.duration,
+        durationMs: song.isStream ? null : song.rawDurationMs || null,
+        isStream: !!song.isStream,
+        source: song.source || null,
+        requestedBy: song.requestedBy || null,
+    }));
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        guild: guildName,
+        hasCurrentTrack: !!queue.currentTrack,
+        tracks,
+    }, null, 2);
+}
+
+/**
+ * Serializes the queue as an M3U playlist of track URLs.
+ * @param {object} queue - The guild queue object.
+ * @param {boolean} [extended=true] - Adds #EXTM3U/#EXTINF lines with each track's length and name.
+ * @returns {string} The file contents.
+ */
+function exportQueueAsM3u(queue, extended = true) {
+    const lines = extended ? ['#EXTM3U'] : [];
+    for (const song of getExportSongs(queue)) {
+        if (!song.url) continue; // Nothing to point the player at
+        if (extended) {
+            const seconds = song.isStream || !song.rawDurationMs ? -1 : Math.round(song.rawDurationMs / 1000);
+            const name = song.author ? `${song.author} - ${song.title}` : song.title;
+            lines.push(`#EXTINF:${seconds},${name.replace(/[\r\n]+/g, ' ')}`);
+        }
+        lines.push(song.url);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// --- Import ---
+
+/**
+ * Downloads an import file attached to a command.
+ * @param {import('discord.js').Attachment} attachment - The uploaded file.
+ * @returns {Promise<string>} The file contents.
+ * @throws {Error} If the file is too big or can't be downloaded.
+ */
+async function downloadImportFile(attachment) {
+    if (attachment.size > MAX_IMPORT_FILE_BYTES) {
+        throw new Error(`The file is too large (max ${MAX_IMPORT_FILE_BYTES / 1024} KB).`);
+    }
+    const response = await axios.get(attachment.url, { responseType: 'text', maxContentLength: MAX_IMPORT_FILE_BYTES, timeout: 15000 });
+    return response.data;
+}
+
+/**
+ * Parses a JSON export (ours, or any array of objects with a title or URL).
+ * @param {string} content - The file contents.
+ * @returns {Array<{title: string|null, author: string|null, url: string|null}>} The entries.
+ * @throws {Error} If the file isn't a track list.
+ */
+function parseJsonEntries(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+    const tracks = Array.isArray(data) ? data : data?.tracks;
+    if (!Array.isArray(tracks)) {
+        throw new Error('The JSON file has no list of tracks.');
+    }
+    return tracks
+        .filter(track => track && typeof track === 'object')
+        .map(track => ({
+            title: typeof track.title === 'string' ? track.title : null,
+            author: typeof track.author === 'string' ? track.author : null,
+            url: typeof (track.url ?? track.uri) === 'string' ? (track.url ?? track.uri) : null,
+        }))
+        .filter(entry => entry.title || entry.url);
+}
+
+/**
+ * Parses an M3U or extended M3U playlist. Local file paths are kept by name only, to be searched for.
+ * @param {string} content - The file contents.
+ * @returns {Array<{title: string|null, author: string|null, url: string|null}>} The entries.
+ */
+function parseM3uEntries(content) {
+    const entries = [];
+    let pendingName = null; // From the #EXTINF line before a location
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        if (line.startsWith('#')) {
+            const extinf = line.match(/^#EXTINF:[^,]*,(.*)$/i);
+            if (extinf) pendingName = extinf[1].trim() || null;
+            continue;
+        }
+        if (/^https?:\/\//i.test(line)) {
+            entries.push({ title: pendingName, author: null, url: line });
+        } else {
+            // A local file: search for the #EXTINF name, or the file name without its extension
+            const fileName = path.basename(line.replace(/\\/g, '/'), path.extname(line));
+            entries.push({ title: pendingName || fileName, author: null, url: null });
+        }
+        pendingName = null;
+    }
+    return entries;
+}
+
+/**
+ * Parses an import file, picking the format from its name (or its contents).
+ * @param {string} fileName - The uploaded file name.
+ * @param {string} content - The file contents.
+ * @returns {Array<{title: string|null, author: string|null, url: string|null}>} The entries, in file order.
+ * @throws {Error} If the file can't be read as a track list.
+ */
+function parseImportFile(fileName, content) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    if (extension === '.json' || (!['.m3u', '.m3u8'].includes(extension) && /^\s*[[{]/.test(content))) {
+        return parseJsonEntries(content);
+    }
+    return parseM3uEntries(content);
+}
+
+/**
+ * Describes an import entry for messages and logs.
+ * @param {{title: string|null, author: string|null, url: string|null}} entry - The entry.
+ * @returns {string} Its name, or its URL if it has none.
+ */
+function describeEntry(entry) {
+    if (entry.title) return entry.author ? `${entry.author} - ${entry.title}` : entry.title;
+    return entry.url;
+}
+
+/**
+ * Resolves import entries on a Lavalink node, one at a time. Entries with a URL are loaded from it,
+ * falling back to a search by name if the URL no longer works.
+ * @param {import('shoukaku').Node} node - The node to load tracks on.
+ * @param {Array<object>} entries - The parsed entries.
+ * @param {import('discord.js').User} user - The user importing the file.
+ * @param {string} guildId - For logging context.
+ * @returns {Promise<{songs: Array<object>, unresolved: Array<{entry: object, reason: string}>}>} The built songs
+ *   (file order) and the entries that couldn't be loaded.
+ */
+async function resolveImportEntries(node, entries, user, guildId) {
+    const songs = [];
+    const unresolved = [];
+    for (const entry of entries) {
+        const queries = [entry.url, entry.title ? describeEntry(entry) : null].filter(Boolean);
+        let lastError = 'No match found';
+        let resolved = false;
+        for (const query of queries) {
+            const { tracks, errorMessage } = await loadQueryTracks(node, query, guildId);
+            if (tracks.length > 0) {
+                songs.push(buildSong(tracks[0], user)); // A playlist URL counts as one entry: take its first track
+                resolved = true;
+                break;
+            }
+            if (errorMessage) lastError = errorMessage;
+        }
+        if (!resolved) unresolved.push({ entry, reason: lastError });
+    }
+    logger.info(`[${guildId}] Resolved ${songs.length} of ${entries.length} imported entries.`);
+    return { songs, unresolved };
+}
+
+/**
+ * Formats unresolved import entries for an embed field.
+ * @param {Array<{entry: object, reason: string}>} unresolved - The entries that couldn't be loaded.
+ * @param {number} [maxListed=10] - How many to list before summarizing the rest.
+ * @returns {string} The field value.
+ */
+function formatUnresolvedEntries(unresolved, maxListed = 10) {
+    const lines = unresolved.slice(0, maxListed).map(({ entry, reason }) => `• ${describeEntry(entry).substring(0, 80)} — ${reason.substring(0, 60)}`);
+    if (unresolved.length > maxListed) lines.push(`…and ${unresolved.length - maxListed} more.`);
+    return lines.join('\n').substring(0, 1024);
+}
+
+module.exports = {
+    exportQueueAsJson,
+    exportQueueAsM3u,
+    downloadImportFile,
+    parseImportFile,
+    resolveImportEntries,
+    formatUnresolvedEntries,
+};
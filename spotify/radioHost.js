@@ -0,0 +1,151 @@
+// spotify/radioHost.js
+// Opt-in AI radio host. When a track starts, Samuel Jefferson introduces it in character with a line
+// from Gemini, posted to the queue's text channel and optionally spoken over the music. Intros are
+// rate limited per guild and cached per track and requester; if Gemini is unavailable, nothing is posted.
+
+const { EmbedBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const config = require('../config');
+const GuildSettings = require('../database/models/GuildSettings');
+const { generateOneShotText } = require('../ai/gemini');
+const { cleanTrackInfo } = require('./lyrics');
+const { synthesizeSpeech } = require('./tts');
+
+// `${trackKey}|${requesterId}` -> { text, createdAt }. Oldest entries first (Map insertion order)
+const introCache = new Map();
+// guildId -> time of the last intro
+const lastIntroAt = new Map();
+
+/**
+ * Gets a guild's radio host settings.
+ * @param {string} guildId - The ID of the guild.
+ * @returns {Promise<{enabled: boolean, speak: boolean}>} Whether intros are posted, and spoken.
+ */
+async function getRadioHostSettings(guildId) {
+    try {
+        const settings = await GuildSettings.findOne({ guildId: guildId }).lean();
+        return { enabled: !!settings?.music?.radioHost, speak: !!settings?.music?.radioHostSpeaks };
+    } catch (error) {
+        logger.warn(`[${guildId}] Could not load radio host settings: ${error.message}`);
+        return { enabled: false, speak: false };
+    }
+}
+
+/**
+ * Changes a guild's radio host settings.
+ * @param {string} guildId - The ID of the guild.
+ * @param {object} changes - The settings to change.
+ * @param {boolean} [changes.enabled] - Post intros.
+ * @param {boolean} [changes.speak] - Also speak them.
+ * @returns {Promise<{enabled: boolean, speak: boolean}>} The updated settings.
+ */
+async function setRadioHostSettings(guildId, { enabled, speak }) {
+    const update = {};
+    if (typeof enabled === 'boolean') update['music.radioHost'] = enabled;
+    if (typeof speak === 'boolean') update['music.radioHostSpeaks'] = speak;
+    const settings = await GuildSettings.findOneAndUpdate(
+        { guildId: guildId },
+        { $set: update },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    logger.info(`[${guildId}] Radio host settings changed: ${JSON.stringify(update)}`);
+    return { enabled: !!settings.music?.radioHost, speak: !!settings.music?.radioHostSpeaks };
+}
+
+/**
+ * Describes the current time of day for the host's greeting.
+ * @returns {string} 'morning', 'afternoon', 'evening' or 'late night'.
+ */
+function getTimeOfDay() {
+    const hour = parseInt(new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: config.radioHost.timeZone }).format(new Date()), 10);
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 17) return 'afternoon';
+    if (hour >= 17 && hour < 22) return 'evening';
+    return 'late night';
+}
+
+/**
+ * Builds the Gemini prompt for a track intro.
+ * @param {object} song - The song object.
+ * @returns {string} The prompt.
+ */
+function buildIntroPrompt(song) {
+    const { title, author } = cleanTrackInfo(song.title, song.author);
+    const requester = song.autoplay ? 'nobody in particular (autoplay chose it)' : (song.requestedBy || 'a listener').replace(/#\d{4}$/, '');
+    return [
+        config.gemini.personalities.default_founding_father,
+        '',
+        `You are now also the host of a music radio show on a Discord server. It is ${getTimeOfDay()}.`,
+        `Introduce the next track in character, in at most ${config.radioHost.maxWords || 45} words and one or two sentences.`,
+        `Track: "${title}"${author ? ` by ${author}` : ''}. Requested by ${requester}.`,
+        'Reply with the spoken intro only: no quotation marks, hashtags, emoji or stage directions, and do not invent facts about the song.',
+    ].join('\n');
+}
+
+/**
+ * Gets the intro for a track, from the cache or from Gemini.
+ * @param {object} song - The song object.
+ * @returns {Promise<string|null>} The intro, or null if Gemini is unavailable.
+ */
+async function getTrackIntro(song) {
+    const cacheKey = `${song.url || song.title}|${song.requesterId || 'autoplay'}`;
+    const cached = introCache.get(cacheKey);
+    if (cached && Date.now() - cached.createdAt < (config.radioHost.cacheMinutes || 360) * 60 * 1000) return cached.text;
+
+    const text = await generateOneShotText(buildIntroPrompt(song), { maxOutputTokens: 150 });
+    if (!text) return null;
+    const intro = text.replace(/^["'“]+|["'”]+$/g, '').replace(/\s+/g, ' ').trim().substring(0, 400);
+
+    introCache.delete(cacheKey); // Re-insert as newest
+    introCache.set(cacheKey, { text: intro, createdAt: Date.now() });
+    while (introCache.size > (config.radioHost.maxCachedIntros || 200)) introCache.delete(introCache.keys().next().value);
+    return intro;
+}
+
+/**
+ * Introduces the current track if the guild has the radio host on and isn't rate limited.
+ * Each song object is introduced once, so resuming it doesn't repeat the intro.
+ * @param {object} queue - The guild queue object.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @returns {Promise<void>}
+ */
+async function introduceTrack(queue, client) {
+    const guildId = queue.guildId;
+    const song = queue.currentTrack;
+    if (!song || queue.introducedTrack === song || !queue.textChannel) return;
+    queue.introducedTrack = song;
+
+    try {
+        const { enabled, speak } = await getRadioHostSettings(guildId);
+        if (!enabled) return;
+        const minInterval = (config.radioHost.minIntervalSeconds || 180) * 1000;
+        if (Date.now() - (lastIntroAt.get(guildId) || 0) < minInterval) return;
+        lastIntroAt.set(guildId, Date.now());
+
+        const intro = await getTrackIntro(song);
+        if (!intro || queue.currentTrack !== song || client.queues.get(guildId) !== queue) return; // No intro, or moved on meanwhile
+
+        const embed = new EmbedBuilder()
+            .setColor(config.colors.gemini)
+            .setAuthor({ name: `🎙️ ${config.botName} on the Air` })
+            .setDescription(intro)
+            .setFooter({ text: `Now playing: ${song.title}`.substring(0, 2048) });
+        await queue.textChannel.send({ embeds: [embed] });
+        logger.info(`[${guildId}] Radio host introduced "${song.title}".`);
+
+        if (speak) {
+            const { playInterjection } = require('./spotifyPlayer'); // Lazy: spotifyPlayer requires this module
+            const { url } = await synthesizeSpeech(intro, guildId);
+            if (queue.currentTrack === song) await playInterjection(queue, client, url);
+        }
+    } catch (error) {
+        // The host is a nicety; never let it disturb playback
+        logger.warn(`[${guildId}] Radio host intro failed for "${song.title}": ${error.message}`);
+    }
+}
+
+module.exports = {
+    getRadioHostSettings,
+    setRadioHostSettings,
+    introduceTrack,
+};
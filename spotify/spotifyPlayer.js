@@ -1,6 +1,23 @@
-const { EmbedBuilder } = require('discord.js');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const logger = require('../utils/logger');
 const config = require('../config');
+const GuildQueue = require('../database/models/GuildQueue');
+const GuildSettings = require('../database/models/GuildSettings');
+const { EMPTY_FILTERS } = require('./audioFilters');
+const { formatDuration, loadQueryTracks, buildSong, extractTracksFromLavalinkResponse } = require('./trackLoader');
+const { getControlChannelId, updateControlPanel } = require('./controlChannel');
+const { recordPlayedTrack, takeLastPlayed } = require('./playbackHistory');
+const { isAutoplayEnabled, findAutoplayTracks } = require('./autoplay');
+const { checkMusicPermission, checkPreviousPermission, resolveSkipRequest } = require('./musicPermissions');
+const { isStayInChannelEnabled, clearAloneTimeout } = require('./voicePresence');
+const { toggleLikedTrack } = require('./likes');
+const { resolveImportEntries } = require('./queueTransfer');
+const { markTrackStarted, recordPlayEvent } = require('./playStats');
+const { estimatePosition } = require('./nodeFailover');
+const { announceTrack } = require('./trackAnnouncements');
+const { introduceTrack } = require('./radioHost');
+const { waitForResumedPlayers, getResumedPlayer, claimResumedPlayer, discardUnclaimedPlayers } = require('./lavalinkSession');
+const { getQueuePolicy, checkAdmission, describeRejection, requesterKey, countRequesterTracks, findFairInsertIndex } = require('./queuePolicy');
 // Assuming User model and spotifyAuth are correctly set up if needed elsewhere
 // const User = require('../database/models/User');
 // const { getUserSpotifyApi } = require('./spotifyAuth');
@@ -8,6 +25,23 @@ const config = require('../config');
 
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
+// Loop modes for queue.loop
+const LOOP_MODES = Object.freeze({
+    OFF: 'off',       // Play through the queue once
+    TRACK: 'track',   // Repeat the current track
+    QUEUE: 'queue',   // Re-append finished tracks to the end of the queue
+});
+
+// Volume change per press of the NP volume buttons (percent)
+const VOLUME_STEP = 10;
+
+// How often the Now Playing progress bar is refreshed while a track plays
+const NP_PROGRESS_INTERVAL_MS = 15000;
+const PROGRESS_BAR_LENGTH = 16;
+
+// Minimum time between queue snapshots written to MongoDB (forced saves bypass this)
+const QUEUE_PERSIST_INTERVAL_MS = 10000;
+
 /**
  * Gets or creates a Lavalink player instance for a guild.
  * Attempts to join the voice channel if no player exists.
@@ -198,14 +232,29 @@ function setupPlayerListeners(player, client, guildId) {
     player.removeAllListeners('closed');
     player.removeAllListeners('error'); // General error listener
     player.removeAllListeners('ready'); // Ensure 'ready' listener is also managed
+    player.removeAllListeners('update');
 
     player.on('start', () => {
         logger.info(`[${guildId}] Player Event: Track started.`);
         const queue = client.queues?.get(guildId);
-        if (queue) {
+        if (queue?.interjection) {
+            // The speech clip starting, or the music coming back after it (see playInterjection)
+            if (queue.interjection.phase === 'resuming') {
+                clearInterjection(queue);
+                queue.playing = true;
+                updateNowPlayingMessage(queue);
+                startProgressUpdates(queue, client);
+            }
+        } else if (queue) {
             queue.playing = true;
+            queue.skipVotes.clear(); // Votes only count towards the track they were cast for
+            markTrackStarted(queue);
             logger.debug(`[${guildId}] Now playing: ${queue.currentTrack?.title}`);
             updateNowPlayingMessage(queue);
+            startProgressUpdates(queue, client);
+            persistQueueState(queue, true);
+            announceTrack(queue, client); // Spoken "Next up" if the guild and requester want it
+            introduceTrack(queue, client); // AI radio host intro if the guild turned it on
         } else {
              logger.warn(`[${guildId}] Player 'start' event fired, but no queue found.`);
         }
@@ -216,31 +265,14 @@ function setupPlayerListeners(player, client, guildId) {
         const reason = data?.reason || 'Unknown';
         logger.info(`[${guildId}] Player Event: Track ended. Reason: ${reason}`);
         const queue = client.queues?.get(guildId);
-        if (queue) {
-            const endedTrack = queue.currentTrack;
-            // Only advance queue if track wasn't replaced or stopped manually
-            if (reason !== 'REPLACED' && reason !== 'STOPPED') {
-                 queue.currentTrack = null;
-                 queue.playing = false;
-                 // Handle looping
-                 if (queue.loop && endedTrack) {
-                     logger.info(`[${guildId}] Looping track "${endedTrack.title}". Adding back to queue start.`);
-                     // Add back to the beginning for single track loop
-                     queue.songs.unshift(endedTrack);
-                 }
-                 // Try to play next only if not stopped
-                 if (queue.songs.length > 0) {
-                     playNextTrack(guildId, client.queues, client);
-                 } else {
-                     handleQueueEnd(queue, queues, client);
-                 }
-            } else if (reason === 'STOPPED') {
-                 // If stopped manually, ensure queue state is clean
-                 queue.currentTrack = null;
-                 queue.playing = false;
-                 handleQueueEnd(queue, queues, client); // Treat stop as queue end for cleanup
-            }
-             // If REPLACED, playNextTrack was likely called manually, do nothing here.
+        if (queue?.interjection?.phase === 'resuming' && data?.track?.encoded !== queue.interjection.speechTrack) {
+            clearInterjection(queue); // The music ended before its start was reported; handle it as usual
+        }
+        if (queue?.interjection) {
+            // The music track being replaced by speech is ignored; the speech ending brings the music back
+            if (data?.track?.encoded === queue.interjection.speechTrack) finishInterjection(queue, client, reason);
+        } else if (queue) {
+            handleTrackEnd(queue, client, reason);
         } else {
              logger.warn(`[${guildId}] Player 'end' event fired, but no queue found.`);
         }
@@ -252,19 +284,22 @@ function setupPlayerListeners(player, client, guildId) {
         const severity = error?.severity || 'Unknown Severity';
         logger.error(`[${guildId}] Player Event: Exception! Severity: ${severity}, Message: ${errorMsg}`, error?.cause || error);
         const queue = client.queues?.get(guildId);
+        if (queue?.interjection && error?.track?.encoded === queue.interjection.speechTrack) return; // Its 'end' event brings the music back
         if (queue?.textChannel) {
             queue.textChannel.send(`💥 Playback Error: ${errorMsg}. Severity: ${severity}. Skipping track.`).catch(() => {});
         }
         // Attempt to recover by playing the next track
         if (queue) {
             const failedTrack = queue.currentTrack;
+            recordPlayEvent(queue, false, false); // Counts what played before the error
             queue.currentTrack = null;
             queue.playing = false;
-            if (queue.loop && failedTrack) queue.songs.push(failedTrack); // Add back to end if looping failed track
+            // Only queue loop keeps a failed track around; repeating it under track loop would fail forever
+            if (queue.loop === LOOP_MODES.QUEUE && failedTrack) queue.songs.push(failedTrack);
             if (queue.songs.length > 0) {
-                playNextTrack(guildId, queues, client);
+                playNextTrack(guildId, client.queues, client);
             } else {
-                handleQueueEnd(queue, queues, client);
+                handleQueueEnd(queue, client.queues, client);
             }
         }
     });
@@ -295,11 +330,68 @@ function setupPlayerListeners(player, client, guildId) {
          // This event indicates player.connection is populated.
          // If playNextTrack was waiting, it should now proceed.
      });
+
+     player.on('update', () => {
+         // Lavalink sends position updates every few seconds; use them to keep the saved position fresh
+         const queue = client.queues?.get(guildId);
+         if (queue) queue.positionUpdatedAt = Date.now(); // Lets node failover estimate the position in between
+         if (queue?.currentTrack) persistQueueState(queue);
+     });
+}
+
+/**
+ * Moves a queue on after its current track ends: records the play, applies the loop mode, and plays
+ * the next track (or ends the queue).
+ * @param {object} queue - The guild queue object.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @param {string} reason - The Lavalink end reason.
+ */
+function handleTrackEnd(queue, client, reason) {
+    const guildId = queue.guildId;
+    const endedTrack = queue.currentTrack;
+    const endReason = reason.toUpperCase();
+    if (endReason !== 'LOADFAILED') recordPlayEvent(queue, endReason === 'FINISHED', endReason === 'STOPPED' || endReason === 'REPLACED');
+    // /previous already put this track back in the queue, so it is neither history nor looped
+    const previousRequested = queue.previousRequested;
+    queue.previousRequested = false;
+    const loopRequeued = queue.loopRequeued;
+    queue.loopRequeued = false;
+    if (endedTrack && !previousRequested) recordPlayedTrack(guildId, endedTrack);
+    // Only advance queue if track wasn't replaced or stopped manually
+    if (reason !== 'REPLACED' && reason !== 'STOPPED') {
+         queue.currentTrack = null;
+         queue.playing = false;
+         // Handle looping
+         if (endedTrack && !previousRequested) {
+             if (queue.loop === LOOP_MODES.TRACK && !queue.skipRequested) {
+                 logger.info(`[${guildId}] Looping track "${endedTrack.title}". Adding back to queue start.`);
+                 // Add back to the beginning for single track loop
+                 queue.songs.unshift(endedTrack);
+             } else if (queue.loop === LOOP_MODES.QUEUE && !loopRequeued) {
+                 logger.info(`[${guildId}] Queue loop: re-appending "${endedTrack.title}" to the end of the queue.`);
+                 queue.songs.push(endedTrack);
+             }
+         }
+         queue.skipRequested = false;
+         // Try to play next only if not stopped
+         if (queue.songs.length > 0) {
+             playNextTrack(guildId, client.queues, client);
+         } else {
+             handleQueueEnd(queue, client.queues, client);
+         }
+    } else if (reason === 'STOPPED') {
+         // If stopped manually, ensure queue state is clean
+         queue.currentTrack = null;
+         queue.playing = false;
+         queue.skipRequested = false;
+         handleQueueEnd(queue, client.queues, client); // Treat stop as queue end for cleanup
+    }
+     // If REPLACED, playNextTrack was likely called manually, do nothing here.
 }
 
 /**
  * Creates the basic queue structure for a guild.
- * @param {import('discord.js').Interaction} interaction - The interaction that triggered queue creation.
+ * @param {import('discord.js').Interaction | {guild: import('discord.js').Guild, channel: import('discord.js').TextChannel, client: import('discord.js').Client}} interaction - The interaction that triggered queue creation (or an equivalent context when restoring).
  * @param {import('discord.js').VoiceChannel} voiceChannel - The voice channel the bot is in.
  * @returns {object} The guild queue object.
  */
@@ -313,11 +405,29 @@ function createGuildQueue(interaction, voiceChannel) {
         lavalinkPlayer: null, // Will be assigned by getLavalinkPlayer
         songs: [],
         playing: false,
-        loop: false, // 'false' (no loop), 'track' (loop current), 'queue' (loop whole queue) - Simplified to boolean for now
+        loop: LOOP_MODES.OFF, // See LOOP_MODES: 'off', 'track' (loop current), 'queue' (loop whole queue)
+        skipRequested: false, // Set when a track is skipped so track loop doesn't replay it
+        skipVotes: new Set(), // IDs of members who voted to skip the current track (see musicPermissions)
+        previousRequested: false, // Set by playPreviousTrack; the ending track was already re-queued
+        loopRequeued: false, // Set by /queue skipto under queue loop; the ending track was already re-appended
+        autoplayPending: false, // Set while autoplay looks for related tracks (see tryAutoplay)
+        policy: null, // { fairQueue, maxTracksPerUser } from guild settings. Resolved on the first addToQueue
+        activeFilter: null, // { name, settings } applied via /filter; re-sent with every track
+        volume: null, // Player volume (1-100). Resolved from guild settings when the first track plays
+        progressInterval: null, // Timer refreshing the NP progress bar (see startProgressUpdates)
         currentTrack: null,
         nowPlayingMessage: null,
         leaveTimeout: null,
+        aloneTimeout: null, // Leaves the voice channel after everyone left (see voicePresence)
+        pausedWhileAlone: false, // Playback was paused because nobody was listening; resumed when someone returns
+        awaitingNode: false, // The Lavalink node went away and no other was available (see nodeFailover)
+        positionUpdatedAt: 0, // When Lavalink last reported the player position
+        trackStartedAt: 0, // When the current track started; cleared once its play is recorded (see playStats)
+        announcedTrack: null, // The song last announced by voice, so resuming it isn't announced again (see trackAnnouncements)
+        introducedTrack: null, // The song the radio host last introduced (see radioHost)
+        interjection: null, // Speech playing over the music: { phase, speechTrack, position, paused, filters, timeout } (see playInterjection)
         processingNext: false, // Flag to prevent race conditions in playNextTrack
+        lastPersistedAt: 0, // Timestamp of the last MongoDB snapshot (see persistQueueState)
     };
     // Ensure the global queues map exists
     interaction.client.queues = interaction.client.queues || new Map();
@@ -326,13 +436,15 @@ function createGuildQueue(interaction, voiceChannel) {
 }
 
 /**
- * Adds a song object to the guild's queue.
+ * Adds a song object to the guild's queue, applying the guild's admission rules and queue policy.
  * @param {import('discord.js').Interaction} interaction - The interaction context.
  * @param {Map} queues - The global queues map.
  * @param {object} songData - The song object to add.
- * @returns {{addedCount: number}} - Number of tracks actually added (0 or 1).
+ * @param {object} [options={}] - Add options.
+ * @param {boolean} [options.fromPlaylist=false] - The track is part of a playlist (duplicates follow config.music.allowPlaylistDuplicates).
+ * @returns {{addedCount: number, reason?: 'duplicate'|'queueFull'|'userLimit'|'tooLong'|'live'|'blocked'}} - Number of tracks actually added (0 or 1), and why not.
  */
-async function addToQueue(interaction, queues, songData) {
+async function addToQueue(interaction, queues, songData, options = {}) {
     const guildId = interaction.guild.id;
     const queue = queues.get(guildId);
     if (!queue) {
@@ -342,24 +454,45 @@ async function addToQueue(interaction, queues, songData) {
         return { addedCount: 0 };
     }
 
+    if (!queue.policy) queue.policy = await getQueuePolicy(guildId);
+    const { fairQueue, maxTracksPerUser, allowPlaylistDuplicates } = queue.policy;
+
+    // Length, live stream and blocklist rules (see spotify/queuePolicy.js)
+    const rejection = checkAdmission(songData, queue.policy);
+    if (rejection) {
+        logger.debug(`[${guildId}] Rejected "${songData.title}" (${rejection}).`);
+        return { addedCount: 0, reason: rejection };
+    }
+
     // Basic duplicate check based on Lavalink track ID if available
     const duplicate = queue.songs.some(s => s.lavalinkTrack && songData.lavalinkTrack && s.lavalinkTrack === songData.lavalinkTrack);
-    if (duplicate) {
+    if (duplicate && !(options.fromPlaylist && allowPlaylistDuplicates)) {
         logger.debug(`[${guildId}] Skipping duplicate track: "${songData.title}".`);
         // Optionally inform user about duplicate
         // await interaction.followUp({ content: `"${songData.title}" is already in the queue.`, ephemeral: true });
-        return { addedCount: 0 };
+        return { addedCount: 0, reason: 'duplicate' };
     }
 
     // Check queue size limit
     const maxSize = config.music.maxQueueSize || 100;
     if (queue.songs.length >= maxSize) {
         logger.warn(`[${guildId}] Queue is full (limit: ${maxSize}). Cannot add "${songData.title}".`);
-        await interaction.followUp({ content: `The queue is full (max ${maxSize} songs). Please wait or clear some tracks.`, ephemeral: true }).catch(()=>{});
-        return { addedCount: 0 };
+        // Message contexts (control channel) have no followUp; the caller reports the result there
+        await interaction.followUp?.({ content: `The queue is full (max ${maxSize} songs). Please wait or clear some tracks.`, ephemeral: true }).catch(()=>{});
+        return { addedCount: 0, reason: 'queueFull' };
+    }
+
+    // Per-user limit and fair ordering
+    if (maxTracksPerUser > 0 && !songData.autoplay && countRequesterTracks(queue.songs, requesterKey(songData)) >= maxTracksPerUser) {
+        logger.debug(`[${guildId}] ${songData.requestedBy} reached the per-user limit (${maxTracksPerUser}). Cannot add "${songData.title}".`);
+        return { addedCount: 0, reason: 'userLimit' };
     }
 
-    queue.songs.push(songData);
+    if (fairQueue) {
+        queue.songs.splice(findFairInsertIndex(queue.songs, songData), 0, songData);
+    } else {
+        queue.songs.push(songData);
+    }
     logger.debug(`[${guildId}] Added "${songData.title}" to queue. New queue size: ${queue.songs.length}`);
 
     // Clear leave timeout if adding to an empty queue that was about to disconnect
@@ -369,9 +502,350 @@ async function addToQueue(interaction, queues, songData) {
         queue.leaveTimeout = null;
     }
 
+    persistQueueState(queue);
     return { addedCount: 1 };
 }
 
+/**
+ * Resolves a query through Lavalink, adds the results to the guild queue and starts playback if idle.
+ * This is the shared request pipeline behind /play and the music control channel.
+ * @param {import('discord.js').Interaction | import('discord.js').Message} context - The interaction or message that made the request.
+ * @param {import('discord.js').User} user - The requesting user.
+ * @param {import('discord.js').VoiceChannel} voiceChannel - The requester's voice channel.
+ * @param {string} query - Song name, search term or URL.
+ * @returns {Promise<{error?: string, queue?: object, addedCount?: number, foundCount?: number, playlistInfo?: object, lastSong?: object, rejected?: Array<{song: object, reason: string}>}>}
+ *   The outcome; `error` holds a user-facing message when nothing was queued.
+ */
+async function queueTracksFromQuery(context, user, voiceChannel, query) {
+    const client = context.client;
+    const guildId = context.guild.id;
+
+    const player = await getLavalinkPlayer(client, guildId, voiceChannel.id, context.channel);
+    if (!player) {
+        return { error: 'Failed to connect to voice or Lavalink node. Please try again.' };
+    }
+    // Ensure queue structure exists
+    let queue = client.queues?.get(guildId);
+    if (!queue) queue = createGuildQueue(context, voiceChannel);
+    queue.lavalinkPlayer = player; // Ensure player is linked
+
+    const { tracks, playlistInfo, errorMessage } = await loadQueryTracks(player.node, query, guildId);
+    if (errorMessage) return { error: `Error loading track(s): ${errorMessage}` };
+    if (tracks.length === 0) return { error: `Could not find any tracks matching "${query}".` };
+
+    const songs = tracks.map(trackData => buildSong(trackData, user));
+    const result = await enqueueSongs(context, voiceChannel, songs, { fromPlaylist: !!playlistInfo });
+    return { ...result, foundCount: tracks.length, playlistInfo };
+}
+
+/**
+ * Resolves the entries of an imported queue file on the guild's Lavalink node and queues them in order.
+ * @param {import('discord.js').Interaction} context - The interaction that made the request.
+ * @param {import('discord.js').User} user - The user importing the file (recorded as requester).
+ * @param {import('discord.js').VoiceChannel} voiceChannel - The requester's voice channel.
+ * @param {Array<object>} entries - The parsed entries (see queueTransfer.parseImportFile).
+ * @returns {Promise<object>} The enqueueSongs outcome, plus `unresolved` entries that couldn't be loaded.
+ */
+async function queueImportedEntries(context, user, voiceChannel, entries) {
+    const guildId = context.guild.id;
+    const player = await getLavalinkPlayer(context.client, guildId, voiceChannel.id, context.channel);
+    if (!player) {
+        return { error: 'Failed to connect to voice or Lavalink node. Please try again.', unresolved: [] };
+    }
+
+    const { songs, unresolved } = await resolveImportEntries(player.node, entries, user, guildId);
+    if (songs.length === 0) {
+        return { error: 'None of the entries in the file could be loaded.', unresolved };
+    }
+    const result = await enqueueSongs(context, voiceChannel, songs, { fromPlaylist: true });
+    return { ...result, unresolved };
+}
+
+/**
+ * Adds already-built song objects to the guild queue and starts playback if idle.
+ * Used for tracks that don't need resolving again (history, saved playlists).
+ * @param {import('discord.js').Interaction | import('discord.js').Message} context - The interaction or message that made the request.
+ * @param {import('discord.js').VoiceChannel} voiceChannel - The requester's voice channel.
+ * @param {Array<object>} songs - The song objects to add.
+ * @param {object} [options={}] - Passed on to addToQueue (e.g. `fromPlaylist`).
+ * @returns {Promise<{error?: string, queue?: object, addedCount?: number, lastSong?: object, rejected: Array<{song: object, reason: string}>}>}
+ *   The outcome; `error` holds a user-facing message when nothing was queued, `rejected` lists every track that was not added and why.
+ */
+async function enqueueSongs(context, voiceChannel, songs, options = {}) {
+    const client = context.client;
+    const guildId = context.guild.id;
+
+    const player = await getLavalinkPlayer(client, guildId, voiceChannel.id, context.channel);
+    if (!player) {
+        return { error: 'Failed to connect to voice or Lavalink node. Please try again.' };
+    }
+    let queue = client.queues?.get(guildId);
+    if (!queue) queue = createGuildQueue(context, voiceChannel);
+    queue.lavalinkPlayer = player;
+
+    let addedCount = 0;
+    let lastSong = null;
+    const rejected = [];
+    for (const [index, song] of songs.entries()) {
+        const { addedCount: added, reason } = await addToQueue(context, client.queues, song, options); // Applies the admission rules
+        if (added) {
+            addedCount += added;
+            lastSong = song;
+            continue;
+        }
+        rejected.push({ song, reason: describeRejection(reason, queue.policy) });
+        if (reason === 'queueFull' || reason === 'userLimit') {
+            // Every remaining track would be rejected for the same reason
+            for (const remaining of songs.slice(index + 1)) rejected.push({ song: remaining, reason: describeRejection(reason, queue.policy) });
+            logger.warn(`[${guildId}] Stopped adding tracks (${reason}). Added ${addedCount} of ${songs.length}.`);
+            break;
+        }
+    }
+    if (addedCount === 0) {
+        const reason = songs.length === 1 ? rejected[0].reason : 'none of the tracks could be added';
+        return { error: `Not added: ${reason}.`, rejected };
+    }
+
+    if (!queue.currentTrack && !queue.processingNext) {
+        logger.info(`[${guildId}] Player idle, starting playback after request.`);
+        await playNextTrack(guildId, client.queues, client);
+    } else {
+        await updateNowPlayingMessage(queue); // Refresh the queue count
+    }
+
+    return { queue, addedCount, lastSong, rejected };
+}
+
+/**
+ * Skips the current track. The 'end' listener then plays the next one (or ends the queue).
+ * @param {object} queue - The guild queue object (with a connected player).
+ * @returns {Promise<void>}
+ */
+async function skipCurrentTrack(queue) {
+    queue.skipRequested = true; // Let the 'end' listener move past a looped track
+    endTrackAfterInterjection(queue);
+    await queue.lavalinkPlayer.stopTrack();
+}
+
+/**
+ * Moves the current track to a position, keeping its pause state.
+ * @param {object} queue - The guild queue object (with a connected player).
+ * @param {number} position - The position in milliseconds.
+ * @returns {Promise<void>}
+ */
+async function seekCurrentTrack(queue, position) {
+    if (queue.interjection?.phase === 'speaking') {
+        queue.interjection.position = position; // Seeking now would move the speech; the music resumes here instead
+        return;
+    }
+    // player.seekTo() would mark the player as unpaused locally, even though Lavalink stays paused
+    await queue.lavalinkPlayer.update({ position }, true);
+    queue.positionUpdatedAt = Date.now(); // The position is known exactly until Lavalink's next report
+    await persistQueueState(queue, true);
+}
+
+/**
+ * Whether the queue's music is paused. While speech plays, this is the state the music comes back in.
+ * @param {object} queue - The guild queue object.
+ * @returns {boolean} True if paused.
+ */
+function isQueuePaused(queue) {
+    if (queue.interjection?.phase === 'speaking') return queue.interjection.paused;
+    return !!queue.lavalinkPlayer?.paused;
+}
+
+/**
+ * Pauses or resumes the music. While speech plays, the speech carries on and the music comes back in
+ * the requested state once it ends.
+ * @param {object} queue - The guild queue object (with a connected player).
+ * @param {boolean} paused - Whether to pause.
+ * @returns {Promise<void>}
+ */
+async function setQueuePaused(queue, paused) {
+    if (queue.interjection?.phase === 'speaking') {
+        queue.interjection.paused = paused;
+        return;
+    }
+    await queue.lavalinkPlayer.setPaused(paused);
+}
+
+/**
+ * Stops playback for good: clears the queue and its saved snapshot, and leaves the voice channel.
+ * @param {object} queue - The guild queue object.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @returns {Promise<void>}
+ */
+async function stopPlayback(queue, client) {
+    const guildId = queue.guildId;
+    queue.songs = [];
+    queue.loop = LOOP_MODES.OFF;
+    recordPlayEvent(queue, false, false); // The 'end' event won't find the queue any more
+    queue.currentTrack = null;
+    queue.playing = false;
+    stopProgressUpdates(queue);
+    if (queue.leaveTimeout) {
+        clearTimeout(queue.leaveTimeout);
+        queue.leaveTimeout = null;
+    }
+    clearAloneTimeout(queue);
+    clearInterjection(queue);
+    // Remove the queue first so the player's 'end' event doesn't try to continue (or autoplay)
+    client.queues.delete(guildId);
+    await clearQueueState(guildId); // Don't resume a stopped queue after a restart
+
+    try {
+        await client.shoukaku.leaveVoiceChannel(guildId); // Destroys the player
+    } catch (error) {
+        logger.error(`[${guildId}] Error leaving voice channel on stop:`, error);
+    }
+    queue.lavalinkPlayer = null;
+    await updateNowPlayingMessage(queue, true); // Also refreshes the control panel
+}
+
+// --- Interjections (speech over the music) ---
+
+/**
+ * Plays a short audio clip (e.g. TTS) in place of the music, then resumes the current track at the
+ * same position with its pause state and filters. Only one clip plays at a time.
+ * @param {object} queue - The guild queue object (with a connected player).
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @param {string} audioUrl - A URL Lavalink can load (its http source must be enabled).
+ * @returns {Promise<boolean>} False if another clip is already playing.
+ * @throws {Error} If Lavalink can't load or play the clip.
+ */
+async function playInterjection(queue, client, audioUrl) {
+    const guildId = queue.guildId;
+    const player = queue.lavalinkPlayer;
+    if (!player) throw new Error('The music player is not available.');
+    if (queue.interjection) return false;
+
+    const result = await player.node.rest.resolve(audioUrl);
+    const [speech] = extractTracksFromLavalinkResponse(result, guildId);
+    if (!speech?.encoded) throw new Error('Lavalink could not load the speech audio.');
+
+    queue.interjection = {
+        phase: 'speaking',
+        speechTrack: speech.encoded,
+        position: queue.currentTrack ? estimatePosition(queue, player) : 0, // Where the music picks up again
+        paused: player.paused,
+        filters: queue.activeFilter?.settings || EMPTY_FILTERS, // Shoukaku's player.filters misses filters sent over REST
+        // In case Lavalink never reports the clip ending
+        timeout: setTimeout(() => finishInterjection(queue, client, 'TIMEOUT'), (config.tts.maxSpeechSeconds || 60) * 1000),
+    };
+    stopProgressUpdates(queue);
+    logger.info(`[${guildId}] Interjecting speech${queue.currentTrack ? ` over "${queue.currentTrack.title}" at ${queue.interjection.position}ms` : ''}.`);
+
+    try {
+        // Speech is played clean: no filters, and never paused
+        await player.playTrack({ track: { encoded: speech.encoded }, position: 0, paused: false, filters: EMPTY_FILTERS });
+    } catch (error) {
+        await finishInterjection(queue, client, 'FAILED');
+        throw error;
+    }
+    return true;
+}
+
+/**
+ * Brings the music back after an interjection ends.
+ * @param {object} queue - The guild queue object.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @param {string} reason - Why the speech ended (Lavalink end reason, 'TIMEOUT' or 'FAILED').
+ */
+async function finishInterjection(queue, client, reason) {
+    const interjection = queue.interjection;
+    if (!interjection || interjection.phase !== 'speaking') return;
+    clearTimeout(interjection.timeout);
+    const guildId = queue.guildId;
+    const player = queue.lavalinkPlayer;
+
+    // Something else already started playing over the speech (e.g. /play while idle)
+    if (reason.toUpperCase() === 'REPLACED' || !player || client.queues.get(guildId) !== queue) {
+        clearInterjection(queue);
+        return;
+    }
+
+    if (interjection.endTrack && queue.currentTrack) {
+        // Skipped (or gone back from) during the speech: the music track ends here instead of resuming
+        clearInterjection(queue);
+        logger.info(`[${guildId}] Speech ended (${reason}). Moving past "${queue.currentTrack.title}".`);
+        handleTrackEnd(queue, client, 'stopped'); // The next track is played with the queue's filters
+        return;
+    }
+
+    if (!queue.currentTrack) {
+        clearInterjection(queue);
+        await player.playTrack({ track: { encoded: null }, filters: interjection.filters }).catch(() => {});
+        if (queue.songs.length > 0) playNextTrack(guildId, client.queues, client);
+        else handleQueueEnd(queue, client.queues, client);
+        return;
+    }
+
+    interjection.phase = 'resuming';
+    try {
+        await player.playTrack({
+            track: { encoded: queue.currentTrack.lavalinkTrack },
+            position: interjection.position,
+            paused: interjection.paused,
+            filters: interjection.filters,
+        });
+        logger.info(`[${guildId}] Speech ended (${reason}). Resumed "${queue.currentTrack.title}" at ${interjection.position}ms.`);
+        if (interjection.paused) {
+            // A paused track may not report starting; restore the display now
+            clearInterjection(queue);
+            updateNowPlayingMessage(queue);
+        }
+    } catch (error) {
+        logger.error(`[${guildId}] Could not resume the music after speech:`, error);
+        clearInterjection(queue);
+        queue.currentTrack = null;
+        if (queue.songs.length > 0) playNextTrack(guildId, client.queues, client);
+        else handleQueueEnd(queue, client.queues, client);
+    }
+}
+
+/**
+ * Makes a playing interjection end the music track instead of resuming it, for actions that stop the
+ * track (skip, previous) while the speech is playing. Stopping the player then only stops the speech.
+ * @param {object} queue - The guild queue object.
+ */
+function endTrackAfterInterjection(queue) {
+    if (queue.interjection?.phase === 'speaking') queue.interjection.endTrack = true;
+}
+
+/**
+ * Forgets the interjection state of a queue.
+ * @param {object} queue - The guild queue object.
+ */
+function clearInterjection(queue) {
+    if (!queue.interjection) return;
+    clearTimeout(queue.interjection.timeout);
+    queue.interjection = null;
+}
+
+/**
+ * Goes back to the most recently played track. The current track (if any) is put back at the front
+ * of the queue so it plays again afterwards.
+ * @param {object} queue - The guild queue object (with a connected player).
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @returns {Promise<object|null>} The track being played, or null if the history is empty.
+ */
+async function playPreviousTrack(queue, client) {
+    const previousTrack = takeLastPlayed(queue.guildId);
+    if (!previousTrack) return null;
+
+    if (queue.currentTrack) {
+        queue.songs.unshift(previousTrack, queue.currentTrack);
+        queue.previousRequested = true;
+        endTrackAfterInterjection(queue);
+        await queue.lavalinkPlayer.stopTrack(); // 'end' listener plays the previous track next
+    } else {
+        queue.songs.unshift(previousTrack);
+        await playNextTrack(queue.guildId, client.queues, client);
+    }
+    persistQueueState(queue, true);
+    return previousTrack;
+}
+
 /**
  * Plays the next track in the queue. Handles getting the player and playing via Lavalink.
  * Uses node.rest.updatePlayer directly for more control over payload.
@@ -379,8 +853,11 @@ async function addToQueue(interaction, queues, songData) {
  * @param {string} guildId - The guild ID.
  * @param {Map} queues - The global queues map.
  * @param {import('discord.js').Client} client - The Discord client.
+ * @param {object} [options={}] - Optional playback overrides for this track only.
+ * @param {number} [options.position=0] - Position in ms to start the track at (used when restoring a queue).
+ * @param {boolean} [options.paused] - Start the track paused.
  */
-async function playNextTrack(guildId, queues, client) {
+async function playNextTrack(guildId, queues, client, options = {}) {
     const queue = queues.get(guildId);
     if (!queue) {
         logger.info(`[${guildId}] playNextTrack called but no queue found.`);
@@ -439,13 +916,17 @@ async function playNextTrack(guildId, queues, client) {
              throw new Error('Missing player connection details before updatePlayer');
         }
 
+        // New sessions start at the guild's remembered volume
+        if (queue.volume == null) queue.volume = await getGuildDefaultVolume(guildId);
+
         await player.node.rest.updatePlayer({
             guildId: guildId,
             data: {
                 encodedTrack: queue.currentTrack.lavalinkTrack,
-                position: 0, // Start from the beginning
-                volume: player.volume, // Keep current volume
-                filters: player.filters, // Keep current filters (if any)
+                position: options.position || 0, // Start from the beginning unless resuming
+                ...(typeof options.paused === 'boolean' && { paused: options.paused }),
+                volume: queue.volume, // Keep the queue's volume across tracks
+                filters: queue.activeFilter?.settings || player.filters, // Keep the queue's filter set across tracks
                 voice: { // Include voice state in the data payload for Lavalink v4 update
                     token: player.connection.token,
                     endpoint: player.connection.endpoint,
@@ -456,6 +937,9 @@ async function playNextTrack(guildId, queues, client) {
         });
 
         logger.info(`[${guildId}] Lavalink updatePlayer command issued successfully for: "${queue.currentTrack.title}"`);
+        // Shoukaku doesn't see REST updates; reset its position so the progress bar doesn't start from the last track's
+        player.position = options.position || 0;
+        queue.positionUpdatedAt = Date.now();
         // Note: The actual 'start' event confirms playback has begun.
         queue.processingNext = false; // Reset flag after successful play call
     } catch (error) {
@@ -475,7 +959,7 @@ async function playNextTrack(guildId, queues, client) {
             queue.songs.unshift(queue.currentTrack);
             queue.currentTrack = null;
             queue.processingNext = false; // Reset flag before retrying
-            playNextTrack(guildId, queues, client); // Retry playing the track
+            playNextTrack(guildId, queues, client, options); // Retry playing the track
             return; // Exit this attempt, the retry will handle it
         } else {
             logger.error(`[${guildId}] Failed to refresh player connection after playback error.`);
@@ -488,7 +972,7 @@ async function playNextTrack(guildId, queues, client) {
         // If refresh failed or wasn't attempted, proceed to skip
         const failedTrack = queue.currentTrack;
         queue.currentTrack = null;
-        if (queue.loop && failedTrack) queue.songs.push(failedTrack); // Add back to end if looping
+        if (queue.loop === LOOP_MODES.QUEUE && failedTrack) queue.songs.push(failedTrack); // Add back to end if looping the queue
 
         // Reset flag and try next track
         queue.processingNext = false;
@@ -509,6 +993,10 @@ async function updateNowPlayingMessage(queue, isFinished = false) {
          return;
     }
 
+    // Keep the control channel panel in sync; it replaces the NP message when requests come from that channel
+    updateControlPanel(queue.textChannel.client, queue.guildId);
+    if (queue.textChannel.id === await getControlChannelId(queue.guildId)) return;
+
     // If playback is finished, delete the existing message if it exists
     if (isFinished) {
         if (queue.nowPlayingMessage) {
@@ -533,13 +1021,15 @@ async function updateNowPlayingMessage(queue, isFinished = false) {
     }
 
     const musicColor = config?.colors?.music || 0xCCCCCC; // Default color
-    // Get current position safely, default to 0 if not playing/paused
-    // Add extra check for player state before accessing position
+    // Get current position safely, default to 0 if it can't be read
     let currentPositionMs = 0;
     try {
-         // Check if player exists and has a valid state before accessing position
-         if (player && player.state !== 'DESTROYED' && (player.playing || player.paused)) {
-              currentPositionMs = player.position;
+         // playNextTrack starts tracks over REST, so Shoukaku's player.track stays null; the queue knows what's playing.
+         // Lavalink reports the position every few seconds, so estimate it in between (and hold it while speech plays)
+         if (queue.interjection?.phase === 'speaking') {
+              currentPositionMs = queue.interjection.position;
+         } else if (player) {
+              currentPositionMs = estimatePosition(queue, player);
          }
     } catch (posError) {
          logger.warn(`[${queue.guildId}] Error accessing player position: ${posError.message}. Defaulting to 0.`);
@@ -550,15 +1040,16 @@ async function updateNowPlayingMessage(queue, isFinished = false) {
 
     const embed = new EmbedBuilder()
         .setColor(musicColor)
-        .setTitle(player.paused ? '⏸️ Paused' : '▶️ Now Playing')
-        .setDescription(`**[${currentTrack.title}](${currentTrack.url})**`)
+        .setTitle(isQueuePaused(queue) ? '⏸️ Paused' : '▶️ Now Playing')
+        .setDescription(`**[${currentTrack.title}](${currentTrack.url})**\n${buildProgressBar(currentPositionMs, currentTrack)}`)
         .addFields(
             { name: 'Duration', value: `\`${currentPosition} / ${fullDuration}\``, inline: true },
-            { name: 'Requested By', value: String(currentTrack.requestedBy || 'Unknown'), inline: true },
+            { name: 'Requested By', value: currentTrack.autoplay ? '📻 Autoplay' : String(currentTrack.requestedBy || 'Unknown'), inline: true },
             // Add Volume field only if player volume is accessible and meaningful
-             { name: 'Volume', value: `${player.volume * 100}%`, inline: true },
-            { name: 'Looping', value: queue.loop ? '✅ Track' : '❌ Off', inline: true }, // Indicate track loop for now
-            { name: 'Queue', value: `\`${queue.songs.length}\``, inline: true }
+             { name: 'Volume', value: `${queue.volume ?? player.volume}%`, inline: true },
+            { name: 'Looping', value: formatLoopMode(queue.loop), inline: true },
+            { name: 'Queue', value: `\`${queue.songs.length}\``, inline: true },
+            { name: 'Filter', value: queue.activeFilter?.name || 'None', inline: true }
         )
         .setTimestamp();
 
@@ -575,7 +1066,7 @@ async function updateNowPlayingMessage(queue, isFinished = false) {
     try {
         // Try editing existing message first
         if (queue.nowPlayingMessage?.editable) {
-            await queue.nowPlayingMessage.edit({ embeds: [embed] });
+            await queue.nowPlayingMessage.edit({ embeds: [embed], components: buildNowPlayingComponents(queue) });
             logger.debug(`[${queue.guildId}] Edited existing NP message.`);
         } else {
             // If no editable message, delete any potentially stale reference and send a new one
@@ -583,7 +1074,7 @@ async function updateNowPlayingMessage(queue, isFinished = false) {
                  await queue.nowPlayingMessage.delete().catch(err => { if (err.code !== 10008) logger.warn(`[${queue.guildId}] Error deleting stale NP message ref:`, err); });
             }
             logger.debug(`[${queue.guildId}] Sending new NP message.`);
-            const sentMessage = await queue.textChannel.send({ embeds: [embed] });
+            const sentMessage = await queue.textChannel.send({ embeds: [embed], components: buildNowPlayingComponents(queue) });
             // Fetch the message again to ensure we have a valid reference
             queue.nowPlayingMessage = await queue.textChannel.messages.fetch(sentMessage.id).catch(() => null);
              if (!queue.nowPlayingMessage) logger.warn(`[${queue.guildId}] Failed to fetch newly sent NP message.`);
@@ -625,11 +1116,36 @@ async function handleMusicButtons(interaction, client, userProfile) {
         return;
     }
 
-    // Check if user is in the same voice channel as the bot
-    // Add extra check for player.connection
-    if (!member.voice.channel || !player.connection || member.voice.channel.id !== player.connection.channelId) {
-        logger.debug(`[${guildId}] Button ${customId} pressed by user not in the correct VC.`);
-        await interaction.followUp({ content: 'You must be in the same voice channel as the bot to use controls.', ephemeral: true }).catch(() => {});
+    // Liking only touches the user's own favorites, so anyone who can see the message may use it
+    if (customId === 'music_like') {
+        if (!queue.currentTrack) {
+            await interaction.followUp({ content: 'There is no track playing to like.', ephemeral: true }).catch(() => {});
+            return;
+        }
+        const track = queue.currentTrack;
+        let feedback;
+        try {
+            const { liked, count, full } = await toggleLikedTrack(interaction.user, track);
+            feedback = full
+                ? `Your likes are full (${count} tracks). Remove some with \`/likes remove\` first.`
+                : liked
+                    ? `❤️ Added **${track.title}** to your likes (${count}). Browse them with \`/likes view\`.`
+                    : `💔 Removed **${track.title}** from your likes.`;
+        } catch (error) {
+            logger.error(`[${guildId}] Error saving liked track for ${interaction.user.tag}:`, error);
+            feedback = 'An error occurred while saving your like.';
+        }
+        await interaction.followUp({ content: feedback, ephemeral: true }).catch(() => {});
+        return;
+    }
+
+    // Same checks as the slash commands: voice channel membership, and DJ rights for stopping and going back
+    const denied = customId === 'music_previous'
+        ? await checkPreviousPermission(member, queue)
+        : await checkMusicPermission(member, queue, { djOnly: customId === 'music_stop' });
+    if (denied) {
+        logger.debug(`[${guildId}] Button ${customId} denied for ${member.user.tag}.`);
+        await interaction.followUp({ content: denied, ephemeral: true }).catch(() => {});
         return;
     }
 
@@ -639,8 +1155,8 @@ async function handleMusicButtons(interaction, client, userProfile) {
     try {
         switch (customId) {
             case 'music_pause':
-                if (!player.paused) {
-                    await player.setPaused(true); // Use setPaused for clarity
+                if (!isQueuePaused(queue)) {
+                    await setQueuePaused(queue, true);
                     feedbackMessage = '⏸️ Playback paused.';
                     logger.info(`[${guildId}] Playback paused via button.`);
                 } else {
@@ -648,39 +1164,70 @@ async function handleMusicButtons(interaction, client, userProfile) {
                 }
                 break;
             case 'music_resume':
-                if (player.paused) {
-                    await player.setPaused(false);
+                if (isQueuePaused(queue)) {
+                    await setQueuePaused(queue, false);
                     feedbackMessage = '▶️ Playback resumed.';
                     logger.info(`[${guildId}] Playback resumed via button.`);
                 } else {
                     feedbackMessage = 'Playback is not paused.';
                 }
                 break;
-            case 'music_skip':
-                if (queue.songs.length > 0 || queue.loop) { // Can skip if looping current track or items in queue
-                    await player.stop(); // Stop current track, 'end' listener will handle playing next
-                    feedbackMessage = '⏭️ Skipping to the next track...';
-                    logger.info(`[${guildId}] Track skipped via button.`);
-                    // No need to call playNextTrack here, the 'end' event handles it
+            case 'music_skip': {
+                if (!queue.currentTrack) {
+                    feedbackMessage = 'There is no track currently playing to skip.';
+                    break;
+                }
+                const outcome = await resolveSkipRequest(member, queue);
+                if (outcome.skip) {
+                    await skipCurrentTrack(queue); // 'end' listener will handle playing next
+                    feedbackMessage = outcome.reason === 'vote' ? '⏭️ Vote passed. Skipping to the next track...' : '⏭️ Skipping to the next track...';
+                    logger.info(`[${guildId}] Track skipped via button (${outcome.reason}).`);
                 } else {
-                    feedbackMessage = '❌ There are no more tracks in the queue to skip to.';
+                    feedbackMessage = `🗳️ Your vote to skip was counted (${outcome.votes}/${outcome.required}).`;
+                    if (queue.textChannel) await queue.textChannel.send(`🗳️ ${member} voted to skip **${queue.currentTrack.title}** (${outcome.votes}/${outcome.required}).`).catch(() => {});
                 }
                 break;
+            }
             case 'music_stop':
                 logger.info(`[${guildId}] Stopping playback and leaving VC via button.`);
-                queue.songs = []; // Clear queue
-                queue.loop = false; // Disable loop
-                queue.currentTrack = null; // Clear current track immediately
-                queue.playing = false;
-                await player.stop(); // Stop playback
-                await client.shoukaku.leaveVoiceChannel(guildId); // Leave VC
+                await stopPlayback(queue, client);
                 feedbackMessage = '⏹️ Playback stopped and disconnected.';
-                handleQueueEnd(queue, client.queues, client); // Trigger immediate cleanup
                 break;
+            case 'music_previous': {
+                const previousTrack = await playPreviousTrack(queue, client);
+                feedbackMessage = previousTrack
+                    ? `⏮️ Going back to **${previousTrack.title}**.`
+                    : 'There is no previously played track in this session.';
+                if (previousTrack) logger.info(`[${guildId}] Previous track requested via button.`);
+                break;
+            }
+            case 'music_shuffle':
+                if (queue.songs.length > 1) {
+                    shuffleQueue(queue);
+                    feedbackMessage = `🔀 Shuffled ${queue.songs.length} upcoming tracks.`;
+                    logger.info(`[${guildId}] Queue shuffled via button.`);
+                } else {
+                    feedbackMessage = 'There are not enough upcoming tracks to shuffle.';
+                }
+                break;
+            case 'music_volume_down':
+            case 'music_volume_up': {
+                const currentVolume = queue.volume ?? player.volume;
+                const step = customId === 'music_volume_up' ? VOLUME_STEP : -VOLUME_STEP;
+                const newVolume = Math.min(100, Math.max(1, currentVolume + step));
+                if (newVolume === currentVolume) {
+                    feedbackMessage = `Volume is already at ${currentVolume}%.`;
+                } else {
+                    await setQueueVolume(queue, newVolume);
+                    feedbackMessage = `${step > 0 ? '🔊' : '🔉'} Volume set to ${newVolume}%.`;
+                }
+                break;
+            }
             case 'music_loop':
-                queue.loop = !queue.loop; // Toggle boolean loop state
-                logger.info(`[${guildId}] Loop toggled via button to: ${queue.loop}`);
-                feedbackMessage = `🔁 Loop current track: ${queue.loop ? 'Enabled' : 'Disabled'}`;
+                queue.loop = getNextLoopMode(queue.loop); // Cycle off -> track -> queue -> off
+                logger.info(`[${guildId}] Loop mode cycled via button to: ${queue.loop}`);
+                feedbackMessage = `Loop mode: ${formatLoopMode(queue.loop)}`;
+                persistQueueState(queue, true);
                 break;
             default:
                 logger.warn(`[${guildId}] Unhandled music button ID: ${customId}`);
@@ -693,7 +1240,7 @@ async function handleMusicButtons(interaction, client, userProfile) {
         }
 
         // Update the main Now Playing message if state changed (pause/resume/loop)
-        if (['music_pause', 'music_resume', 'music_loop'].includes(customId)) {
+        if (['music_pause', 'music_resume', 'music_previous', 'music_shuffle', 'music_loop', 'music_volume_down', 'music_volume_up'].includes(customId)) {
             await updateNowPlayingMessage(queue);
         }
         // Skip/Stop already trigger updates via 'end' or handleQueueEnd
@@ -714,15 +1261,23 @@ async function handleMusicButtons(interaction, client, userProfile) {
  */
 async function handleQueueEnd(queue, queues, client) {
     const guildId = queue.guildId;
+
+    // Guilds with autoplay keep going with related tracks before giving up
+    if (await tryAutoplay(queue, client)) return;
+
     logger.info(`[${guildId}] Queue ended or manually stopped.`);
 
     // Ensure state reflects finished playback
     queue.playing = false;
     queue.currentTrack = null;
+    stopProgressUpdates(queue);
 
     // Update or delete the Now Playing message
     await updateNowPlayingMessage(queue, true); // Pass true to indicate finished
 
+    // Removes the saved snapshot, since there is no longer anything to resume
+    await persistQueueState(queue, true);
+
     // Clear any existing leave timeout to prevent duplicates
     if (queue.leaveTimeout) {
         clearTimeout(queue.leaveTimeout);
@@ -731,7 +1286,7 @@ async function handleQueueEnd(queue, queues, client) {
 
     // Set timeout to leave VC if configured and bot is still in VC
     const player = client.shoukaku?.players.get(guildId);
-    const shouldStay = config.music.stayInChannel;
+    const shouldStay = await isStayInChannelEnabled(guildId); // Per-guild 24/7 mode (/247)
     const leaveDelayMs = (config.music.leaveTimeout || 60) * 1000; // Default to 60s
 
     if (!shouldStay && player) { // Only set timeout if player exists (i.e., bot is in VC)
@@ -752,7 +1307,9 @@ async function handleQueueEnd(queue, queues, client) {
                 } catch (leaveError) {
                     logger.error(`[${guildId}] Error leaving voice channel during timeout:`, leaveError);
                 }
+                clearAloneTimeout(currentQueue);
                 queues.delete(guildId); // Delete the queue after leaving
+                clearQueueState(guildId);
             } else if (currentQueue) {
                  // If something started playing again before timeout, clear the timeout reference
                  logger.debug(`[${guildId}] Inactivity timeout reached, but player is active or queue gone. Timeout cleared.`);
@@ -760,37 +1317,458 @@ async function handleQueueEnd(queue, queues, client) {
             }
         }, leaveDelayMs);
     } else if (shouldStay) {
-         logger.info(`[${guildId}] Configured to stay in channel. Not setting leave timeout.`);
+         logger.info(`[${guildId}] 24/7 mode is on. Not setting leave timeout.`);
     } else if (!player) {
          logger.info(`[${guildId}] Queue ended, and player already gone. Deleting queue reference.`);
+         clearAloneTimeout(queue);
          queues.delete(guildId); // Clean up queue if player is already gone
+         clearQueueState(guildId);
+    }
+}
+
+
+/**
+ * Refills an empty queue with related tracks if the guild has autoplay enabled, and starts playing them.
+ * @param {object} queue - The guild queue object.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @returns {Promise<boolean>} True if autoplay queued tracks and playback continues.
+ */
+async function tryAutoplay(queue, client) {
+    const guildId = queue.guildId;
+    if (queue.autoplayPending || queue.songs.length > 0 || !queue.lavalinkPlayer) return false;
+    if (!(await isAutoplayEnabled(guildId))) return false;
+
+    queue.autoplayPending = true;
+    let songs = [];
+    try {
+        songs = await findAutoplayTracks(queue);
+    } catch (error) {
+        logger.error(`[${guildId}] Autoplay failed:`, error);
+    } finally {
+        queue.autoplayPending = false;
+    }
+
+    // The queue may have been stopped, or tracks queued manually, while autoplay was searching
+    if (client.queues.get(guildId) !== queue || !queue.lavalinkPlayer) return true; // Already cleaned up
+    if (queue.currentTrack || queue.songs.length > 0) {
+        queue.songs.push(...songs); // Play them after the manually queued tracks
+        return true;
+    }
+    if (songs.length === 0) {
+        if (queue.textChannel) await queue.textChannel.send('📻 Autoplay could not find any related tracks. Add more with `/play`.').catch(() => {});
+        return false;
+    }
+
+    logger.info(`[${guildId}] Autoplay queued ${songs.length} related track(s).`);
+    queue.songs.push(...songs);
+    if (queue.leaveTimeout) {
+        clearTimeout(queue.leaveTimeout);
+        queue.leaveTimeout = null;
+    }
+    await playNextTrack(guildId, client.queues, client);
+    return true;
+}
+
+/**
+ * Saves a snapshot of the guild queue to MongoDB so it can be restored after a restart.
+ * Writes are throttled per guild unless forced.
+ * @param {object} queue - The guild queue object.
+ * @param {boolean} [force=false] - Bypass the throttle (track changes, shutdown).
+ * @returns {Promise<void>}
+ */
+async function persistQueueState(queue, force = false) {
+    if (!queue?.guildId) return;
+    const now = Date.now();
+    if (!force && now - (queue.lastPersistedAt || 0) < QUEUE_PERSIST_INTERVAL_MS) return;
+    queue.lastPersistedAt = now;
+
+    try {
+        await GuildQueue.saveFromQueue(queue);
+        logger.debug(`[${queue.guildId}] Queue snapshot saved (${queue.songs.length} upcoming, current: ${queue.currentTrack?.title || 'none'}).`);
+    } catch (error) {
+        logger.error(`[${queue.guildId}] Failed to save queue snapshot:`, error);
+    }
+}
+
+/**
+ * Removes the saved queue snapshot for a guild (queue stopped or bot left).
+ * @param {string} guildId - The ID of the guild.
+ * @returns {Promise<void>}
+ */
+async function clearQueueState(guildId) {
+    try {
+        await GuildQueue.deleteOne({ guildId: guildId });
+        logger.debug(`[${guildId}] Queue snapshot cleared.`);
+    } catch (error) {
+        logger.error(`[${guildId}] Failed to clear queue snapshot:`, error);
+    }
+}
+
+/**
+ * Waits until at least one Lavalink node is connected.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @param {number} timeoutMs - How long to wait before giving up.
+ * @returns {Promise<boolean>} Whether a node is connected.
+ */
+function waitForLavalinkNode(client, timeoutMs) {
+    const hasConnectedNode = () => Array.from(client.shoukaku?.nodes.values() || []).some(node => node.state === 1);
+    if (!client.shoukaku) return Promise.resolve(false);
+    if (hasConnectedNode()) return Promise.resolve(true);
+
+    return new Promise(resolve => {
+        const onReady = () => {
+            clearTimeout(timer);
+            resolve(true);
+        };
+        const timer = setTimeout(() => {
+            client.shoukaku.removeListener('ready', onReady);
+            resolve(hasConnectedNode());
+        }, timeoutMs);
+        client.shoukaku.once('ready', onReady);
+    });
+}
+
+/**
+ * Restores guild queues saved by persistQueueState after a bot restart.
+ * Rejoins each saved voice channel and resumes the current track at its saved position, or reattaches
+ * the player if Lavalink kept it playing through the restart (see lavalinkSession.js).
+ * @param {import('discord.js').Client} client - The Discord client.
+ */
+async function restoreGuildQueues(client) {
+    let snapshots;
+    try {
+        snapshots = await GuildQueue.find({}).lean();
+    } catch (error) {
+        logger.error('Failed to load saved queues from the database:', error);
+        return;
+    }
+    if (snapshots.length === 0) {
+        logger.info('No saved music queues to restore.');
+        return;
+    }
+
+    // Discord's ready event can fire before Lavalink finishes connecting
+    if (!await waitForLavalinkNode(client, 30000)) {
+        logger.warn(`No Lavalink node connected. Skipping restore of ${snapshots.length} saved queue(s); they will be retried on next start.`);
+        return;
+    }
+    await waitForResumedPlayers(); // Players Lavalink kept alive through the restart are reattached below
+
+    logger.info(`Restoring ${snapshots.length} saved music queue(s)...`);
+    for (const snapshot of snapshots) {
+        const guildId = snapshot.guildId;
+        try {
+            if (client.queues.has(guildId)) {
+                logger.debug(`[${guildId}] Queue already active. Skipping restore.`);
+                continue;
+            }
+
+            const guild = client.guilds.cache.get(guildId);
+            const textChannel = guild?.channels.cache.get(snapshot.textChannelId);
+            const voiceChannel = guild?.channels.cache.get(snapshot.voiceChannelId);
+            if (!guild || !textChannel || !voiceChannel) {
+                logger.warn(`[${guildId}] Saved queue references a guild or channel that no longer exists. Discarding snapshot.`);
+                await clearQueueState(guildId);
+                continue;
+            }
+
+            const queue = createGuildQueue({ guild, channel: textChannel, client }, voiceChannel);
+            queue.songs = snapshot.songs || [];
+            queue.loop = Object.values(LOOP_MODES).includes(snapshot.loop) ? snapshot.loop : LOOP_MODES.OFF;
+            queue.activeFilter = snapshot.activeFilter?.settings ? snapshot.activeFilter : null; // Sent with the first track by playNextTrack
+            // A resumed Lavalink session may still be playing the saved track, or have finished it meanwhile
+            const resumed = getResumedPlayer(guildId);
+            const stillPlaying = !!resumed?.data.track && resumed.data.track.encoded === snapshot.currentTrack?.lavalinkTrack;
+            const finishedWhileAway = !!resumed && !resumed.data.track;
+            if (snapshot.currentTrack && !stillPlaying && !finishedWhileAway) queue.songs.unshift(snapshot.currentTrack);
+            if (queue.songs.length === 0 && !stillPlaying) {
+                client.queues.delete(guildId);
+                await clearQueueState(guildId);
+                continue; // A leftover resumed player is destroyed by discardUnclaimedPlayers
+            }
+
+            const player = await getLavalinkPlayer(client, guildId, voiceChannel.id, textChannel);
+            if (!player) {
+                logger.error(`[${guildId}] Could not rejoin voice channel ${voiceChannel.id} to restore queue.`);
+                client.queues.delete(guildId);
+                continue;
+            }
+            queue.lavalinkPlayer = player;
+
+            if (typeof snapshot.volume === 'number') queue.volume = snapshot.volume; // Sent with the first track by playNextTrack
+            claimResumedPlayer(guildId);
+
+            if (stillPlaying) {
+                // Lavalink kept playing through the restart; adopt its state instead of restarting the track
+                const { data } = resumed;
+                player.track = data.track.encoded;
+                player.position = data.state?.position || 0;
+                player.paused = !!data.paused;
+                player.volume = data.volume;
+                if (data.filters) player.filters = data.filters;
+                queue.currentTrack = snapshot.currentTrack;
+                queue.playing = !data.paused;
+                queue.volume = data.volume;
+                queue.positionUpdatedAt = Date.now();
+                markTrackStarted(queue, player.position);
+                startProgressUpdates(queue, client);
+                await updateNowPlayingMessage(queue);
+                logger.info(`[${guildId}] Reattached resumed player at ${player.position}ms with ${queue.songs.length} upcoming track(s).`);
+                continue;
+            }
+
+            await playNextTrack(guildId, client.queues, client, {
+                position: snapshot.currentTrack && !finishedWhileAway ? snapshot.position : 0,
+                paused: snapshot.paused,
+            });
+            logger.info(`[${guildId}] Restored queue with ${queue.songs.length + (queue.currentTrack ? 1 : 0)} track(s).`);
+            await textChannel.send(`🔄 I have returned! Resuming **${queue.currentTrack?.title || 'the queue'}** where we left off.`).catch(() => {});
+        } catch (error) {
+            logger.error(`[${guildId}] Failed to restore saved queue:`, error);
+        }
     }
+    await discardUnclaimedPlayers();
+}
+
+
+/**
+ * Builds the button rows attached to the Now Playing message.
+ * @param {object} queue - The guild queue object.
+ * @returns {ActionRowBuilder[]} The component rows.
+ */
+function buildNowPlayingComponents(queue) {
+    const paused = isQueuePaused(queue);
+    const volume = queue.volume ?? queue.lavalinkPlayer?.volume ?? 100;
+
+    const playbackRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('music_previous')
+            .setEmoji('⏮️')
+            .setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder()
+            .setCustomId(paused ? 'music_resume' : 'music_pause') // Single toggle button
+            .setEmoji(paused ? '▶️' : '⏸️')
+            .setStyle(paused ? ButtonStyle.Success : ButtonStyle.Primary),
+        new ButtonBuilder()
+            .setCustomId('music_skip')
+            .setEmoji('⏭️')
+            .setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder()
+            .setCustomId('music_stop')
+            .setEmoji('⏹️')
+            .setStyle(ButtonStyle.Danger),
+    );
+    const queueRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('music_loop')
+            .setEmoji(queue.loop === LOOP_MODES.TRACK ? '🔂' : '🔁')
+            .setLabel(formatLoopMode(queue.loop).replace(/^\S+\s/, '')) // Label without the emoji
+            .setStyle(queue.loop === LOOP_MODES.OFF ? ButtonStyle.Secondary : ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId('music_shuffle')
+            .setEmoji('🔀')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(queue.songs.length < 2),
+        new ButtonBuilder()
+            .setCustomId('music_volume_down')
+            .setEmoji('🔉')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(volume <= 1),
+        new ButtonBuilder()
+            .setCustomId('music_volume_up')
+            .setEmoji('🔊')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(volume >= 100),
+        new ButtonBuilder()
+            .setCustomId('music_like')
+            .setEmoji('❤️')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(!queue.currentTrack),
+    );
+    return [playbackRow, queueRow];
+}
+
+/**
+ * Builds a text progress bar for the Now Playing embed.
+ * @param {number} positionMs - The current player position.
+ * @param {object} track - The current song object.
+ * @returns {string} The progress bar line.
+ */
+function buildProgressBar(positionMs, track) {
+    if (track.isStream || formatDuration(track.rawDurationMs) === 'Live') return '🔴 Live';
+    if (!track.rawDurationMs) return '';
+    const ratio = Math.min(1, Math.max(0, positionMs / track.rawDurationMs));
+    const knobIndex = Math.round(ratio * (PROGRESS_BAR_LENGTH - 1));
+    const bar = Array.from({ length: PROGRESS_BAR_LENGTH }, (_, i) => (i === knobIndex ? '🔘' : '▬')).join('');
+    return `\`${bar}\``;
 }
 
+/**
+ * Starts refreshing the Now Playing message on a timer so the progress bar follows the player position.
+ * Replaces any existing timer for the queue.
+ * @param {object} queue - The guild queue object.
+ * @param {import('discord.js').Client} client - The Discord client.
+ */
+function startProgressUpdates(queue, client) {
+    stopProgressUpdates(queue);
+    queue.progressInterval = setInterval(() => {
+        // Stop if the queue was replaced/removed or nothing is playing anymore
+        if (client.queues.get(queue.guildId) !== queue || !queue.currentTrack) {
+            stopProgressUpdates(queue);
+            return;
+        }
+        if (queue.lavalinkPlayer?.paused) return; // Position doesn't change while paused
+        updateNowPlayingMessage(queue).catch(e => logger.warn(`[${queue.guildId}] Progress refresh failed: ${e.message}`));
+    }, NP_PROGRESS_INTERVAL_MS);
+}
 
-// Utility function (keep local or move to utils)
-function formatDuration(ms) {
-    if (ms === Infinity) return 'Live'; // Handle livestreams
-    if (!ms || typeof ms !== 'number' || ms < 0) return 'N/A';
-    const totalSeconds = Math.floor(ms / 1000);
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
+/**
+ * Stops the Now Playing progress timer for a queue.
+ * @param {object} queue - The guild queue object.
+ */
+function stopProgressUpdates(queue) {
+    if (queue.progressInterval) {
+        clearInterval(queue.progressInterval);
+        queue.progressInterval = null;
+    }
+}
 
-    let parts = [];
-    if (hours > 0) parts.push(hours.toString());
-    parts.push(minutes.toString().padStart(hours > 0 ? 2 : 1, '0')); // Pad minutes if hours exist
-    parts.push(seconds.toString().padStart(2, '0'));
+/**
+ * Shuffles a list of songs in place (Fisher-Yates).
+ * @param {Array<object>} songs - The songs.
+ * @returns {Array<object>} The same array, shuffled.
+ */
+function shuffleSongs(songs) {
+    for (let i = songs.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [songs[i], songs[j]] = [songs[j], songs[i]];
+    }
+    return songs;
+}
 
-    return parts.join(':');
+/**
+ * Shuffles the upcoming tracks of a queue in place.
+ * @param {object} queue - The guild queue object.
+ */
+function shuffleQueue(queue) {
+    shuffleSongs(queue.songs);
+    persistQueueState(queue, true);
+}
+
+/**
+ * Gets the starting volume for a guild's new sessions.
+ * @param {string} guildId - The ID of the guild.
+ * @returns {Promise<number>} The volume (1-100).
+ */
+async function getGuildDefaultVolume(guildId) {
+    try {
+        const settings = await GuildSettings.findOne({ guildId: guildId }).lean();
+        if (typeof settings?.music?.defaultVolume === 'number') return settings.music.defaultVolume;
+    } catch (error) {
+        logger.error(`[${guildId}] Failed to load guild default volume:`, error);
+    }
+    return config.music.defaultVolume || 50;
+}
+
+/**
+ * Sets the Lavalink player volume for a queue and remembers it as the guild's starting volume.
+ * @param {object} queue - The guild queue object.
+ * @param {number} volume - The volume (1-100).
+ * @returns {Promise<void>}
+ */
+async function setQueueVolume(queue, volume) {
+    const player = queue.lavalinkPlayer;
+    if (!player) throw new Error('No Lavalink player is attached to this queue.');
+
+    // noReplace keeps the local pause flag; player.setGlobalVolume() would mark a paused player as playing
+    await player.update({ volume }, true);
+    queue.volume = volume;
+    logger.info(`[${queue.guildId}] Volume set to ${volume}%.`);
+
+    try {
+        await GuildSettings.updateOne({ guildId: queue.guildId }, { $set: { 'music.defaultVolume': volume } }, { upsert: true });
+    } catch (error) {
+        logger.error(`[${queue.guildId}] Failed to save guild default volume:`, error);
+    }
+    await persistQueueState(queue, true);
+}
+
+/**
+ * Applies a filter set to the guild's player and remembers it on the queue so later tracks keep it.
+ * @param {object} queue - The guild queue object.
+ * @param {{name: string, settings: object} | null} activeFilter - The filter entry to apply, or null to reset all filters.
+ * @returns {Promise<void>}
+ */
+async function applyQueueFilter(queue, activeFilter) {
+    const player = queue.lavalinkPlayer;
+    if (!player) throw new Error('No Lavalink player is attached to this queue.');
+
+    if (queue.interjection?.phase === 'speaking') {
+        // The speech plays without filters; the music picks these up when it resumes
+        queue.interjection.filters = activeFilter ? activeFilter.settings : { ...EMPTY_FILTERS };
+    } else {
+        // noReplace keeps the local pause flag; player.setFilters() would mark a paused player as playing
+        await player.update({ filters: activeFilter ? activeFilter.settings : { ...EMPTY_FILTERS } }, true);
+    }
+    queue.activeFilter = activeFilter;
+    logger.info(`[${queue.guildId}] Filter set to: ${activeFilter?.name || 'None'}`);
+
+    await persistQueueState(queue, true);
+    await updateNowPlayingMessage(queue).catch(e => logger.error(`[${queue.guildId}] Error updating NP message after filter change:`, e));
+}
+
+/**
+ * Returns the loop mode that follows the given one (off -> track -> queue -> off).
+ * @param {string} mode - The current loop mode.
+ * @returns {string} The next loop mode.
+ */
+function getNextLoopMode(mode) {
+    const modes = Object.values(LOOP_MODES);
+    const index = modes.indexOf(mode);
+    return modes[(index + 1) % modes.length]; // Unknown modes (index -1) fall back to 'off'
+}
+
+/**
+ * Formats a loop mode for display in embeds.
+ * @param {string} mode - The loop mode.
+ * @returns {string} A human-readable label.
+ */
+function formatLoopMode(mode) {
+    switch (mode) {
+        case LOOP_MODES.TRACK: return '🔂 Track';
+        case LOOP_MODES.QUEUE: return '🔁 Queue';
+        default: return '❌ Off';
+    }
 }
 
 module.exports = {
+    LOOP_MODES,
     getLavalinkPlayer,
     createGuildQueue,
     addToQueue,
+    queueTracksFromQuery,
+    queueImportedEntries,
+    enqueueSongs,
+    playPreviousTrack,
+    skipCurrentTrack,
+    seekCurrentTrack,
+    isQueuePaused,
+    setQueuePaused,
+    stopPlayback,
     updateNowPlayingMessage,
     playNextTrack,
     handleMusicButtons,
     handleQueueEnd,
+    persistQueueState,
+    clearQueueState,
+    restoreGuildQueues,
+    playInterjection,
+    formatLoopMode,
+    formatDuration,
+    applyQueueFilter,
+    setQueueVolume,
+    shuffleSongs,
+    shuffleQueue,
+    stopProgressUpdates,
+    buildNowPlayingComponents,
 };
@@ -0,0 +1,103 @@
+// spotify/trackAnnouncements.js
+// Opt-in spoken announcements ("Next up: <title> by <artist>") when a track starts, played over the
+// music with /tts's speech pipeline. Guilds turn them on with /announce; requesters can opt out of
+// announcements for their own tracks with /settings set tts_enabled:false.
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const GuildSettings = require('../database/models/GuildSettings');
+const User = require('../database/models/User');
+const { cleanTrackInfo } = require('./lyrics');
+const { synthesizeSpeech } = require('./tts');
+
+/**
+ * Checks whether track announcements are on for a guild.
+ * @param {string} guildId - The ID of the guild.
+ * @returns {Promise<boolean>} True if tracks should be announced.
+ */
+async function isAnnouncementEnabled(guildId) {
+    try {
+        const settings = await GuildSettings.findOne({ guildId: guildId }).lean();
+        return settings?.music?.announceTracks ?? config.music.announceTracks ?? false;
+    } catch (error) {
+        logger.warn(`[${guildId}] Could not load announcement setting: ${error.message}`);
+        return config.music.announceTracks ?? false;
+    }
+}
+
+/**
+ * Turns track announcements on or off for a guild.
+ * @param {string} guildId - The ID of the guild.
+ * @param {boolean} enabled - Whether tracks should be announced.
+ * @returns {Promise<void>}
+ */
+async function setAnnouncementEnabled(guildId, enabled) {
+    await GuildSettings.findOneAndUpdate(
+        { guildId: guildId },
+        { $set: { 'music.announceTracks': enabled } },
+        { upsert: true, setDefaultsOnInsert: true }
+    );
+    logger.info(`[${guildId}] Track announcements ${enabled ? 'enabled' : 'disabled'}.`);
+}
+
+/**
+ * Checks the requester's ttsEnabled preference. Tracks without a requester (autoplay) are announced.
+ * @param {object} song - The song object.
+ * @returns {Promise<boolean>} False if the requester turned TTS off.
+ */
+async function requesterAllowsAnnouncement(song) {
+    if (!song.requesterId) return true;
+    const profile = await User.findOne({ discordId: song.requesterId }).select('settings.ttsEnabled').lean();
+    return profile?.settings?.ttsEnabled ?? true; // Matches the schema default for users without a profile
+}
+
+/**
+ * Builds the announcement sentence for a track.
+ * @param {object} song - The song object.
+ * @returns {string} E.g. "Next up: Title by Artist, requested by name."
+ */
+function buildAnnouncementText(song) {
+    const { title, author } = cleanTrackInfo(song.title, song.author); // Reads better without "(Official Video)"
+    let text = `Next up: ${title}`;
+    if (author) text += ` by ${author}`;
+    if (song.autoplay) text += ', picked by autoplay';
+    else if (song.requestedBy) text += `, requested by ${song.requestedBy.replace(/#\d{4}$/, '')}`; // Legacy tags keep their discriminator
+    return `${text}.`;
+}
+
+/**
+ * Announces the current track in the voice channel if the guild and the requester allow it.
+ * Each song object is announced once, so resuming it (after speech, a restart or a node failover)
+ * doesn't repeat the announcement.
+ * @param {object} queue - The guild queue object.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @returns {Promise<void>}
+ */
+async function announceTrack(queue, client) {
+    const { playInterjection } = require('./spotifyPlayer'); // Lazy: spotifyPlayer requires this module
+    const guildId = queue.guildId;
+    const song = queue.currentTrack;
+    if (!song || queue.announcedTrack === song) return;
+    queue.announcedTrack = song;
+
+    try {
+        if (!(await isAnnouncementEnabled(guildId))) return;
+        if (!(await requesterAllowsAnnouncement(song))) {
+            logger.debug(`[${guildId}] Not announcing "${song.title}": the requester turned TTS off.`);
+            return;
+        }
+        const { url } = await synthesizeSpeech(buildAnnouncementText(song), guildId);
+        if (queue.currentTrack !== song || client.queues.get(guildId) !== queue) return; // Moved on while synthesizing
+        // The track has only just started, so pausing it for the announcement loses nothing
+        const started = await playInterjection(queue, client, url);
+        if (started) logger.info(`[${guildId}] Announced "${song.title}".`);
+    } catch (error) {
+        logger.warn(`[${guildId}] Could not announce "${song.title}": ${error.message}`);
+    }
+}
+
+module.exports = {
+    isAnnouncementEnabled,
+    setAnnouncementEnabled,
+    announceTrack,
+};
@@ -0,0 +1,237 @@
+// spotify/trackLoader.js
+// Resolves user queries through Lavalink and turns the results into queue song objects.
+// Shared by /play, /search and the music control channel.
+
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Extracts tracks from a Lavalink V4 resolve response.
+ * Handles different loadTypes and potential nesting under 'data'.
+ * @param {object} lavalinkResponse - The response object from node.rest.resolve().
+ * @param {string} guildId - For logging context.
+ * @returns {Array<object>} An array of track objects, or an empty array if none found.
+ */
+function extractTracksFromLavalinkResponse(lavalinkResponse, guildId) { // Added guildId for logging
+    // --- Start Added Logging ---
+    logger.debug(`[${guildId}] extractTracks: Input Response: ${JSON.stringify(lavalinkResponse).substring(0, 500)}...`);
+    // --- End Added Logging ---
+
+    if (!lavalinkResponse) return [];
+
+    const loadType = lavalinkResponse.loadType?.toUpperCase(); // Ensure uppercase for consistent checks
+    let tracks = []; // Initialize as empty array
+
+    // --- Updated Condition ---
+    // Check common locations for tracks array based on loadType
+    // Handle both TRACK_LOADED and TRACK as single track results
+    if (['TRACK_LOADED', 'TRACK'].includes(loadType)) {
+        logger.debug(`[${guildId}] extractTracks: Handling single track loadType: ${loadType}`);
+        // Lavalink V4 often puts single tracks directly in 'data'
+        // Ensure 'data' exists and is the track object (not an array)
+        if (lavalinkResponse.data && typeof lavalinkResponse.data === 'object' && !Array.isArray(lavalinkResponse.data) && (lavalinkResponse.data.encoded || lavalinkResponse.data.track)) {
+             logger.debug(`[${guildId}] extractTracks: Found track in response.data`);
+             tracks = [lavalinkResponse.data];
+        } else if (Array.isArray(lavalinkResponse.data) && lavalinkResponse.data.length > 0) {
+             // Fallback if data is an array containing the track
+             logger.debug(`[${guildId}] extractTracks: Found track in response.data[0]`);
+             tracks = [lavalinkResponse.data[0]];
+        } else if (Array.isArray(lavalinkResponse.tracks) && lavalinkResponse.tracks.length > 0) {
+             // Older structure or fallback
+             logger.debug(`[${guildId}] extractTracks: Found track in response.tracks[0]`);
+             tracks = [lavalinkResponse.tracks[0]];
+        } else {
+             logger.warn(`[${guildId}] extractTracks: ${loadType} but track data not found in expected locations (data or tracks).`);
+             // Attempt to use the top-level response if it looks like a track object
+             if (typeof lavalinkResponse === 'object' && (lavalinkResponse.encoded || lavalinkResponse.track)) {
+                  logger.debug(`[${guildId}] extractTracks: Using top-level response object as track.`);
+                  tracks = [lavalinkResponse];
+             }
+        }
+    // --- End Updated Condition ---
+    } else if (['PLAYLIST_LOADED', 'PLAYLIST', 'SEARCH_RESULT', 'SEARCH'].includes(loadType)) { // Handle playlist/search types
+         // Playlists and search results are typically under 'data' which is an object containing 'tracks' array
+         if (lavalinkResponse.data && Array.isArray(lavalinkResponse.data.tracks)) {
+             logger.debug(`[${guildId}] extractTracks: Found tracks in response.data.tracks`);
+             tracks = lavalinkResponse.data.tracks;
+         } else if (Array.isArray(lavalinkResponse.tracks)) {
+             // Fallback to top-level 'tracks'
+             logger.debug(`[${guildId}] extractTracks: Found tracks in response.tracks`);
+             tracks = lavalinkResponse.tracks;
+         } else if (Array.isArray(lavalinkResponse.data)) {
+             // Sometimes search results might be directly in data array (less common)
+             logger.debug(`[${guildId}] extractTracks: Found tracks directly in response.data (array)`);
+             tracks = lavalinkResponse.data;
+         } else {
+              logger.warn(`[${guildId}] extractTracks: ${loadType} but tracks array not found in expected locations (data.tracks or tracks).`);
+         }
+    } else if (['NO_MATCHES', 'LOAD_FAILED', 'EMPTY', 'ERROR'].includes(loadType)) {
+        logger.debug(`[${guildId}] extractTracks: LoadType is ${loadType}. Returning empty array.`);
+        tracks = [];
+    } else {
+         logger.warn(`[${guildId}] extractTracks: Unknown or unhandled loadType '${loadType}'. Attempting fallback checks.`);
+         // Unknown loadType, try checking common locations as a last resort
+         tracks = lavalinkResponse.data?.tracks || lavalinkResponse.tracks || lavalinkResponse.data || [];
+         if (!Array.isArray(tracks)) tracks = []; // Ensure it's an array
+    }
+
+    // --- Start Added Logging ---
+    logger.debug(`[${guildId}] extractTracks: Tracks array BEFORE filtering (length ${Array.isArray(tracks) ? tracks.length : 'N/A'}): ${JSON.stringify(tracks).substring(0, 500)}...`);
+    // --- End Added Logging ---
+
+    // Ensure result is always an array and filter out any potential null/undefined entries
+    // Also ensure each track has necessary info (like title and identifier)
+    const filteredTracks = Array.isArray(tracks) ? tracks.filter(t => {
+        const hasTrack = t && typeof t === 'object';
+        const info = hasTrack ? (t.info || t) : null; // Get info object or use track itself
+        const hasTitle = info && typeof info.title === 'string' && info.title.trim() !== '';
+        const hasIdentifier = hasTrack && (typeof t.encoded === 'string' || typeof t.track === 'string'); // Check for encoded (v4) or track (v3)
+        // --- Start Added Logging ---
+        if (hasTrack && (!hasTitle || !hasIdentifier)) {
+            logger.warn(`[${guildId}] extractTracks: Filtering out track due to missing title or identifier: ${JSON.stringify(t).substring(0, 200)}... (HasTitle: ${hasTitle}, HasIdentifier: ${hasIdentifier})`);
+        }
+        // --- End Added Logging ---
+        return hasTitle && hasIdentifier;
+    }) : [];
+
+    // --- Start Added Logging ---
+    logger.debug(`[${guildId}] extractTracks: Tracks array AFTER filtering (length ${filteredTracks.length}).`);
+    // --- End Added Logging ---
+    return filteredTracks;
+}
+
+
+/**
+ * Checks whether a URL is on one of the music sites in config.music.trackUrlHosts.
+ * @param {string} url - The URL.
+ * @returns {boolean} True if it may be passed to Lavalink.
+ */
+function isSupportedTrackUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return false; // Not a URL
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+    const host = parsed.hostname.toLowerCase();
+    return (config.music.trackUrlHosts || []).some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+/**
+ * Resolves a query (URL or search text) on a Lavalink node.
+ * Plain text is searched on YouTube; URLs on supported music sites are passed through as-is.
+ * @param {import('shoukaku').Node} node - The Lavalink node to resolve on (usually player.node).
+ * @param {string} query - The user's query.
+ * @param {string} guildId - For logging context.
+ * @returns {Promise<{tracks: Array<object>, playlistInfo: {name: string, count: number} | null, errorMessage: string | null}>}
+ *   The tracks to add (a single search hit, or every playlist entry).
+ */
+async function loadQueryTracks(node, query, guildId) {
+    if (query.startsWith('http') && !isSupportedTrackUrl(query)) {
+        logger.warn(`[${guildId}] Refused to load a link from an unsupported site: "${query}"`);
+        return { tracks: [], playlistInfo: null, errorMessage: 'Only links to supported music sites (such as SoundCloud, Spotify or Vimeo) can be played' };
+    }
+    const searchQuery = query.startsWith('http') ? query : `ytsearch:${query}`;
+    logger.info(`[${guildId}] Loading tracks via Lavalink for: "${searchQuery}"`);
+
+    let result;
+    try {
+        result = await node.rest.resolve(searchQuery);
+    } catch (error) {
+        logger.error(`[${guildId}] Lavalink resolve failed for "${searchQuery}":`, error);
+        return { tracks: [], playlistInfo: null, errorMessage: error.message || 'Could not load track' };
+    }
+
+    const loadType = result?.loadType?.toUpperCase();
+    if (loadType === 'ERROR' || loadType === 'LOAD_FAILED') {
+        const errorMessage = result.data?.message || result.exception?.message || 'Could not load track';
+        logger.error(`[${guildId}] Lavalink load failed for "${searchQuery}". Reason: ${errorMessage}`);
+        return { tracks: [], playlistInfo: null, errorMessage };
+    }
+
+    const tracks = extractTracksFromLavalinkResponse(result, guildId);
+    if (['PLAYLIST', 'PLAYLIST_LOADED'].includes(loadType) && tracks.length > 0) {
+        const playlistInfo = { name: result.data?.info?.name || 'Unknown Playlist', count: tracks.length };
+        logger.debug(`[${guildId}] Lavalink loaded playlist "${playlistInfo.name}" with ${playlistInfo.count} tracks.`);
+        return { tracks, playlistInfo, errorMessage: null };
+    }
+
+    // Single tracks and search results: take the first (best) match
+    return { tracks: tracks.slice(0, 1), playlistInfo: null, errorMessage: null };
+}
+
+/**
+ * Builds the queue song object for a Lavalink track.
+ * @param {object} trackData - The Lavalink track (`{ encoded, info }`).
+ * @param {import('discord.js').User} user - The user requesting the track.
+ * @returns {object} The song object stored in queue.songs.
+ */
+function buildSong(trackData, user) {
+    const info = trackData.info || trackData;
+    return {
+        title: info.title || 'Untitled Track',
+        author: info.author || null,
+        url: info.uri,
+        duration: info.isStream ? 'Live' : formatDuration(info.length),
+        rawDurationMs: info.length || 0,
+        isStream: !!info.isStream,
+        thumbnail: info.artworkUrl || info.thumbnail,
+        requestedBy: user.tag,
+        requesterId: user.id,
+        source: info.sourceName || 'Lavalink',
+        lavalinkTrack: trackData.encoded || trackData.track, // Encoded track (v4) or legacy identifier
+    };
+}
+
+/**
+ * Picks the fields of a song worth saving (playlists, likes). Keeps the encoded track so it can be
+ * queued again without searching.
+ * @param {object} song - The song object.
+ * @returns {object} The saved track data.
+ */
+function toSavedTrack(song) {
+    const { title, author, url, duration, rawDurationMs, isStream, thumbnail, source, lavalinkTrack } = song;
+    return { title, author, url, duration, rawDurationMs, isStream, thumbnail, source, lavalinkTrack };
+}
+
+/**
+ * Turns a saved track back into a queue song requested by a user.
+ * @param {object} track - The saved track (see toSavedTrack).
+ * @param {import('discord.js').User} user - The user queuing it.
+ * @returns {object} The song object.
+ */
+function savedTrackToSong(track, user) {
+    return { ...toSavedTrack(track), requestedBy: user.tag, requesterId: user.id };
+}
+
+/**
+ * Formats a duration in ms as [h:]mm:ss ('Live' for streams, 'N/A' if unknown).
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(ms) {
+    if (ms === Infinity) return 'Live'; // Handle livestreams
+    if (!ms || typeof ms !== 'number' || ms < 0) return 'N/A';
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    let parts = [];
+    if (hours > 0) parts.push(hours.toString());
+    parts.push(minutes.toString().padStart(hours > 0 ? 2 : 1, '0')); // Pad minutes if hours exist
+    parts.push(seconds.toString().padStart(2, '0'));
+
+    return parts.join(':');
+}
+
+module.exports = {
+    extractTracksFromLavalinkResponse,
+    loadQueryTracks,
+    isSupportedTrackUrl,
+    buildSong,
+    toSavedTrack,
+    savedTrackToSong,
+    formatDuration,
+};
@@ -0,0 +1,92 @@
+// spotify/tts.js
+// Text-to-speech for voice channels. Engines (spotify/ttsEngines) synthesize to a temporary file,
+// which the web server exposes at an unguessable, short-lived URL for Lavalink to play
+// (see playInterjection in spotifyPlayer).
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const TTS_ENGINES = {
+    espeak: require('./ttsEngines/espeak'),
+    google: require('./ttsEngines/google'),
+};
+
+const SPEECH_DIR = path.join(os.tmpdir(), 'musicbot-tts');
+
+// Path served by the web server; files are requested as `${SPEECH_ROUTE}/<id>.<ext>`
+const SPEECH_ROUTE = '/tts';
+
+// File name -> { filePath, contentType, timer }
+const speechFiles = new Map();
+
+/**
+ * Synthesizes speech with the first configured engine that works, and makes it available to Lavalink.
+ * @param {string} text - The text to speak.
+ * @param {string} [guildId] - For logging context.
+ * @returns {Promise<{url: string, engine: string}>} The URL Lavalink should load, and the engine used.
+ * @throws {Error} If every engine failed.
+ */
+async function synthesizeSpeech(text, guildId) {
+    const errors = [];
+    for (const engineName of config.tts.engines) {
+        const engine = TTS_ENGINES[engineName];
+        if (!engine) {
+            logger.warn(`[${guildId}] Unknown TTS engine "${engineName}" in config.tts.engines.`);
+            continue;
+        }
+        try {
+            const { audio, contentType, extension } = await engine.synthesize(text);
+            const fileName = `${crypto.randomUUID()}.${extension}`;
+            const filePath = path.join(SPEECH_DIR, fileName);
+            await fs.mkdir(SPEECH_DIR, { recursive: true });
+            await fs.writeFile(filePath, audio);
+
+            // Lavalink fetches the file right away; it doesn't need to outlive a few plays
+            const timer = setTimeout(() => removeSpeechFile(fileName), (config.tts.fileLifetime || 120) * 1000);
+            timer.unref();
+            speechFiles.set(fileName, { filePath, contentType, timer });
+
+            logger.debug(`[${guildId}] Synthesized ${audio.length} bytes of speech with ${engine.name}.`);
+            return { url: `${config.tts.baseUrl}${SPEECH_ROUTE}/${fileName}`, engine: engine.name };
+        } catch (error) {
+            logger.warn(`[${guildId}] TTS engine ${engine.name} failed: ${error.message}`);
+            errors.push(`${engine.name}: ${error.message}`);
+        }
+    }
+    throw new Error(errors.length ? errors.join('; ') : 'No TTS engine is configured.');
+}
+
+/**
+ * Deletes a speech file and stops serving it.
+ * @param {string} fileName - The file name (`<id>.<ext>`).
+ */
+function removeSpeechFile(fileName) {
+    const entry = speechFiles.get(fileName);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    speechFiles.delete(fileName);
+    fs.unlink(entry.filePath).catch(error => logger.warn(`Could not delete speech file ${fileName}: ${error.message}`));
+}
+
+/**
+ * Adds the route serving speech files to the web server.
+ * @param {import('express').Express} app - The Express app.
+ */
+function registerSpeechRoute(app) {
+    app.get(`${SPEECH_ROUTE}/:fileName`, (req, res) => {
+        const entry = speechFiles.get(req.params.fileName);
+        if (!entry) return res.status(404).send('Not found');
+        res.type(entry.contentType).sendFile(entry.filePath, error => {
+            if (error && !res.headersSent) res.status(404).send('Not found');
+        });
+    });
+}
+
+module.exports = {
+    synthesizeSpeech,
+    registerSpeechRoute,
+};
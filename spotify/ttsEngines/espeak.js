@@ -0,0 +1,46 @@
+// spotify/ttsEngines/espeak.js
+// Offline speech with espeak-ng (https://github.com/espeak-ng/espeak-ng), which must be installed on the host.
+
+const { spawn } = require('child_process');
+const config = require('../../config');
+
+/**
+ * Synthesizes speech to a WAV file in memory.
+ * @param {string} text - The text to speak.
+ * @param {object} [options={}] - Voice options.
+ * @param {string} [options.voice] - An espeak-ng voice (default: config.tts.espeakVoice).
+ * @returns {Promise<{audio: Buffer, contentType: string, extension: string}>} The audio.
+ */
+function synthesize(text, options = {}) {
+    const args = [
+        '-v', options.voice || config.tts.espeakVoice || 'en-us',
+        '-s', String(config.tts.espeakSpeed || 165), // Words per minute
+        '--stdin', // Text is written to stdin, so it can't be read as options
+        '--stdout',
+    ];
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(config.tts.espeakPath || 'espeak-ng', args);
+        const chunks = [];
+        let errorOutput = '';
+        const timer = setTimeout(() => child.kill(), config.tts.synthesisTimeout || 15000);
+
+        child.stdout.on('data', chunk => chunks.push(chunk));
+        child.stderr.on('data', chunk => { errorOutput += chunk; });
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(error.code === 'ENOENT' ? new Error('espeak-ng is not installed on this host.') : error);
+        });
+        child.on('close', code => {
+            clearTimeout(timer);
+            if (code !== 0) return reject(new Error(`espeak-ng exited with code ${code}: ${errorOutput.trim() || 'no output'}`));
+            resolve({ audio: Buffer.concat(chunks), contentType: 'audio/wav', extension: 'wav' });
+        });
+        child.stdin.end(text);
+    });
+}
+
+module.exports = {
+    name: 'espeak-ng',
+    synthesize,
+};
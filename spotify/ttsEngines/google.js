@@ -0,0 +1,36 @@
+// spotify/ttsEngines/google.js
+// Speech from the Google Cloud Text-to-Speech REST API. Needs GOOGLE_TTS_API_KEY.
+
+const axios = require('axios');
+const config = require('../../config');
+
+const SYNTHESIZE_URL = 'https://texttospeech.googleapis.com/v1/text:synthesize';
+
+/**
+ * Synthesizes speech to an MP3 in memory.
+ * @param {string} text - The text to speak.
+ * @param {object} [options={}] - Voice options.
+ * @param {string} [options.voice] - A Google voice name (default: config.tts.googleVoice).
+ * @returns {Promise<{audio: Buffer, contentType: string, extension: string}>} The audio.
+ * @throws {Error} If no API key is configured or the request fails.
+ */
+async function synthesize(text, options = {}) {
+    const apiKey = process.env.GOOGLE_TTS_API_KEY;
+    if (!apiKey) throw new Error('GOOGLE_TTS_API_KEY is not set.');
+
+    const voiceName = options.voice || config.tts.googleVoice;
+    const response = await axios.post(SYNTHESIZE_URL, {
+        input: { text },
+        voice: { languageCode: config.tts.googleLanguageCode || 'en-US', ...(voiceName && { name: voiceName }) },
+        audioConfig: { audioEncoding: 'MP3' },
+    }, {
+        params: { key: apiKey },
+        timeout: config.tts.synthesisTimeout || 15000,
+    });
+    return { audio: Buffer.from(response.data.audioContent, 'base64'), contentType: 'audio/mpeg', extension: 'mp3' };
+}
+
+module.exports = {
+    name: 'Google Cloud TTS',
+    synthesize,
+};
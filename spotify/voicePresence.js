@@ -0,0 +1,157 @@
+// spotify/voicePresence.js
+// Reacts to listeners joining and leaving the bot's voice channel. When the bot is left alone,
+// playback pauses and the bot leaves after config.music.leaveTimeout, unless the guild turned on
+// 24/7 mode (/247). Playback resumes when someone returns in time.
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const GuildSettings = require('../database/models/GuildSettings');
+
+/**
+ * Checks whether a guild keeps the bot in voice when idle or alone (24/7 mode).
+ * @param {string} guildId - The ID of the guild.
+ * @returns {Promise<boolean>} True if the bot should never leave on its own.
+ */
+async function isStayInChannelEnabled(guildId) {
+    try {
+        const settings = await GuildSettings.findOne({ guildId: guildId }).lean();
+        return settings?.music?.stayInChannel ?? config.music.stayInChannel ?? false;
+    } catch (error) {
+        logger.warn(`[${guildId}] Could not load 24/7 setting: ${error.message}`);
+        return config.music.stayInChannel ?? false;
+    }
+}
+
+/**
+ * Turns 24/7 mode on or off for a guild.
+ * @param {string} guildId - The ID of the guild.
+ * @param {boolean} enabled - Whether the bot should stay in voice.
+ * @returns {Promise<void>}
+ */
+async function setStayInChannelEnabled(guildId, enabled) {
+    await GuildSettings.findOneAndUpdate(
+        { guildId: guildId },
+        { $set: { 'music.stayInChannel': enabled } },
+        { upsert: true, setDefaultsOnInsert: true }
+    );
+    logger.info(`[${guildId}] 24/7 mode ${enabled ? 'enabled' : 'disabled'}.`);
+}
+
+/**
+ * Counts the members (excluding bots) in the bot's voice channel.
+ * @param {import('discord.js').Guild} guild - The guild.
+ * @param {object} queue - The guild queue object.
+ * @returns {number} The number of listeners.
+ */
+function countListeners(guild, queue) {
+    const voiceChannel = guild.channels.cache.get(queue.voiceChannelId);
+    if (!voiceChannel) return 0;
+    return voiceChannel.members.filter(member => !member.user.bot).size;
+}
+
+/**
+ * Cancels a pending empty-channel leave.
+ * @param {object} queue - The guild queue object.
+ */
+function clearAloneTimeout(queue) {
+    if (queue.aloneTimeout) {
+        clearTimeout(queue.aloneTimeout);
+        queue.aloneTimeout = null;
+    }
+}
+
+/**
+ * Pauses playback and schedules leaving once the bot is alone in its voice channel.
+ * @param {object} queue - The guild queue object.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @returns {Promise<void>}
+ */
+async function handleChannelEmptied(queue, client) {
+    const guildId = queue.guildId;
+    const player = queue.lavalinkPlayer;
+
+    // Lazy require: spotifyPlayer requires this module
+    const { isQueuePaused, setQueuePaused, updateNowPlayingMessage } = require('./spotifyPlayer');
+    if (player && queue.currentTrack && !isQueuePaused(queue)) {
+        await setQueuePaused(queue, true);
+        queue.pausedWhileAlone = true; // Only resume what we paused ourselves
+        logger.info(`[${guildId}] Voice channel empty. Playback paused.`);
+        await updateNowPlayingMessage(queue);
+    }
+
+    if (queue.aloneTimeout || await isStayInChannelEnabled(guildId)) return;
+
+    const leaveDelayMs = (config.music.leaveTimeout || 60) * 1000;
+    logger.info(`[${guildId}] Leaving in ${leaveDelayMs / 1000}s unless someone rejoins.`);
+    queue.aloneTimeout = setTimeout(async () => {
+        queue.aloneTimeout = null;
+        // The queue may have been stopped, or someone came back, in the meantime
+        const guild = client.guilds.cache.get(guildId);
+        if (client.queues.get(guildId) !== queue || !guild || countListeners(guild, queue) > 0) return;
+
+        logger.info(`[${guildId}] Leaving VC ${queue.voiceChannelId}: nobody is listening.`);
+        if (queue.textChannel) {
+            await queue.textChannel.send('👋 Leaving voice channel since everyone left. Use `/247` to keep me here.').catch(() => {});
+        }
+        const { stopPlayback } = require('./spotifyPlayer');
+        await stopPlayback(queue, client);
+    }, leaveDelayMs);
+}
+
+/**
+ * Cancels the pending leave and resumes playback paused by handleChannelEmptied.
+ * @param {object} queue - The guild queue object.
+ * @returns {Promise<void>}
+ */
+async function handleListenerReturned(queue) {
+    const guildId = queue.guildId;
+    if (queue.aloneTimeout) logger.info(`[${guildId}] Listener rejoined. Cancelled empty-channel leave.`);
+    clearAloneTimeout(queue);
+
+    if (!queue.pausedWhileAlone) return;
+    queue.pausedWhileAlone = false;
+    const player = queue.lavalinkPlayer;
+    const { isQueuePaused, setQueuePaused, updateNowPlayingMessage } = require('./spotifyPlayer');
+    if (player && queue.currentTrack && isQueuePaused(queue)) {
+        await setQueuePaused(queue, false);
+        logger.info(`[${guildId}] Listener rejoined. Playback resumed.`);
+        await updateNowPlayingMessage(queue);
+    }
+}
+
+/**
+ * Handles a voiceStateUpdate for guilds with an active queue: follows the bot when it is moved,
+ * and pauses/resumes/leaves as listeners come and go.
+ * @param {import('discord.js').Client} client - The Discord client.
+ * @param {import('discord.js').VoiceState} oldState - The voice state before the update.
+ * @param {import('discord.js').VoiceState} newState - The voice state after the update.
+ * @returns {Promise<void>}
+ */
+async function handleVoiceStateUpdate(client, oldState, newState) {
+    const guild = newState.guild;
+    const queue = client.queues?.get(guild.id);
+    if (!queue) return;
+
+    // The bot was moved to another channel; listeners are counted there from now on
+    if (newState.id === client.user.id) {
+        if (!newState.channelId || newState.channelId === queue.voiceChannelId) return;
+        logger.info(`[${guild.id}] Bot moved to voice channel ${newState.channelId}.`);
+        queue.voiceChannelId = newState.channelId;
+    } else if (oldState.channelId === newState.channelId
+        || (oldState.channelId !== queue.voiceChannelId && newState.channelId !== queue.voiceChannelId)) {
+        return; // Mute/deafen changes, or another channel entirely
+    }
+
+    if (countListeners(guild, queue) === 0) {
+        await handleChannelEmptied(queue, client);
+    } else {
+        await handleListenerReturned(queue);
+    }
+}
+
+module.exports = {
+    isStayInChannelEnabled,
+    setStayInChannelEnabled,
+    clearAloneTimeout,
+    handleVoiceStateUpdate,
+};
@@ -6,6 +6,7 @@ const logger = require('../utils/logger');
 const config = require('../config');
 const { exchangeCodeForTokens, spotifyApi: baseSpotifyApi } = require('./spotifyAuth');
 const User = require('../database/models/User');
+const { registerSpeechRoute } = require('./tts');
 
 // Simple function to generate a random state string for OAuth (remains the same)
 const generateRandomString = (length) => {
@@ -18,20 +19,18 @@ const generateRandomString = (length) => {
 };
 
 module.exports = (client) => {
-    // Check if essential Spotify config is present before creating server
+    // Check if essential Spotify config is present. The server still starts without it, since /tts needs it too
     const spotifyClientId = process.env.SPOTIFY_CLIENT_ID;
     const spotifyClientSecret = process.env.SPOTIFY_CLIENT_SECRET;
     const spotifyRedirectUri = process.env.SPOTIFY_REDIRECT_URI;
 
     if (!spotifyClientId || !spotifyClientSecret || !spotifyRedirectUri) {
-        logger.error("Spotify credentials missing in .env. Spotify auth server WILL NOT START.");
-        return null; // Return null or indicate failure clearly
+        logger.error("Spotify credentials missing in .env. Spotify account linking will not work.");
     } else {
          logger.info(`Spotify Redirect URI configured as: ${spotifyRedirectUri}`);
          logger.warn(`Ensure this EXACTLY matches the URI in your Spotify Developer Dashboard!`);
     }
 
-    // Create Express app only if config is valid
     const app = express();
     const port = process.env.PORT || 8888;
     let serverInstance = null; // To hold the server instance
@@ -161,6 +160,9 @@ module.exports = (client) => {
         }
     });
 
+    // --- TTS Route (speech files played by Lavalink) ---
+    registerSpeechRoute(app);
+
     // --- Basic Root Route ---
     app.get('/', (req, res) => {
         // Check if headers already sent before sending response